@@ -1,17 +1,118 @@
-import { initDB, createSession, getSessions, getSession, updateSession, deleteSession, addCall, getCallsBySession, clearAllData } from '../src/db.js';
-import { exportSession, exportSessionCompact, downloadFile } from '../src/export.js';
+import { initDB, createSession, getSessions, getSession, updateSession, addSessionNavigation, deleteSession, addCall, getCallsPage, reencodeStoredCalls, setEncryptionKeys, mergeSessions, splitSession, copyCallsToNewSession, setCallAnnotation, getAnnotationsBySession, searchCalls, clearAllData } from '../src/db.js';
+import { importSessionFile } from '../src/import.js';
+import { SNIPPET_FORMATS } from '../src/snippets.js';
+import { tokenize, buildSnippets } from '../src/search.js';
+import { compileFilter, getFilterSuggestions } from '../src/filter.js';
+import { loadRetentionRules, saveRetentionRules, validateRetentionRules, selectSessionsToPurge, getStorageEstimate, getPurgeLog, recordPurge, clearPurgeLog, formatBytes } from '../src/retention.js';
+import { DEFAULT_CAPTURE_RULES, RULE_CONDITIONS, loadCaptureRules, saveCaptureRules, hasSiteCaptureRules, removeSiteCaptureRules, validateCaptureRules, evaluateCaptureRules, formatCaptureDecision, subjectFromCall } from '../src/capture-rules.js';
+import { DEFAULT_REDACTION_RULES, REDACTION_TARGETS, REDACTION_ACTIONS, loadRedactionRules, saveRedactionRules, hasSiteRedactionRules, removeSiteRedactionRules, validateRedactionRules, createRedactor } from '../src/redaction.js';
+import { DEFAULT_BODY_LIMITS, loadBodyLimits, saveBodyLimits, hasSiteBodyLimits, removeSiteBodyLimits, validateBodyLimits } from '../src/body-limits.js';
+import { isBinaryBody } from '../src/bodies.js';
+import { processRequest, filterHeaders } from '../src/recorder.js';
+import { CACHE_STATUSES, timingSegments } from '../src/timings.js';
+import { callStart, callEnd, overlapsWindow, buildTimeline, timeTicks, formatOffset, statusGroup } from '../src/timeline.js';
+import { siteOf } from '../src/site-settings.js';
+import { createBackup, inspectBackup, restoreBackup } from '../src/backup.js';
+import { loadEncryptionSettings, enableEncryption, unlockEncryption, removeEncryptionSettings, encryptExport, isEncryptedExport, decryptExport } from '../src/encryption.js';
+import { exportSessionBlob, exportSessionCompact, exportSessionHar, exportSessionOpenApi, exportSessionPostman, exportSessionInsomnia, exportSessionMsw, exportSessionTypes, exportSessionTest, exportSessionMarkdown, downloadFile } from '../src/export.js';
+
+const EXPORT_FORMATS = {
+  jsonl: { build: (id, options) => exportSessionBlob(id, options), streaming: true, extension: 'jsonl', mimeType: 'application/jsonl' },
+  'jsonl-gz': { build: (id, options) => exportSessionBlob(id, { ...options, gzip: true }), streaming: true, extension: 'jsonl.gz', mimeType: 'application/gzip' },
+  har: { build: exportSessionHar, extension: 'har', mimeType: 'application/json' },
+  'openapi-yaml': { build: (id) => exportSessionOpenApi(id, 'yaml'), extension: 'openapi.yaml', mimeType: 'application/yaml' },
+  'openapi-json': { build: (id) => exportSessionOpenApi(id, 'json'), extension: 'openapi.json', mimeType: 'application/json' },
+  postman: { build: exportSessionPostman, extension: 'postman_collection.json', mimeType: 'application/json' },
+  insomnia: { build: exportSessionInsomnia, extension: 'insomnia.json', mimeType: 'application/json' },
+  msw: { build: exportSessionMsw, extension: 'msw.zip', mimeType: 'application/zip' },
+  typescript: { build: exportSessionTypes, extension: 'd.ts', mimeType: 'application/typescript' },
+  playwright: { build: (id) => exportSessionTest(id, 'playwright'), extension: 'spec.js', mimeType: 'text/javascript' },
+  cypress: { build: (id) => exportSessionTest(id, 'cypress'), extension: 'cy.js', mimeType: 'text/javascript' },
+  markdown: { build: exportSessionMarkdown, extension: 'md', mimeType: 'text/markdown' }
+};
+
+const SEARCH_RESULT_LIMIT = 100;
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Skipped requests kept for the capture rules tester
+const MAX_SKIPPED_REQUESTS = 100;
+// Bytes of a binary body shown in the hex view
+const MAX_HEX_DUMP_BYTES = 4096;
+// Calls of the open session checked by the redaction preview
+const MAX_REDACTION_PREVIEW_CALLS = 200;
+
+// Calls read per cursor page when a session is opened
+const CALL_PAGE_SIZE = 500;
+
+// Must match the .request-row height in panel.html
+const ROW_HEIGHT = 28;
+
+// Rows rendered above and below the visible part of the call list
+const ROW_OVERSCAN = 10;
+
+// Must match the .timeline-host and .timeline-lane heights in panel.html
+const TIMELINE_ROW_HEIGHT = 16;
+// Width of the host name column left of the timeline plot
+const TIMELINE_LABEL_WIDTH = 180;
+// Pixels between axis ticks, at least
+const TIMELINE_TICK_SPACING = 90;
+// Zoom factor of one wheel step or zoom button click
+const TIMELINE_ZOOM_STEP = 1.5;
+// Shortest time range the timeline zooms in to
+const TIMELINE_MIN_SPAN_MS = 5;
+// Pixels the mouse must move before a click on the timeline becomes a drag
+const TIMELINE_DRAG_THRESHOLD = 3;
+
+// How often retention rules are enforced while DevTools is open
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
 
 class APILoggerPanel {
   constructor() {
     this.sessions = [];
     this.activeSession = null;
     this.currentCalls = [];
+    this.callIds = new Set();
+    this.callLoadRun = 0;
+    this.isLoadingCalls = false;
+    this.loadingCalls = Promise.resolve();
+    this.annotations = new Map();
+    this.tagFilter = '';
+    this.selectedSessionIds = new Set();
     this.isRecording = false;
     this.isPaused = false;
-    this.filterText = '';
+    this.filterPredicate = null;
+    this.filterPresets = [];
+    this.renderedCalls = [];
+    this.visibleRange = null;
+    this.expandedCallId = null;
+    this.detailsHeight = 0;
+    this.noteDraft = null;
+    this.scrollFrame = null;
+    this.exportController = null;
+    this.searchTimer = null;
+    this.searchRun = 0;
     this.networkListener = null;
     this.hasConsent = false;
     this.pendingAction = null;
+    this.encryptionSettings = null;
+    this.encryptionKeys = null;
+    this.captureRules = DEFAULT_CAPTURE_RULES;
+    this.bodyLimits = DEFAULT_BODY_LIMITS;
+    this.captureSite = null;
+    this.captureRulesDraft = [];
+    this.captureRulesScope = null;
+    this.captureTestCalls = [];
+    this.skippedRequests = [];
+    this.redactor = null;
+    this.redactionSite = null;
+    this.redactionDraft = [];
+    this.redactionScope = null;
+    this.showTimeline = false;
+    this.timelineLayout = null;
+    this.timelineRange = null;
+    this.timelineBrush = null;
+    this.timelineFrame = null;
+    this.timeWindow = null;
     
     this.init();
   }
@@ -21,7 +122,44 @@ class APILoggerPanel {
     await this.loadConsentState();
     this.bindUI();
     this.bindConsentUI();
+    this.bindPassphraseUI();
+    await this.loadFilterPresets();
+    await this.loadSiteSettings(await this.getCurrentTabUrl());
+    chrome.devtools.network.onNavigated.addListener((url) => {
+      this.loadSiteSettings(url);
+      this.recordNavigation(url);
+    });
+    
+    // Unlock before loading sessions so their calls can be read
+    this.encryptionSettings = await loadEncryptionSettings();
+    this.updateEncryptionButton();
+    if (this.encryptionSettings) {
+      await this.unlockStorage();
+    }
+    
     await this.loadSessions();
+    await this.enforceRetention('startup');
+    setInterval(() => this.enforceRetention('schedule'), RETENTION_INTERVAL_MS);
+    this.reencodeCalls();
+  }
+  
+  /**
+   * Rewrite stored calls to match the current storage settings: move bodies
+   * recorded before content-addressed storage, and encrypt or decrypt calls
+   * @returns {Promise<number>} - Number of calls rewritten
+   */
+  async reencodeCalls() {
+    try {
+      const rewritten = await reencodeStoredCalls();
+      if (rewritten > 0) {
+        this.sessions = await getSessions();
+        this.renderSessions();
+      }
+      return rewritten;
+    } catch (error) {
+      console.error('Failed to rewrite stored calls:', error);
+      return 0;
+    }
   }
   
   async loadConsentState() {
@@ -71,28 +209,257 @@ class APILoggerPanel {
     }
   }
   
+  bindPassphraseUI() {
+    this.passphraseOverlay = document.getElementById('passphraseOverlay');
+    this.passphraseInput = document.getElementById('passphraseInput');
+    this.passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+    this.passphraseError = document.getElementById('passphraseError');
+    
+    this.passphraseInput.onkeydown = this.passphraseConfirmInput.onkeydown = (e) => {
+      if (e.key === 'Enter') document.getElementById('passphraseOkBtn').click();
+    };
+  }
+  
+  /**
+   * Ask for a passphrase and pass it to submit; the dialog stays open with the
+   * error shown until submit succeeds or the user cancels
+   * @param {Object} options
+   * @param {string} options.title
+   * @param {string} options.message
+   * @param {boolean} [options.confirm] - Ask for the passphrase twice
+   * @param {Function} options.submit - async (passphrase) => result
+   * @returns {Promise<*>} - Result of submit, or null when cancelled
+   */
+  askPassphrase({ title, message, confirm = false, submit }) {
+    document.getElementById('passphraseTitle').textContent = title;
+    document.getElementById('passphraseMessage').textContent = message;
+    this.passphraseInput.value = '';
+    this.passphraseConfirmInput.value = '';
+    this.passphraseConfirmInput.parentElement.hidden = !confirm;
+    this.passphraseError.textContent = '';
+    this.passphraseOverlay.classList.remove('hidden');
+    this.passphraseInput.focus();
+    
+    const okBtn = document.getElementById('passphraseOkBtn');
+    return new Promise((resolve) => {
+      const close = (result) => {
+        this.passphraseOverlay.classList.add('hidden');
+        this.passphraseInput.value = '';
+        this.passphraseConfirmInput.value = '';
+        resolve(result);
+      };
+      
+      document.getElementById('passphraseCancelBtn').onclick = () => close(null);
+      okBtn.onclick = async () => {
+        const passphrase = this.passphraseInput.value;
+        if (confirm && passphrase !== this.passphraseConfirmInput.value) {
+          this.passphraseError.textContent = 'The passphrases do not match';
+          return;
+        }
+        
+        okBtn.disabled = true;
+        this.passphraseError.textContent = '';
+        try {
+          close(await submit(passphrase));
+        } catch (error) {
+          this.passphraseError.textContent = error.message;
+        } finally {
+          okBtn.disabled = false;
+        }
+      };
+    });
+  }
+  
+  isStorageLocked() {
+    return !!this.encryptionSettings && !this.encryptionKeys;
+  }
+  
+  /**
+   * Ask for the passphrase of the encrypted store; the keys are kept until DevTools closes
+   * @returns {Promise<boolean>} - Whether the store is unlocked
+   */
+  async unlockStorage() {
+    const keys = await this.askPassphrase({
+      title: 'Unlock Recordings',
+      message: 'Recorded headers and bodies are encrypted. Enter your passphrase to read them and to record new calls.',
+      submit: (passphrase) => unlockEncryption(passphrase, this.encryptionSettings)
+    });
+    if (!keys) return false;
+    
+    this.encryptionKeys = keys;
+    setEncryptionKeys(keys);
+    this.updateEncryptionButton();
+    return true;
+  }
+  
+  async manageEncryption() {
+    try {
+      if (!this.encryptionSettings) {
+        await this.turnOnEncryption();
+      } else if (!this.encryptionKeys) {
+        if (await this.unlockStorage()) {
+          if (this.activeSession) await this.selectSession(this.activeSession.id);
+          await this.reencodeCalls();
+        }
+      } else {
+        await this.turnOffEncryption();
+      }
+    } catch (error) {
+      console.error('Changing encryption failed:', error);
+      alert('Changing encryption failed: ' + error.message);
+    } finally {
+      this.updateEncryptionButton();
+    }
+  }
+  
+  async turnOnEncryption() {
+    const result = await this.askPassphrase({
+      title: 'Encrypt Recordings',
+      message: 'Headers and bodies will be encrypted with a key derived from this passphrase. ' +
+        'It is never stored: if you forget it, the recordings cannot be read.',
+      confirm: true,
+      submit: (passphrase) => enableEncryption(passphrase)
+    });
+    if (!result) return;
+    
+    this.encryptionSettings = result.settings;
+    this.encryptionKeys = result.keys;
+    setEncryptionKeys(result.keys);
+    
+    this.setEncryptionBusy('Encrypting…');
+    const rewritten = await this.reencodeCalls();
+    alert(`Encryption is on. ${rewritten} stored calls were encrypted.`);
+  }
+  
+  async turnOffEncryption() {
+    if (!confirm('Turn off encryption? All stored calls will be decrypted and kept in plaintext.')) return;
+    
+    // Keep reading encrypted calls while writing them back in plaintext
+    setEncryptionKeys(this.encryptionKeys, { encryptWrites: false });
+    this.setEncryptionBusy('Decrypting…');
+    await this.reencodeCalls();
+    
+    await removeEncryptionSettings();
+    this.encryptionSettings = null;
+    this.encryptionKeys = null;
+    setEncryptionKeys(null);
+  }
+  
+  setEncryptionBusy(label) {
+    this.encryptionBtn.textContent = label;
+    this.encryptionBtn.disabled = true;
+  }
+  
+  updateEncryptionButton() {
+    const locked = this.isStorageLocked();
+    this.encryptionBtn.disabled = false;
+    this.encryptionBtn.textContent = !this.encryptionSettings ? 'Encrypt' : locked ? 'Unlock' : 'Encrypted';
+    this.encryptionBtn.title = !this.encryptionSettings
+      ? 'Encrypt recorded headers and bodies with a passphrase'
+      : locked ? 'Enter the passphrase to read and record calls' : 'Encryption is on. Click to turn it off';
+    this.encryptionBtn.classList.toggle('locked', locked);
+    this.exportEncryptedLabel.hidden = !this.encryptionKeys;
+    this.backupEncryptedLabel.hidden = !this.encryptionKeys;
+    if (!this.encryptionKeys) {
+      this.exportEncryptedCheckbox.checked = false;
+      this.backupEncryptedCheckbox.checked = false;
+    }
+  }
+  
   bindUI() {
     this.newSessionBtn = document.getElementById('newSessionBtn');
     this.startBtn = document.getElementById('startBtn');
     this.pauseBtn = document.getElementById('pauseBtn');
     this.stopBtn = document.getElementById('stopBtn');
     this.exportBtn = document.getElementById('exportBtn');
+    this.exportFormatSelect = document.getElementById('exportFormatSelect');
+    this.exportProgress = document.getElementById('exportProgress');
+    this.exportProgressBar = document.getElementById('exportProgressBar');
+    this.exportProgressText = document.getElementById('exportProgressText');
+    this.exportCancelBtn = document.getElementById('exportCancelBtn');
     this.clearAllBtn = document.getElementById('clearAllBtn');
+    this.importBtn = document.getElementById('importBtn');
+    this.importInput = document.getElementById('importInput');
+    this.storageBtn = document.getElementById('storageBtn');
+    this.mergeSessionsBtn = document.getElementById('mergeSessionsBtn');
+    this.copyToSessionBtn = document.getElementById('copyToSessionBtn');
+    this.encryptionBtn = document.getElementById('encryptionBtn');
+    this.exportEncryptedLabel = document.getElementById('exportEncryptedLabel');
+    this.exportEncryptedCheckbox = document.getElementById('exportEncryptedCheckbox');
+    this.tagFilterSelect = document.getElementById('tagFilterSelect');
+    this.sessionEditOverlay = document.getElementById('sessionEditOverlay');
+    this.storageOverlay = document.getElementById('storageOverlay');
+    this.restoreOverlay = document.getElementById('restoreOverlay');
+    this.restoreInput = document.getElementById('restoreInput');
+    this.backupStatus = document.getElementById('backupStatus');
+    this.backupEncryptedLabel = document.getElementById('backupEncryptedLabel');
+    this.backupEncryptedCheckbox = document.getElementById('backupEncryptedCheckbox');
     this.clearRequestsBtn = document.getElementById('clearRequestsBtn');
     this.statusBadge = document.getElementById('statusBadge');
     this.requestCounter = document.getElementById('requestCounter');
     this.sessionsList = document.getElementById('sessionsList');
     this.requestsList = document.getElementById('requestsList');
     this.filterInput = document.getElementById('filterInput');
+    this.filterError = document.getElementById('filterError');
+    this.filterSuggestions = document.getElementById('filterSuggestions');
+    this.filterPresetSelect = document.getElementById('filterPresetSelect');
+    this.savePresetBtn = document.getElementById('savePresetBtn');
+    this.deletePresetBtn = document.getElementById('deletePresetBtn');
+    this.searchInput = document.getElementById('searchInput');
+    this.searchScopeSelect = document.getElementById('searchScopeSelect');
+    this.searchResults = document.getElementById('searchResults');
     
     this.newSessionBtn.onclick = () => this.createNewSession();
     this.startBtn.onclick = () => this.requireConsent(() => this.startRecording());
     this.pauseBtn.onclick = () => this.pauseRecording();
     this.stopBtn.onclick = () => this.stopRecording();
     this.exportBtn.onclick = () => this.exportCurrentSession();
+    this.exportCancelBtn.onclick = () => this.exportController?.abort();
     this.clearAllBtn.onclick = () => this.clearAllSessions();
+    this.importBtn.onclick = () => this.importInput.click();
+    this.importInput.onchange = (e) => this.importSessionFromFile(e.target.files[0]);
+    this.storageBtn.onclick = () => this.showStorageDialog();
+    document.getElementById('captureRulesBtn').onclick = () => this.showCaptureRulesDialog();
+    document.getElementById('redactionBtn').onclick = () => this.showRedactionDialog();
+    this.mergeSessionsBtn.onclick = () => this.mergeSelectedSessions();
+    this.copyToSessionBtn.onclick = () => this.copyListedCallsToSession();
+    this.encryptionBtn.onclick = () => this.manageEncryption();
+    this.tagFilterSelect.onchange = () => {
+      this.tagFilter = this.tagFilterSelect.value;
+      this.renderSessions();
+    };
+    document.getElementById('cancelSessionEditBtn').onclick = () => this.sessionEditOverlay.classList.add('hidden');
+    document.getElementById('saveSessionEditBtn').onclick = () => this.saveSessionEdit();
+    document.getElementById('closeStorageBtn').onclick = () => this.storageOverlay.classList.add('hidden');
+    document.getElementById('saveRetentionBtn').onclick = () => this.saveRetention();
+    document.getElementById('clearPurgeLogBtn').onclick = async () => {
+      await clearPurgeLog();
+      await this.renderStorageDialog();
+    };
+    this.bindCaptureRulesUI();
+    this.bindRedactionUI();
+    this.bindTimelineUI();
+    document.getElementById('backupBtn').onclick = () => this.downloadBackup();
+    document.getElementById('restoreBtn').onclick = () => this.restoreInput.click();
+    this.restoreInput.onchange = (e) => this.restoreFromFile(e.target.files[0]);
     this.clearRequestsBtn.onclick = () => this.clearCurrentCalls();
     this.filterInput.oninput = (e) => this.setFilter(e.target.value);
+    this.filterPresetSelect.onchange = () => this.applyFilterPreset(this.filterPresetSelect.value);
+    this.savePresetBtn.onclick = () => this.saveFilterPreset();
+    this.deletePresetBtn.onclick = () => this.deleteFilterPreset(this.filterPresetSelect.value);
+    this.searchInput.oninput = () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.runSearch(), SEARCH_DEBOUNCE_MS);
+    };
+    this.searchInput.onkeydown = (e) => {
+      if (e.key === 'Escape') this.clearSearch();
+    };
+    this.searchScopeSelect.onchange = () => this.runSearch();
+    this.requestsList.onscroll = () => this.scheduleVisibleRender();
+    window.addEventListener('resize', () => {
+      this.scheduleVisibleRender();
+      this.scheduleTimelineRender();
+    });
   }
   
   async loadSessions() {
@@ -107,20 +474,40 @@ class APILoggerPanel {
   }
   
   renderSessions() {
-    if (this.sessions.length === 0) {
-      this.sessionsList.innerHTML = '<div class="no-sessions">No sessions yet</div>';
+    this.renderTagFilter();
+    
+    // Forget selections of sessions that no longer exist
+    const known = new Set(this.sessions.map(s => s.id));
+    this.selectedSessionIds = new Set([...this.selectedSessionIds].filter(id => known.has(id)));
+    this.updateMergeButton();
+    
+    const sessions = this.tagFilter
+      ? this.sessions.filter(s => (s.tags || []).includes(this.tagFilter))
+      : this.sessions;
+    
+    if (sessions.length === 0) {
+      this.sessionsList.innerHTML = `<div class="no-sessions">${this.tagFilter ? 'No sessions with this tag' : 'No sessions yet'}</div>`;
       return;
     }
     
-    this.sessionsList.innerHTML = this.sessions.map(session => `
+    this.sessionsList.innerHTML = sessions.map(session => `
       <div class="session-item ${this.activeSession?.id === session.id ? 'active' : ''}" data-id="${session.id}">
         <div class="session-name">
-          <span>${this.escapeHtml(session.name)}</span>
+          <label class="session-select-label" title="Select for merging">
+            <input type="checkbox" class="session-select" data-id="${session.id}" ${this.selectedSessionIds.has(session.id) ? 'checked' : ''}>
+            <span>${this.escapeHtml(session.name)}</span>
+          </label>
           <span class="session-status ${session.status}">${session.status}</span>
         </div>
         <div class="session-meta">
           ${session.callCount} calls · ${this.formatDate(session.createdAt)}
         </div>
+        ${session.notes ? `<div class="session-notes" title="${this.escapeHtml(session.notes)}">${this.escapeHtml(session.notes)}</div>` : ''}
+        ${(session.tags || []).length > 0 ? `
+          <div class="session-tags">
+            ${session.tags.map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join('')}
+          </div>
+        ` : ''}
         <div class="session-actions">
           ${session.status === 'stopped' ? `
             <button class="resume-btn" data-id="${session.id}">Resume</button>
@@ -128,15 +515,34 @@ class APILoggerPanel {
           ${session.status === 'paused' ? `
             <button class="resume-btn" data-id="${session.id}">Continue</button>
           ` : ''}
+          <button class="edit-btn" data-id="${session.id}">Edit</button>
           <button class="export-btn" data-id="${session.id}">Export</button>
           <button class="delete-btn danger" data-id="${session.id}">Delete</button>
         </div>
       </div>
     `).join('');
     
+    this.sessionsList.querySelectorAll('.edit-btn').forEach(btn => {
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        this.showSessionEditDialog(btn.dataset.id);
+      };
+    });
+    
+    this.sessionsList.querySelectorAll('.session-select').forEach(checkbox => {
+      checkbox.onchange = () => {
+        if (checkbox.checked) {
+          this.selectedSessionIds.add(checkbox.dataset.id);
+        } else {
+          this.selectedSessionIds.delete(checkbox.dataset.id);
+        }
+        this.updateMergeButton();
+      };
+    });
+    
     this.sessionsList.querySelectorAll('.session-item').forEach(el => {
       el.onclick = (e) => {
-        if (!e.target.matches('button')) {
+        if (!e.target.closest('button, .session-select-label')) {
           this.selectSession(el.dataset.id);
         }
       };
@@ -164,14 +570,186 @@ class APILoggerPanel {
     });
   }
   
+  updateMergeButton() {
+    const count = this.selectedSessionIds.size;
+    this.mergeSessionsBtn.disabled = count < 2;
+    this.mergeSessionsBtn.textContent = count > 1 ? `Merge (${count})` : 'Merge';
+  }
+  
+  renderTagFilter() {
+    const tags = Array.from(new Set(this.sessions.flatMap(s => s.tags || []))).sort();
+    if (this.tagFilter && !tags.includes(this.tagFilter)) {
+      this.tagFilter = '';
+    }
+    
+    this.tagFilterSelect.hidden = tags.length === 0;
+    this.tagFilterSelect.innerHTML = '<option value="">All tags</option>' + tags
+      .map(tag => `<option value="${this.escapeHtml(tag)}">${this.escapeHtml(tag)}</option>`)
+      .join('');
+    this.tagFilterSelect.value = this.tagFilter;
+  }
+  
+  showSessionEditDialog(sessionId) {
+    const session = this.sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    
+    this.editingSessionId = sessionId;
+    document.getElementById('sessionNameInput').value = session.name;
+    document.getElementById('sessionNotesInput').value = session.notes || '';
+    document.getElementById('sessionTagsInput').value = (session.tags || []).join(', ');
+    this.sessionEditOverlay.classList.remove('hidden');
+    document.getElementById('sessionNameInput').focus();
+  }
+  
+  async saveSessionEdit() {
+    const name = document.getElementById('sessionNameInput').value.trim();
+    if (!name) {
+      alert('Session name cannot be empty');
+      return;
+    }
+    
+    const tags = Array.from(new Set(document.getElementById('sessionTagsInput').value
+      .split(',')
+      .map(tag => tag.trim())
+      .filter(Boolean)));
+    
+    const updated = await updateSession(this.editingSessionId, {
+      name,
+      notes: document.getElementById('sessionNotesInput').value.trim(),
+      tags
+    });
+    
+    if (this.activeSession?.id === updated.id) {
+      this.activeSession = updated;
+    }
+    this.sessionEditOverlay.classList.add('hidden');
+    this.sessions = await getSessions();
+    this.renderSessions();
+  }
+  
+  async mergeSelectedSessions() {
+    const sessionIds = Array.from(this.selectedSessionIds);
+    const sources = this.sessions.filter(s => this.selectedSessionIds.has(s.id));
+    if (sources.length < 2) return;
+    
+    const name = prompt(`Merge ${sources.length} sessions into a new session named:`, sources.map(s => s.name).join(' + '));
+    if (!name) return;
+    
+    try {
+      const merged = await mergeSessions(sessionIds, name.trim());
+      this.selectedSessionIds.clear();
+      this.sessions = await getSessions();
+      await this.selectSession(merged.id);
+    } catch (error) {
+      console.error('Merge failed:', error);
+      alert('Merge failed: ' + error.message);
+    }
+  }
+  
+  async splitActiveSessionAt(call) {
+    if (!this.activeSession || !call) return;
+    if (this.isRecording) {
+      alert('Stop recording before splitting the session.');
+      return;
+    }
+    
+    const name = prompt('Move this call and every later call into a new session named:', `${this.activeSession.name} (part 2)`);
+    if (!name) return;
+    
+    try {
+      const { newSession } = await splitSession(this.activeSession.id, call.id, name.trim());
+      this.sessions = await getSessions();
+      await this.selectSession(newSession.id);
+    } catch (error) {
+      console.error('Split failed:', error);
+      alert('Split failed: ' + error.message);
+    }
+  }
+  
+  /**
+   * Copy the calls currently listed (after filtering) into a new session
+   */
+  async copyListedCallsToSession() {
+    if (!this.activeSession) return;
+    await this.loadingCalls;
+    
+    const calls = this.renderedCalls;
+    if (calls.length === 0) {
+      alert('There are no calls in the list to copy.');
+      return;
+    }
+    
+    const name = prompt(`Copy ${calls.length} calls into a new session named:`, `${this.activeSession.name} (copy)`);
+    if (!name) return;
+    
+    try {
+      const session = await copyCallsToNewSession(calls, { name: name.trim(), tabUrl: this.activeSession.tabUrl });
+      this.sessions = await getSessions();
+      await this.selectSession(session.id);
+    } catch (error) {
+      console.error('Copy failed:', error);
+      alert('Copy failed: ' + error.message);
+    }
+  }
+  
+  /**
+   * Show a session, rendering its first page of calls right away; the rest
+   * load in the background and are available once this.loadingCalls resolves
+   */
   async selectSession(sessionId) {
+    this.resetCallList();
+    const run = this.callLoadRun;
     this.activeSession = await getSession(sessionId);
-    this.currentCalls = await getCallsBySession(sessionId);
+    this.annotations = await getAnnotationsBySession(sessionId);
+    this.requestsList.scrollTop = 0;
     this.renderSessions();
+    
+    const firstPage = await getCallsPage(sessionId, { limit: CALL_PAGE_SIZE });
+    if (run !== this.callLoadRun) return;
+    this.appendCalls(firstPage);
     this.renderCalls();
+    
+    if (firstPage.length === CALL_PAGE_SIZE) {
+      this.isLoadingCalls = true;
+      this.loadingCalls = this.loadRemainingCalls(sessionId, firstPage[firstPage.length - 1], run);
+    }
     this.updateUI();
   }
   
+  async loadRemainingCalls(sessionId, after, run) {
+    try {
+      while (run === this.callLoadRun) {
+        const page = await getCallsPage(sessionId, { after, limit: CALL_PAGE_SIZE });
+        if (run !== this.callLoadRun) return;
+        this.appendCalls(page);
+        if (page.length < CALL_PAGE_SIZE) break;
+        after = page[page.length - 1];
+      }
+    } catch (error) {
+      console.error('Loading calls failed:', error);
+    } finally {
+      if (run === this.callLoadRun) {
+        this.isLoadingCalls = false;
+        this.updateUI();
+      }
+    }
+  }
+  
+  /**
+   * Forget the loaded calls and stop any background page loading
+   */
+  resetCallList() {
+    this.callLoadRun++;
+    this.isLoadingCalls = false;
+    this.loadingCalls = Promise.resolve();
+    this.currentCalls = [];
+    this.callIds = new Set();
+    this.expandedCallId = null;
+    this.noteDraft = null;
+    this.timelineRange = null;
+    this.timeWindow = null;
+  }
+  
   async createNewSession() {
     this.requireConsent(async () => {
       if (this.isRecording) {
@@ -200,6 +778,7 @@ class APILoggerPanel {
   
   async startRecording() {
     if (!this.activeSession) return;
+    if (this.isStorageLocked() && !(await this.unlockStorage())) return;
     
     this.isRecording = true;
     this.isPaused = false;
@@ -215,6 +794,14 @@ class APILoggerPanel {
   }
   
   resumeRecordingState() {
+    if (this.activeSession?.status === 'active' && this.isStorageLocked()) {
+      // Calls recorded while locked would be stored unencrypted
+      this.isPaused = true;
+      this.updateUI();
+      updateSession(this.activeSession.id, { status: 'paused' }).then(() => this.loadSessions());
+      return;
+    }
+    
     if (this.activeSession?.status === 'active') {
       this.isRecording = true;
       this.isPaused = false;
@@ -245,6 +832,7 @@ class APILoggerPanel {
       await this.loadSessions();
     }
     this.updateUI();
+    await this.enforceRetention('stop');
   }
   
   attachNetworkListener() {
@@ -256,10 +844,10 @@ class APILoggerPanel {
       try {
         const callData = await this.processRequest(request);
         if (callData) {
-          const savedCall = await addCall(this.activeSession.id, callData);
-          this.currentCalls.push(savedCall);
-          this.activeSession.callCount = this.currentCalls.length;
-          this.renderCalls();
+          const savedCall = await this.saveCall(callData);
+          if (!savedCall) return;
+          this.activeSession.callCount = savedCall.seq;
+          this.appendCalls([savedCall]);
           this.updateUI();
         }
       } catch (error) {
@@ -270,6 +858,34 @@ class APILoggerPanel {
     chrome.devtools.network.onRequestFinished.addListener(this.networkListener);
   }
   
+  /**
+   * Store a captured call; when storage is full, apply the retention rules
+   * and retry once before pausing the recording
+   */
+  async saveCall(callData) {
+    try {
+      return await addCall(this.activeSession.id, callData);
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') throw error;
+    }
+    
+    const purged = await this.enforceRetention('quota');
+    if (purged.length > 0) {
+      try {
+        return await addCall(this.activeSession.id, callData);
+      } catch (error) {
+        if (error?.name !== 'QuotaExceededError') throw error;
+      }
+    }
+    
+    if (this.isRecording) {
+      await this.pauseRecording();
+      alert('Storage is full, so recording was paused and the last call was not saved. ' +
+        'Delete or export old sessions, or set retention rules under Storage, then continue recording.');
+    }
+    return null;
+  }
+  
   detachNetworkListener() {
     if (this.networkListener) {
       chrome.devtools.network.onRequestFinished.removeListener(this.networkListener);
@@ -278,192 +894,402 @@ class APILoggerPanel {
   }
   
   async processRequest(request) {
-    const { request: req, response: res, startedDateTime, time } = request;
+    const { subject, call } = await processRequest(request, {
+      captureRules: this.captureRules,
+      redact: this.redactor,
+      bodyLimits: this.bodyLimits
+    });
+    if (!call) {
+      this.skippedRequests = [subject, ...this.skippedRequests].slice(0, MAX_SKIPPED_REQUESTS);
+    }
+    return call;
+  }
+  
+  renderCalls() {
+    this.renderedCalls = this.currentCalls.filter(call => this.isListed(call));
+    this.invalidateTimeline();
     
-    const resourceType = request._resourceType || '';
-    if (!this.isApiCall(req.url, resourceType, res.content?.mimeType)) {
-      return null;
+    if (this.renderedCalls.length === 0) {
+      this.visibleRange = null;
+      this.requestsList.innerHTML = `
+        <div class="empty-state">
+          <h3>No API calls recorded</h3>
+          <p>${this.activeSession ? 'Start recording to capture API calls.' : 'Select or create a session to begin.'}</p>
+        </div>
+      `;
+      return;
     }
     
-    let responseBody = null;
-    let truncated = false;
+    this.renderVisibleCalls({ force: true });
+  }
+  
+  /**
+   * Add loaded or newly recorded calls to the list without re-rendering the rows in view
+   */
+  appendCalls(calls) {
+    const added = calls.filter(call => !this.callIds.has(call.id));
+    if (added.length === 0) return;
     
-    try {
-      responseBody = await this.getResponseBody(request);
-      const MAX_SIZE = 100 * 1024;
-      if (responseBody && responseBody.length > MAX_SIZE) {
-        responseBody = responseBody.substring(0, MAX_SIZE);
-        truncated = true;
-      }
-    } catch (e) {}
-    
-    let requestBody = req.postData?.text || null;
-    if (requestBody && requestBody.length > 100 * 1024) {
-      requestBody = requestBody.substring(0, 100 * 1024) + '\n[TRUNCATED]';
-    }
-    
-    return {
-      method: req.method,
-      url: req.url,
-      requestHeaders: this.filterHeaders(req.headers),
-      requestBody,
-      requestContentType: req.postData?.mimeType || this.getHeader(req.headers, 'content-type'),
-      status: res.status,
-      statusText: res.statusText,
-      responseHeaders: this.filterHeaders(res.headers),
-      responseBody,
-      responseBodyTruncated: truncated,
-      responseContentType: res.content?.mimeType || this.getHeader(res.headers, 'content-type'),
-      responseSize: res.content?.size || 0,
-      startTime: new Date(startedDateTime).getTime(),
-      duration: Math.round(time || 0)
-    };
+    added.forEach(call => this.callIds.add(call.id));
+    this.invalidateTimeline();
+    const last = this.currentCalls[this.currentCalls.length - 1];
+    this.currentCalls.push(...added);
+    
+    // A call recorded while older pages were still loading arrives ahead of them
+    if (last && added[0].seq < last.seq) {
+      this.currentCalls.sort((a, b) => a.seq - b.seq || a.id - b.id);
+      this.renderCalls();
+      return;
+    }
+    
+    const matching = added.filter(call => this.isListed(call));
+    if (matching.length === 0) return;
+    if (this.renderedCalls.length === 0) {
+      this.renderCalls();
+      return;
+    }
+    
+    const list = this.requestsList;
+    const followTail = list.scrollTop > 0 && list.scrollTop + list.clientHeight >= list.scrollHeight - ROW_HEIGHT;
+    this.renderedCalls.push(...matching);
+    this.renderVisibleCalls({ force: true });
+    if (followTail) {
+      list.scrollTop = list.scrollHeight;
+    }
   }
   
-  getResponseBody(request) {
-    return new Promise((resolve, reject) => {
-      request.getContent((content, encoding) => {
-        if (chrome.runtime.lastError) {
-          reject(chrome.runtime.lastError);
-          return;
-        }
-        if (encoding === 'base64' && content) {
-          try { resolve(atob(content)); }
-          catch (e) { resolve(content); }
-        } else {
-          resolve(content);
-        }
-      });
+  scheduleVisibleRender() {
+    if (this.scrollFrame || this.renderedCalls.length === 0) return;
+    this.scrollFrame = requestAnimationFrame(() => {
+      this.scrollFrame = null;
+      this.renderVisibleCalls();
     });
   }
   
-  isApiCall(url, resourceType, mimeType) {
-    const urlLower = url.toLowerCase();
+  /**
+   * Render only the rows in and around the viewport, between spacers sized
+   * for the rows that are not rendered. Details are rendered for the expanded call only.
+   */
+  renderVisibleCalls({ force = false } = {}) {
+    const calls = this.renderedCalls;
+    const expandedIdx = calls.findIndex(call => call.id === this.expandedCallId);
+    const total = this.offsetOfIndex(calls.length, expandedIdx);
+    // The list may just have shrunk below the current scroll position
+    const viewTop = Math.min(this.requestsList.scrollTop, Math.max(0, total - this.requestsList.clientHeight));
+    const viewBottom = viewTop + this.requestsList.clientHeight;
+    const start = Math.max(0, this.indexAtOffset(viewTop, expandedIdx) - ROW_OVERSCAN);
+    const end = Math.min(calls.length, this.indexAtOffset(viewBottom, expandedIdx) + ROW_OVERSCAN + 1);
     
-    const excludedResourceTypes = ['image', 'font', 'stylesheet', 'script', 'media', 'texttrack', 'manifest'];
-    if (excludedResourceTypes.includes(resourceType)) return false;
+    if (!force && this.visibleRange?.start === start && this.visibleRange?.end === end) return;
+    this.visibleRange = { start, end };
     
-    const excludedMimePatterns = [
-      'image/', 'video/', 'audio/', 'font/',
-      'application/octet-stream', 'application/pdf',
-      'application/zip', 'application/gzip',
-      'text/css', 'text/javascript', 'application/javascript',
-      'application/wasm'
-    ];
-    if (mimeType && excludedMimePatterns.some(p => mimeType.includes(p))) return false;
-    
-    const staticExt = [
-      '.js', '.mjs', '.css', '.scss', '.less',
-      '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico', '.bmp', '.avif',
-      '.woff', '.woff2', '.ttf', '.eot', '.otf',
-      '.mp3', '.mp4', '.webm', '.ogg', '.wav', '.avi', '.mov',
-      '.pdf', '.zip', '.gz', '.tar', '.rar',
-      '.map', '.wasm'
-    ];
-    if (staticExt.some(ext => urlLower.endsWith(ext))) return false;
+    // Keep an unsaved note when its row is re-rendered
+    const noteInput = this.requestsList.querySelector('.annotation-note');
+    if (noteInput) {
+      this.noteDraft = { callId: Number(noteInput.dataset.callId), note: noteInput.value };
+    }
+    
+    const top = this.offsetOfIndex(start, expandedIdx);
+    const bottom = total - this.offsetOfIndex(end, expandedIdx);
+    const rows = [];
+    for (let idx = start; idx < end; idx++) {
+      rows.push(this.renderCallRow(calls[idx], idx));
+      if (idx === expandedIdx) rows.push(this.renderCallDetails(calls[idx], idx));
+    }
+    
+    this.requestsList.innerHTML = `
+      <div class="list-spacer" style="height: ${top}px"></div>
+      ${rows.join('')}
+      <div class="list-spacer" style="height: ${bottom}px"></div>
+    `;
+    
+    this.requestsList.querySelectorAll('.request-row').forEach(row => {
+      row.onclick = () => this.toggleCall(Number(row.dataset.idx));
+    });
+    
+    this.requestsList.querySelectorAll('.copy-snippet-btn').forEach(btn => {
+      btn.onclick = () => this.copySnippet(btn, this.renderedCalls[btn.dataset.idx], btn.dataset.snippet);
+    });
     
-    if (resourceType === 'xhr' || resourceType === 'fetch') return true;
+    this.requestsList.querySelectorAll('.split-session-btn').forEach(btn => {
+      btn.onclick = () => this.splitActiveSessionAt(this.renderedCalls[btn.dataset.idx]);
+    });
     
-    const apiMimeTypes = ['application/json', 'application/xml', 'text/xml', 'text/html', 'text/plain'];
-    if (mimeType && apiMimeTypes.some(t => mimeType.includes(t))) return true;
+    this.requestsList.querySelectorAll('.capture-rule-btn').forEach(btn => {
+      btn.onclick = () => this.showCaptureRulesDialog(this.renderedCalls[btn.dataset.idx]);
+    });
     
-    const apiPatterns = ['/api/', '/v1/', '/v2/', '/v3/', '/v4/', '/graphql', '/rest/', '/rpc/', '.json', '/query', '/mutation'];
-    if (apiPatterns.some(p => urlLower.includes(p))) return true;
+    this.bindAnnotationControls(this.requestsList);
     
-    return false;
+    // The spacers use the last measured details height; fix them up once the real one is known
+    const details = document.getElementById(`details-${expandedIdx}`);
+    if (details && details.offsetHeight !== this.detailsHeight) {
+      this.detailsHeight = details.offsetHeight;
+      this.renderVisibleCalls({ force: true });
+    }
   }
   
-  filterHeaders(headers) {
-    if (!headers) return null;
-    const filtered = {};
-    const sensitive = ['cookie', 'set-cookie', 'authorization', 'x-api-key', 'api-key'];
-    for (const h of headers) {
-      const name = h.name.toLowerCase();
-      filtered[name] = sensitive.includes(name) ? '[REDACTED]' : h.value;
+  /**
+   * Index of the call at a vertical offset in the list
+   */
+  indexAtOffset(offset, expandedIdx) {
+    if (expandedIdx !== -1) {
+      const detailsTop = (expandedIdx + 1) * ROW_HEIGHT;
+      if (offset >= detailsTop + this.detailsHeight) return Math.floor((offset - this.detailsHeight) / ROW_HEIGHT);
+      if (offset >= detailsTop) return expandedIdx;
     }
-    return filtered;
+    return Math.floor(offset / ROW_HEIGHT);
   }
   
-  getHeader(headers, name) {
-    if (!headers) return null;
-    const h = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
-    return h?.value || null;
+  /**
+   * Vertical offset of the row at an index in the list
+   */
+  offsetOfIndex(idx, expandedIdx) {
+    const detailsAbove = expandedIdx !== -1 && idx > expandedIdx ? this.detailsHeight : 0;
+    return idx * ROW_HEIGHT + detailsAbove;
   }
   
-  renderCalls() {
-    const calls = this.filterText 
-      ? this.currentCalls.filter(c => 
-          c.url.toLowerCase().includes(this.filterText) ||
-          c.method.toLowerCase().includes(this.filterText)
-        )
-      : this.currentCalls;
-    
-    if (calls.length === 0) {
-      this.requestsList.innerHTML = `
-        <div class="empty-state">
-          <h3>No API calls recorded</h3>
-          <p>${this.activeSession ? 'Start recording to capture API calls.' : 'Select or create a session to begin.'}</p>
-        </div>
-      `;
-      return;
-    }
+  toggleCall(idx) {
+    const call = this.renderedCalls[idx];
+    if (!call) return;
     
-    this.requestsList.innerHTML = calls.map((call, idx) => `
-      <div class="request-row" data-idx="${idx}">
-        <span class="method ${call.method}">${call.method}</span>
+    this.expandedCallId = this.expandedCallId === call.id ? null : call.id;
+    this.noteDraft = null;
+    this.renderVisibleCalls({ force: true });
+    this.scheduleTimelineRender();
+  }
+  
+  /**
+   * Whether a call passes the filter and lies in the time range selected on the timeline
+   */
+  isListed(call) {
+    return (!this.filterPredicate || this.filterPredicate(call)) &&
+      (!this.timeWindow || overlapsWindow(call, this.timeWindow));
+  }
+  
+  renderCallRow(call, idx) {
+    return `
+      <div class="request-row ${call.id === this.expandedCallId ? 'expanded' : ''}" data-idx="${idx}">
+        ${this.renderCallMarks(call, idx)}
+        <span class="method ${this.escapeHtml(call.method)}">${this.escapeHtml(call.method)}</span>
         <span class="status-code ${this.getStatusClass(call.status)}">${call.status}</span>
-        <span class="url" title="${this.escapeHtml(call.url)}">${this.truncateUrl(call.url)}</span>
+        <span class="url" title="${this.escapeHtml(call.url)}">${this.escapeHtml(this.truncateUrl(call.url))}</span>
         <span class="duration">${call.duration}ms</span>
         <span class="time">${this.formatTime(call.timestamp || call.startTime)}</span>
       </div>
-      <div class="request-details" id="details-${idx}">
-        <div class="detail-section">
-          <h4>Request</h4>
-          <div class="detail-content">${call.method} ${call.url}
-${call.requestHeaders ? '\nHeaders:\n' + JSON.stringify(call.requestHeaders, null, 2) : ''}
-${call.requestBody ? '\nBody:\n' + this.formatBody(call.requestBody) : ''}</div>
+    `;
+  }
+  
+  renderCallDetails(call, idx) {
+    const note = this.noteDraft?.callId === call.id ? this.noteDraft.note : this.annotations.get(call.id)?.note || '';
+    return `
+      <div class="request-details expanded" id="details-${idx}">
+        <div class="detail-actions">
+          ${Object.entries(SNIPPET_FORMATS).map(([id, format]) => `
+            <button class="copy-snippet-btn" data-idx="${idx}" data-snippet="${id}">Copy as ${format.label}</button>
+          `).join('')}
+          <button class="split-session-btn" data-idx="${idx}" title="Move this call and every later call into a new session">Split Session Here</button>
+          <button class="capture-rule-btn" data-idx="${idx}" title="Check this call against the capture rules">Why Captured?</button>
         </div>
         <div class="detail-section">
-          <h4>Response (${call.status} ${call.statusText || ''})</h4>
-          <div class="detail-content">${call.responseHeaders ? 'Headers:\n' + JSON.stringify(call.responseHeaders, null, 2) + '\n\n' : ''}${call.responseBody ? 'Body:\n' + this.formatBody(call.responseBody) : '(no body)'}${call.responseBodyTruncated ? '\n[TRUNCATED]' : ''}</div>
+          <h4>Annotation</h4>
+          <textarea class="annotation-note" id="note-${idx}" data-call-id="${call.id}" placeholder="What does this call show?">${this.escapeHtml(note)}</textarea>
+          <button class="save-note-btn" data-idx="${idx}">Save Note</button>
         </div>
+        ${this.renderCallTiming(call)}
+        ${call.locked
+          ? '<div class="detail-section locked-notice">Headers and bodies are encrypted. Click Unlock in the sessions header to read them.</div>'
+          : this.renderCallContent(call)}
       </div>
-    `).join('');
+    `;
+  }
+  
+  /**
+   * Timing bar and connection details of a call
+   * Calls recorded before timings were kept have neither, so nothing is shown.
+   */
+  renderCallTiming(call) {
+    const connection = [
+      call.httpVersion,
+      call.serverIPAddress,
+      call.connection && `connection ${call.connection}`,
+      typeof call.transferSize === 'number' && `${formatBytes(call.transferSize)} transferred`,
+      CACHE_STATUSES[call.cacheStatus]
+    ].filter(Boolean);
+    if (!call.timings && connection.length === 0) return '';
     
-    this.requestsList.querySelectorAll('.request-row').forEach(row => {
-      row.onclick = () => {
-        const details = document.getElementById(`details-${row.dataset.idx}`);
-        const wasExpanded = details.classList.contains('expanded');
-        document.querySelectorAll('.request-details.expanded').forEach(d => d.classList.remove('expanded'));
-        document.querySelectorAll('.request-row.expanded').forEach(r => r.classList.remove('expanded'));
-        if (!wasExpanded) {
-          details.classList.add('expanded');
-          row.classList.add('expanded');
-        }
+    const segments = call.timings ? timingSegments(call.timings) : [];
+    const total = segments.reduce((sum, segment) => sum + segment.duration, 0);
+    const ms = (value) => `${Math.round(value * 10) / 10} ms`;
+    
+    return `
+      <div class="detail-section">
+        <h4>Timing</h4>
+        ${total > 0 ? `
+          <div class="timing-bar">
+            ${segments.filter(segment => segment.duration > 0).map(segment => `
+              <span class="timing-${segment.key}" style="left: ${segment.start / total * 100}%; width: ${segment.duration / total * 100}%" title="${segment.label}: ${ms(segment.duration)}"></span>
+            `).join('')}
+          </div>
+          <table class="timing-table">
+            ${segments.map(segment => `
+              <tr><td><span class="timing-swatch timing-${segment.key}"></span>${segment.label}</td><td>${ms(segment.duration)}</td></tr>
+            `).join('')}
+            <tr class="timing-total"><td>Total</td><td>${ms(total)}</td></tr>
+          </table>
+        ` : ''}
+        ${connection.length ? `<div class="timing-connection">${this.escapeHtml(connection.join(' · '))}</div>` : ''}
+      </div>
+    `;
+  }
+  
+  renderCallContent(call) {
+    return `
+      <div class="detail-section">
+        <h4>Request</h4>
+        <div class="detail-content">${this.escapeHtml(`${call.method} ${call.url}`)}
+${call.requestHeaders ? '\nHeaders:\n' + this.escapeHtml(JSON.stringify(call.requestHeaders, null, 2)) : ''}
+${call.requestBody ? '\nBody:\n' + this.formatBody(call.requestBody) : ''}${call.requestBodyTruncated ? '\n[TRUNCATED]' : ''}</div>
+      </div>
+      <div class="detail-section">
+        <h4>Response (${call.status} ${this.escapeHtml(call.statusText || '')})</h4>
+        <div class="detail-content">${call.responseHeaders ? 'Headers:\n' + this.escapeHtml(JSON.stringify(call.responseHeaders, null, 2)) + '\n\n' : ''}${call.responseBody ? 'Body:\n' + this.formatBody(call.responseBody) : '(no body)'}${call.responseBodyTruncated ? '\n[TRUNCATED]' : ''}</div>
+      </div>
+    `;
+  }
+  
+  renderCallMarks(call, idx) {
+    const annotation = this.annotations.get(call.id);
+    return `
+      <span class="call-marks" id="marks-${idx}">
+        <button class="mark-btn star ${annotation?.starred ? 'on' : ''}" data-idx="${idx}" data-mark="starred" title="Star">★</button>
+        <button class="mark-btn flag ${annotation?.flagged ? 'on' : ''}" data-idx="${idx}" data-mark="flagged" title="Flag">⚑</button>
+        ${annotation?.note ? `<span class="note-mark" title="${this.escapeHtml(annotation.note)}">✎</span>` : ''}
+      </span>
+    `;
+  }
+  
+  bindAnnotationControls(root) {
+    root.querySelectorAll('.mark-btn').forEach(btn => {
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        const call = this.renderedCalls[btn.dataset.idx];
+        const annotation = this.annotations.get(call.id) || {};
+        this.annotateCall(btn.dataset.idx, { ...annotation, [btn.dataset.mark]: !annotation[btn.dataset.mark] });
+      };
+    });
+    
+    root.querySelectorAll('.save-note-btn').forEach(btn => {
+      btn.onclick = () => {
+        const call = this.renderedCalls[btn.dataset.idx];
+        const note = document.getElementById(`note-${btn.dataset.idx}`).value;
+        this.noteDraft = null;
+        this.annotateCall(btn.dataset.idx, { ...this.annotations.get(call.id), note });
       };
     });
   }
   
-  formatBody(body) {
-    if (!body) return '';
+  async annotateCall(idx, annotation) {
+    const call = this.renderedCalls[idx];
+    if (!call) return;
+    
     try {
-      return JSON.stringify(JSON.parse(body), null, 2);
-    } catch (e) {
-      return body;
+      const saved = await setCallAnnotation(call, annotation);
+      if (saved) {
+        this.annotations.set(call.id, saved);
+      } else {
+        this.annotations.delete(call.id);
+      }
+    } catch (error) {
+      console.error('Saving annotation failed:', error);
+      alert('Saving annotation failed: ' + error.message);
+      return;
     }
+    
+    // Update the row in place so the expanded details stay open
+    const marks = document.getElementById(`marks-${idx}`);
+    if (!marks) return;
+    marks.outerHTML = this.renderCallMarks(call, idx);
+    this.bindAnnotationControls(document.getElementById(`marks-${idx}`));
   }
   
-  updateUI() {
-    const hasSession = !!this.activeSession;
-    const canRecord = hasSession && !this.isRecording;
-    const canPause = this.isRecording && !this.isPaused;
-    const canStop = this.isRecording || this.isPaused;
+  async copySnippet(btn, call, snippetId) {
+    const format = SNIPPET_FORMATS[snippetId];
+    if (!call || !format) return;
+    
+    const label = btn.textContent;
+    try {
+      await this.copyToClipboard(format.generate(call));
+      btn.textContent = 'Copied!';
+    } catch (error) {
+      console.error('Copy failed:', error);
+      btn.textContent = 'Copy failed';
+    }
+    setTimeout(() => { btn.textContent = label; }, 1500);
+  }
+  
+  async copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (e) {
+      // DevTools panels often lack clipboard-write focus; fall back to execCommand
+      const textarea = document.createElement('textarea');
+      textarea.value = text;
+      document.body.appendChild(textarea);
+      textarea.select();
+      const copied = document.execCommand('copy');
+      document.body.removeChild(textarea);
+      if (!copied) throw e;
+    }
+  }
+  
+  /**
+   * Body text for the call details, pretty-printed when it is JSON
+   * @param {string|ArrayBuffer} body
+   * @returns {string} - HTML-escaped text
+   */
+  formatBody(body) {
+    if (!body) return '';
+    if (isBinaryBody(body)) return this.formatHexDump(body);
+    try {
+      return this.escapeHtml(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (e) {
+      return this.escapeHtml(body);
+    }
+  }
+  
+  /**
+   * Hex and ASCII view of a binary body, limited to its first bytes
+   * @param {ArrayBuffer} body
+   * @returns {string} - HTML-escaped text
+   */
+  formatHexDump(body) {
+    const bytes = new Uint8Array(body, 0, Math.min(body.byteLength, MAX_HEX_DUMP_BYTES));
+    const lines = [`Binary body, ${formatBytes(body.byteLength)}`];
+    for (let offset = 0; offset < bytes.length; offset += 16) {
+      const row = bytes.subarray(offset, offset + 16);
+      const hex = Array.from(row, byte => byte.toString(16).padStart(2, '0')).join(' ');
+      const ascii = Array.from(row, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+      lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${this.escapeHtml(ascii)}`);
+    }
+    if (body.byteLength > bytes.length) {
+      lines.push(`… ${body.byteLength - bytes.length} more bytes`);
+    }
+    return lines.join('\n');
+  }
+  
+  updateUI() {
+    const hasSession = !!this.activeSession;
+    const canRecord = hasSession && !this.isRecording;
+    const canPause = this.isRecording && !this.isPaused;
+    const canStop = this.isRecording || this.isPaused;
     const canExport = hasSession && this.currentCalls.length > 0;
+    this.copyToSessionBtn.disabled = !canExport;
     
     this.startBtn.disabled = !canRecord;
     this.pauseBtn.disabled = !canPause;
     this.stopBtn.disabled = !canStop;
-    this.exportBtn.disabled = !canExport;
+    this.exportBtn.disabled = !canExport || !!this.exportController;
     
     if (this.isRecording) {
       this.statusBadge.textContent = 'Recording';
@@ -476,16 +1302,1121 @@ ${call.requestBody ? '\nBody:\n' + this.formatBody(call.requestBody) : ''}</div>
       this.statusBadge.className = 'status-badge idle';
     }
     
-    this.requestCounter.textContent = `${this.currentCalls.length} calls`;
+    this.requestCounter.textContent = this.isLoadingCalls
+      ? `${this.currentCalls.length} of ${this.activeSession.callCount} calls`
+      : `${this.currentCalls.length} calls`;
   }
   
   setFilter(text) {
-    this.filterText = text.toLowerCase();
+    // Keep the last valid filter while the query is being edited
+    try {
+      this.filterPredicate = text.trim() ? compileFilter(text) : null;
+      this.filterError.textContent = '';
+      this.filterInput.classList.remove('invalid');
+    } catch (error) {
+      this.filterError.textContent = error.message;
+      this.filterInput.classList.add('invalid');
+    }
+    
+    this.filterSuggestions.innerHTML = getFilterSuggestions(text, this.currentCalls)
+      .map(s => `<option value="${this.escapeHtml(s.query)}">${this.escapeHtml(s.label)}</option>`)
+      .join('');
     this.renderCalls();
   }
   
+  async loadFilterPresets() {
+    const result = await chrome.storage.sync.get('apiLoggerFilterPresets');
+    this.filterPresets = result.apiLoggerFilterPresets || [];
+    this.renderFilterPresets();
+  }
+  
+  async storeFilterPresets() {
+    await chrome.storage.sync.set({ apiLoggerFilterPresets: this.filterPresets });
+    this.renderFilterPresets();
+  }
+  
+  renderFilterPresets() {
+    this.filterPresetSelect.innerHTML = '<option value="">Presets</option>' + this.filterPresets
+      .map(preset => `<option value="${this.escapeHtml(preset.name)}" title="${this.escapeHtml(preset.query)}">${this.escapeHtml(preset.name)}</option>`)
+      .join('');
+    this.deletePresetBtn.disabled = true;
+  }
+  
+  applyFilterPreset(name) {
+    const preset = this.filterPresets.find(p => p.name === name);
+    this.deletePresetBtn.disabled = !preset;
+    if (!preset) return;
+    
+    this.filterInput.value = preset.query;
+    this.setFilter(preset.query);
+  }
+  
+  async saveFilterPreset() {
+    const query = this.filterInput.value.trim();
+    if (!query) return;
+    
+    try {
+      compileFilter(query);
+    } catch (error) {
+      alert('Cannot save an invalid filter: ' + error.message);
+      return;
+    }
+    
+    const name = prompt('Preset name:', query);
+    if (!name) return;
+    
+    this.filterPresets = [
+      ...this.filterPresets.filter(p => p.name !== name),
+      { name, query }
+    ];
+    await this.storeFilterPresets();
+    this.filterPresetSelect.value = name;
+    this.deletePresetBtn.disabled = false;
+  }
+  
+  async deleteFilterPreset(name) {
+    if (!name || !confirm(`Delete preset "${name}"?`)) return;
+    
+    this.filterPresets = this.filterPresets.filter(p => p.name !== name);
+    await this.storeFilterPresets();
+  }
+  
+  async runSearch() {
+    const query = this.searchInput.value.trim();
+    const run = ++this.searchRun;
+    
+    if (!query) {
+      this.searchResults.hidden = true;
+      this.searchResults.innerHTML = '';
+      return;
+    }
+    
+    const allSessions = this.searchScopeSelect.value === 'all';
+    if (!allSessions && !this.activeSession) {
+      this.renderSearchResults([], query, 'Select a session or search all sessions.');
+      return;
+    }
+    
+    try {
+      const results = await searchCalls(query, {
+        sessionId: allSessions ? null : this.activeSession.id,
+        limit: SEARCH_RESULT_LIMIT
+      });
+      // A newer search started while this one was running
+      if (run !== this.searchRun) return;
+      this.renderSearchResults(results, query);
+    } catch (error) {
+      console.error('Search failed:', error);
+      this.renderSearchResults([], query, 'Search failed: ' + error.message);
+    }
+  }
+  
+  renderSearchResults(results, query, message = null) {
+    const terms = tokenize(query);
+    const sessionNames = new Map(this.sessions.map(s => [s.id, s.name]));
+    const showSession = this.searchScopeSelect.value === 'all';
+    
+    const count = results.length >= SEARCH_RESULT_LIMIT ? `${SEARCH_RESULT_LIMIT}+` : results.length;
+    const header = message || `${count} result${results.length === 1 ? '' : 's'}`;
+    
+    this.searchResults.innerHTML = `
+      <div class="search-results-header">
+        <span>${this.escapeHtml(header)}</span>
+        <button id="closeSearchBtn">Close</button>
+      </div>
+      ${results.map(call => `
+        <div class="search-result" data-session-id="${call.sessionId}" data-call-id="${call.id}">
+          <div class="search-result-title">
+            <span class="method ${this.escapeHtml(call.method)}">${this.escapeHtml(call.method)}</span>
+            <span class="status-code ${this.getStatusClass(call.status)}">${call.status}</span>
+            <span class="url" title="${this.escapeHtml(call.url)}">${this.escapeHtml(this.truncateUrl(call.url))}</span>
+            ${showSession ? `<span class="search-result-session">${this.escapeHtml(sessionNames.get(call.sessionId) || call.sessionId)}</span>` : ''}
+          </div>
+          ${buildSnippets(call, terms).map(snippet => `
+            <div class="search-snippet"><span class="snippet-field">${snippet.field}</span> ${this.escapeHtml(snippet.before)}<mark>${this.escapeHtml(snippet.match)}</mark>${this.escapeHtml(snippet.after)}</div>
+          `).join('')}
+        </div>
+      `).join('')}
+    `;
+    this.searchResults.hidden = false;
+    
+    document.getElementById('closeSearchBtn').onclick = () => this.clearSearch();
+    
+    this.searchResults.querySelectorAll('.search-result').forEach(el => {
+      el.onclick = () => this.openSearchResult(el.dataset.sessionId, Number(el.dataset.callId));
+    });
+  }
+  
+  async openSearchResult(sessionId, callId) {
+    if (this.activeSession?.id !== sessionId) {
+      await this.selectSession(sessionId);
+    }
+    await this.loadingCalls;
+    this.revealCall(callId);
+  }
+  
+  /**
+   * Expand a call of the open session and scroll it into view, dropping the
+   * time range and then the filter if they hide it
+   */
+  revealCall(callId) {
+    if (this.timeWindow && !this.renderedCalls.some(c => c.id === callId)) {
+      this.setTimeWindow(null);
+    }
+    if (!this.renderedCalls.some(c => c.id === callId)) {
+      this.filterInput.value = '';
+      this.setFilter('');
+    }
+    
+    const idx = this.renderedCalls.findIndex(c => c.id === callId);
+    if (idx === -1) return;
+    
+    this.expandedCallId = callId;
+    this.noteDraft = null;
+    this.requestsList.scrollTop = Math.max(0, idx * ROW_HEIGHT - this.requestsList.clientHeight / 2);
+    this.renderVisibleCalls({ force: true });
+    this.scheduleTimelineRender();
+  }
+  
+  clearSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchRun++;
+    this.searchInput.value = '';
+    this.searchResults.hidden = true;
+    this.searchResults.innerHTML = '';
+  }
+  
+  bindTimelineUI() {
+    this.timelineBtn = document.getElementById('timelineBtn');
+    this.timelinePane = document.getElementById('timelinePane');
+    this.timelineAxis = document.getElementById('timelineAxis');
+    this.timelineBody = document.getElementById('timelineBody');
+    this.timeWindowText = document.getElementById('timeWindowText');
+    this.zoomToTimeWindowBtn = document.getElementById('zoomToTimeWindowBtn');
+    this.clearTimeWindowBtn = document.getElementById('clearTimeWindowBtn');
+    
+    this.timelineBtn.onclick = () => this.toggleTimeline();
+    document.getElementById('timelineZoomInBtn').onclick = () => this.zoomTimeline(1 / TIMELINE_ZOOM_STEP);
+    document.getElementById('timelineZoomOutBtn').onclick = () => this.zoomTimeline(TIMELINE_ZOOM_STEP);
+    document.getElementById('timelineFitBtn').onclick = () => {
+      this.timelineRange = null;
+      this.renderTimeline();
+    };
+    this.zoomToTimeWindowBtn.onclick = () => {
+      this.timelineRange = { ...this.timeWindow };
+      this.renderTimeline();
+    };
+    this.clearTimeWindowBtn.onclick = () => this.setTimeWindow(null);
+    this.timelineBody.onscroll = () => this.scheduleTimelineRender();
+    this.timelineBody.onwheel = (e) => this.wheelTimeline(e, e.ctrlKey || e.metaKey);
+    this.timelineAxis.onwheel = (e) => this.wheelTimeline(e, true);
+    this.timelineBody.onmousedown = (e) => this.dragTimeline(e, 'pan');
+    this.timelineAxis.onmousedown = (e) => this.dragTimeline(e, 'brush');
+  }
+  
+  toggleTimeline() {
+    this.showTimeline = !this.showTimeline;
+    this.timelinePane.hidden = !this.showTimeline;
+    this.timelineBtn.classList.toggle('active', this.showTimeline);
+    
+    // A hidden time range would keep filtering the list without a way to see or clear it
+    if (!this.showTimeline && this.timeWindow) {
+      this.setTimeWindow(null);
+    }
+    this.renderTimeline();
+    this.scheduleVisibleRender();
+  }
+  
+  /**
+   * Remember a page load of the inspected tab while recording, to mark it on the timeline
+   */
+  async recordNavigation(url) {
+    if (!this.isRecording || !this.activeSession) return;
+    
+    const sessionId = this.activeSession.id;
+    try {
+      const session = await addSessionNavigation(sessionId, { url, time: Date.now() });
+      if (this.activeSession?.id !== sessionId) return;
+      this.activeSession.navigations = session.navigations;
+      this.scheduleTimelineRender();
+    } catch (error) {
+      console.error('Recording navigation failed:', error);
+    }
+  }
+  
+  /**
+   * Show only calls in flight during a time range in the list, or all calls for null
+   * @param {{start: number, end: number}|null} timeWindow
+   */
+  setTimeWindow(timeWindow) {
+    this.timeWindow = timeWindow;
+    this.renderCalls();
+    this.updateUI();
+  }
+  
+  /**
+   * Lay the timeline out again on the next frame, after calls or the filter changed
+   */
+  invalidateTimeline() {
+    this.timelineLayout = null;
+    this.scheduleTimelineRender();
+  }
+  
+  scheduleTimelineRender() {
+    if (!this.showTimeline || this.timelineFrame) return;
+    this.timelineFrame = requestAnimationFrame(() => {
+      this.timelineFrame = null;
+      this.renderTimeline();
+    });
+  }
+  
+  /**
+   * Calls that pass the filter, grouped by host and packed into lanes
+   * The time range is left out, so the calls around it stay visible.
+   */
+  getTimelineLayout() {
+    if (!this.timelineLayout) {
+      this.timelineLayout = buildTimeline(this.filterPredicate ? this.currentCalls.filter(this.filterPredicate) : this.currentCalls);
+    }
+    return this.timelineLayout;
+  }
+  
+  /**
+   * Time range in view: the zoomed range, or the whole session
+   */
+  timelineViewRange() {
+    if (this.timelineRange) return this.timelineRange;
+    const { start, end } = this.getTimelineLayout();
+    return { start, end: Math.max(end, start + TIMELINE_MIN_SPAN_MS) };
+  }
+  
+  timelinePlotWidth() {
+    return Math.max(1, this.timelineBody.clientWidth - TIMELINE_LABEL_WIDTH);
+  }
+  
+  /**
+   * Time under a mouse position, clamped to the range in view
+   */
+  timelineTimeAt(clientX) {
+    const range = this.timelineViewRange();
+    const width = this.timelinePlotWidth();
+    const x = Math.min(width, Math.max(0, clientX - this.timelineAxis.getBoundingClientRect().left - TIMELINE_LABEL_WIDTH));
+    return range.start + x / width * (range.end - range.start);
+  }
+  
+  /**
+   * Zoom the timeline around a time, by default the middle of the range in view
+   * @param {number} factor - Above 1 zooms out, below 1 zooms in
+   * @param {number} [pivot]
+   */
+  zoomTimeline(factor, pivot = null) {
+    const range = this.timelineViewRange();
+    const span = range.end - range.start;
+    const center = pivot ?? range.start + span / 2;
+    const ratio = (center - range.start) / span;
+    const newSpan = Math.max(TIMELINE_MIN_SPAN_MS, span * factor);
+    
+    this.timelineRange = { start: center - ratio * newSpan, end: center + (1 - ratio) * newSpan };
+    this.scheduleTimelineRender();
+  }
+  
+  /**
+   * Move the range in view by a share of its width
+   */
+  panTimeline(share) {
+    const range = this.timelineViewRange();
+    const shift = share * (range.end - range.start);
+    this.timelineRange = { start: range.start + shift, end: range.end + shift };
+    this.scheduleTimelineRender();
+  }
+  
+  /**
+   * The wheel zooms on the axis and with Ctrl on the plot; horizontal scrolling pans
+   */
+  wheelTimeline(event, zoom) {
+    if (this.getTimelineLayout().rows.length === 0) return;
+    
+    if (zoom) {
+      event.preventDefault();
+      this.zoomTimeline(event.deltaY > 0 ? TIMELINE_ZOOM_STEP : 1 / TIMELINE_ZOOM_STEP, this.timelineTimeAt(event.clientX));
+    } else if (Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+      event.preventDefault();
+      this.panTimeline(event.deltaX / this.timelinePlotWidth());
+    }
+  }
+  
+  /**
+   * Dragging the plot pans and clicking a bar opens its call; dragging the
+   * axis selects the time range that filters the list
+   * @param {MouseEvent} event
+   * @param {string} mode - pan or brush
+   */
+  dragTimeline(event, mode) {
+    if (event.button !== 0 || this.getTimelineLayout().rows.length === 0) return;
+    event.preventDefault();
+    
+    const startX = event.clientX;
+    const startRange = this.timelineViewRange();
+    const anchor = this.timelineTimeAt(event.clientX);
+    const bar = event.target.closest('.timeline-bar');
+    let moved = false;
+    
+    const onMove = (e) => {
+      if (!moved && Math.abs(e.clientX - startX) < TIMELINE_DRAG_THRESHOLD) return;
+      moved = true;
+      
+      if (mode === 'pan') {
+        this.timelineRange = startRange;
+        this.panTimeline((startX - e.clientX) / this.timelinePlotWidth());
+      } else {
+        const time = this.timelineTimeAt(e.clientX);
+        this.timelineBrush = { start: Math.min(anchor, time), end: Math.max(anchor, time) };
+        this.scheduleTimelineRender();
+      }
+    };
+    
+    const onUp = () => {
+      window.removeEventListener('mousemove', onMove);
+      window.removeEventListener('mouseup', onUp);
+      
+      if (mode === 'brush' && moved) {
+        const brush = this.timelineBrush;
+        this.timelineBrush = null;
+        this.setTimeWindow(brush);
+      } else if (mode === 'pan' && !moved && bar) {
+        this.revealCall(Number(bar.dataset.id));
+      }
+    };
+    
+    window.addEventListener('mousemove', onMove);
+    window.addEventListener('mouseup', onUp);
+  }
+  
+  /**
+   * Render the axis and the host rows in and around the visible part of the
+   * timeline, with bars for the calls in the range in view
+   */
+  renderTimeline() {
+    if (!this.showTimeline) return;
+    this.renderTimeWindowControls();
+    
+    const layout = this.getTimelineLayout();
+    if (layout.rows.length === 0) {
+      this.timelineAxis.innerHTML = '';
+      this.timelineBody.innerHTML = `
+        <div class="empty-state">
+          <p>${this.currentCalls.length > 0 ? 'No calls match the filter.' : 'No calls to plot yet.'}</p>
+        </div>
+      `;
+      return;
+    }
+    
+    const range = this.timelineViewRange();
+    const width = this.timelinePlotWidth();
+    const x = (time) => (time - range.start) / (range.end - range.start) * width;
+    
+    // Ticks count from the first call of the timeline
+    const ticks = timeTicks(range.start - layout.start, range.end - layout.start, Math.max(1, Math.floor(width / TIMELINE_TICK_SPACING)))
+      .map(tick => ({ label: formatOffset(tick), left: TIMELINE_LABEL_WIDTH + x(layout.start + tick) }));
+    const navigations = (this.activeSession?.navigations || [])
+      .filter(navigation => navigation.time >= range.start && navigation.time <= range.end)
+      .map(navigation => ({ title: this.escapeHtml(`Navigated to ${navigation.url}`), left: TIMELINE_LABEL_WIDTH + x(navigation.time) }));
+    const timeWindow = this.renderTimelineWindow(this.timelineBrush || this.timeWindow, range, x);
+    
+    this.timelineAxis.innerHTML = `
+      ${ticks.map(tick => `<span class="timeline-tick" style="left: ${tick.left}px">${tick.label}</span>`).join('')}
+      ${navigations.map(navigation => `<span class="timeline-navigation-flag" style="left: ${navigation.left}px" title="${navigation.title}"></span>`).join('')}
+      ${timeWindow}
+    `;
+    
+    const viewTop = this.timelineBody.scrollTop;
+    const first = Math.max(0, Math.floor(viewTop / TIMELINE_ROW_HEIGHT) - ROW_OVERSCAN);
+    const last = Math.min(layout.rows.length, Math.ceil((viewTop + this.timelineBody.clientHeight) / TIMELINE_ROW_HEIGHT) + ROW_OVERSCAN);
+    const rows = [];
+    for (let idx = first; idx < last; idx++) {
+      const row = layout.rows[idx];
+      const top = idx * TIMELINE_ROW_HEIGHT;
+      if (row.type === 'host') {
+        rows.push(`<div class="timeline-host" style="top: ${top}px" title="${this.escapeHtml(row.host)}">${this.escapeHtml(row.host)} <span class="timeline-count">${row.count}</span></div>`);
+        continue;
+      }
+      
+      const bars = row.calls
+        .filter(call => callEnd(call) >= range.start && callStart(call) <= range.end)
+        .map(call => this.renderTimelineBar(call, x, width));
+      rows.push(`<div class="timeline-lane" style="top: ${top}px; left: ${TIMELINE_LABEL_WIDTH}px">${bars.join('')}</div>`);
+    }
+    
+    this.timelineBody.innerHTML = `
+      <div class="timeline-content" style="height: ${layout.rows.length * TIMELINE_ROW_HEIGHT}px">
+        ${ticks.map(tick => `<div class="timeline-gridline" style="left: ${tick.left}px"></div>`).join('')}
+        ${rows.join('')}
+        ${navigations.map(navigation => `<div class="timeline-navigation" style="left: ${navigation.left}px"></div>`).join('')}
+        ${timeWindow}
+      </div>
+    `;
+  }
+  
+  renderTimelineBar(call, x, width) {
+    const left = Math.max(0, x(callStart(call)));
+    const right = Math.min(width, x(callEnd(call)));
+    const title = `${call.method} ${call.url}\n${call.status} · ${call.duration} ms · starts at ${formatOffset(callStart(call) - this.getTimelineLayout().start)}`;
+    
+    return `<span class="timeline-bar ${statusGroup(call.status)} ${call.id === this.expandedCallId ? 'selected' : ''}" data-id="${call.id}"
+      style="left: ${left}px; width: ${Math.max(1, right - left)}px" title="${this.escapeHtml(title)}"></span>`;
+  }
+  
+  /**
+   * Shading for the selected time range, clipped to the range in view
+   */
+  renderTimelineWindow(timeWindow, range, x) {
+    if (!timeWindow || timeWindow.end < range.start || timeWindow.start > range.end) return '';
+    const left = x(Math.max(timeWindow.start, range.start));
+    const right = x(Math.min(timeWindow.end, range.end));
+    return `<div class="timeline-window" style="left: ${TIMELINE_LABEL_WIDTH + left}px; width: ${Math.max(1, right - left)}px"></div>`;
+  }
+  
+  renderTimeWindowControls() {
+    this.zoomToTimeWindowBtn.hidden = !this.timeWindow;
+    this.clearTimeWindowBtn.hidden = !this.timeWindow;
+    
+    if (!this.timeWindow) {
+      this.timeWindowText.textContent = 'Drag on the axis to list only the calls in a time range';
+      return;
+    }
+    const { start } = this.getTimelineLayout();
+    this.timeWindowText.textContent = `${formatOffset(this.timeWindow.start - start)} – ${formatOffset(this.timeWindow.end - start)}: ` +
+      `${this.renderedCalls.length} of ${this.currentCalls.length} calls listed`;
+  }
+  
+  /**
+   * Delete the sessions selected by the retention rules and log them
+   * @param {string} trigger - startup, schedule, stop, quota or manual
+   * @returns {Promise<Object[]>} - Purged sessions with reasons
+   */
+  async enforceRetention(trigger) {
+    try {
+      const rules = await loadRetentionRules();
+      const sessions = await getSessions();
+      const purged = selectSessionsToPurge(sessions, rules)
+        .filter(({ session }) => !(this.isRecording && session.id === this.activeSession?.id));
+      if (purged.length === 0) return [];
+      
+      for (const { session } of purged) {
+        await deleteSession(session.id);
+      }
+      await recordPurge(purged, trigger);
+      
+      if (purged.some(({ session }) => session.id === this.activeSession?.id)) {
+        this.activeSession = null;
+        this.resetCallList();
+        this.renderCalls();
+      }
+      this.sessions = await getSessions();
+      this.renderSessions();
+      this.updateUI();
+      return purged;
+    } catch (error) {
+      console.error('Retention enforcement failed:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Use the capture rules, body limits and redaction rules for the site of a page
+   * @param {string|null} url - URL of the inspected page
+   */
+  async loadSiteSettings(url) {
+    await this.loadCaptureRules(url);
+    await this.loadRedactionRules(url);
+  }
+  
+  /**
+   * Use the capture rules and body limits for the site of a page
+   * @param {string|null} url - URL of the inspected page
+   */
+  async loadCaptureRules(url) {
+    this.captureSite = url ? siteOf(url) : null;
+    this.captureRules = await loadCaptureRules(this.captureSite);
+    this.bodyLimits = await loadBodyLimits(this.captureSite);
+  }
+  
+  bindCaptureRulesUI() {
+    this.captureRulesOverlay = document.getElementById('captureRulesOverlay');
+    this.captureRulesBody = document.getElementById('captureRulesBody');
+    this.captureScopeSelect = document.getElementById('captureScopeSelect');
+    this.captureTestSelect = document.getElementById('captureTestSelect');
+    
+    this.captureScopeSelect.onchange = () => this.changeCaptureRulesScope(this.captureScopeSelect.value || null);
+    this.captureTestSelect.onchange = () => this.renderCaptureTrace();
+    document.getElementById('addCaptureRuleBtn').onclick = () => {
+      this.captureRulesDraft.push({ name: '', action: 'include' });
+      this.renderCaptureRuleRows();
+    };
+    document.getElementById('resetCaptureRulesBtn').onclick = () => {
+      this.captureRulesDraft = structuredClone(DEFAULT_CAPTURE_RULES);
+      this.renderBodyLimits(DEFAULT_BODY_LIMITS);
+      this.renderCaptureRuleRows();
+    };
+    document.getElementById('useDefaultRulesBtn').onclick = () => this.useDefaultCaptureRules();
+    document.getElementById('closeCaptureRulesBtn').onclick = () => this.captureRulesOverlay.classList.add('hidden');
+    document.getElementById('saveCaptureRulesBtn').onclick = () => this.saveCaptureRulesDraft();
+  }
+  
+  /**
+   * Open the capture rules editor
+   * @param {Object} [testCall] - Recorded call to check against the rules
+   */
+  async showCaptureRulesDialog(testCall = null) {
+    const site = this.captureSite;
+    this.captureScopeSelect.innerHTML = '<option value="">All sites</option>' +
+      (site ? `<option value="${this.escapeHtml(site)}">Only ${this.escapeHtml(site)}</option>` : '');
+    const scope = site && await this.hasSiteCaptureSettings(site) ? site : null;
+    this.captureScopeSelect.value = scope || '';
+    await this.changeCaptureRulesScope(scope);
+    
+    // Keep the listed calls, since the call list can change while the dialog is open
+    const recorded = this.captureTestCalls = this.renderedCalls.slice(0, MAX_SKIPPED_REQUESTS);
+    const option = (value, subject) => `<option value="${value}">${this.escapeHtml(`${subject.method} ${this.truncateUrl(subject.url)}`)}</option>`;
+    this.captureTestSelect.innerHTML = '<option value="">Pick a request to test</option>' +
+      (this.skippedRequests.length ? `<optgroup label="Skipped while recording">${this.skippedRequests.map((subject, idx) => option(`skipped:${idx}`, subject)).join('')}</optgroup>` : '') +
+      (recorded.length ? `<optgroup label="Recorded calls">${recorded.map((call, idx) => option(`call:${idx}`, call)).join('')}</optgroup>` : '');
+    if (testCall) {
+      const idx = recorded.indexOf(testCall);
+      this.captureTestSelect.value = idx === -1 ? '' : `call:${idx}`;
+    }
+    
+    this.renderCaptureTrace();
+    this.captureRulesOverlay.classList.remove('hidden');
+  }
+  
+  async changeCaptureRulesScope(scope) {
+    this.captureRulesScope = scope;
+    // A site without its own rules starts from the rules for all sites
+    this.captureRulesDraft = structuredClone(await loadCaptureRules(scope));
+    this.renderBodyLimits(await loadBodyLimits(scope));
+    document.getElementById('useDefaultRulesBtn').hidden = !scope || !(await this.hasSiteCaptureSettings(scope));
+    this.renderCaptureRuleRows();
+  }
+  
+  async hasSiteCaptureSettings(site) {
+    return await hasSiteCaptureRules(site) || await hasSiteBodyLimits(site);
+  }
+  
+  renderBodyLimits(limits) {
+    const toKb = (bytes) => (bytes == null ? '' : String(Math.round(bytes / 1024 * 100) / 100));
+    document.getElementById('requestBodyLimit').value = toKb(limits.request);
+    document.getElementById('responseBodyLimit').value = toKb(limits.response);
+  }
+  
+  /**
+   * Body limits entered in the capture rules dialog, in bytes
+   * @returns {Object} - { request, response }; empty fields mean no limit
+   */
+  readBodyLimits() {
+    const toBytes = (id) => {
+      const value = document.getElementById(id).value.trim();
+      return value === '' ? null : Math.round(Number(value) * 1024);
+    };
+    return validateBodyLimits({ request: toBytes('requestBodyLimit'), response: toBytes('responseBodyLimit') });
+  }
+  
+  renderCaptureRuleRows() {
+    const field = (idx, name, value) =>
+      `<td><input type="text" data-idx="${idx}" data-field="${name}" value="${this.escapeHtml(Array.isArray(value) ? value.join(', ') : value || '')}"` +
+      (RULE_CONDITIONS[name] ? ` title="${this.escapeHtml(RULE_CONDITIONS[name].description)}"` : '') + '></td>';
+    
+    this.captureRulesBody.innerHTML = this.captureRulesDraft.map((rule, idx) => `
+      <tr>
+        <td><input type="checkbox" data-idx="${idx}" data-field="enabled" ${rule.enabled === false ? '' : 'checked'}></td>
+        <td>
+          <select data-idx="${idx}" data-field="action">
+            <option value="include" ${rule.action === 'include' ? 'selected' : ''}>Include</option>
+            <option value="exclude" ${rule.action === 'exclude' ? 'selected' : ''}>Exclude</option>
+          </select>
+        </td>
+        ${field(idx, 'name', rule.name)}
+        ${Object.keys(RULE_CONDITIONS).map(name => field(idx, name, rule[name])).join('')}
+        <td class="capture-rule-move">
+          <button data-idx="${idx}" data-move="-1" title="Move up" ${idx === 0 ? 'disabled' : ''}>↑</button>
+          <button data-idx="${idx}" data-move="1" title="Move down" ${idx === this.captureRulesDraft.length - 1 ? 'disabled' : ''}>↓</button>
+          <button data-idx="${idx}" data-move="delete" title="Delete rule">✕</button>
+        </td>
+      </tr>
+    `).join('');
+    
+    this.captureRulesBody.querySelectorAll('[data-field]').forEach(input => {
+      input.oninput = input.onchange = () => {
+        const rule = this.captureRulesDraft[input.dataset.idx];
+        rule[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+        this.renderCaptureTrace();
+      };
+    });
+    this.captureRulesBody.querySelectorAll('[data-move]').forEach(btn => {
+      btn.onclick = () => {
+        const idx = Number(btn.dataset.idx);
+        const [rule] = this.captureRulesDraft.splice(idx, 1);
+        if (btn.dataset.move !== 'delete') {
+          this.captureRulesDraft.splice(idx + Number(btn.dataset.move), 0, rule);
+        }
+        this.renderCaptureRuleRows();
+      };
+    });
+    this.renderCaptureTrace();
+  }
+  
+  /**
+   * Show how the edited rules decide the request picked in the tester
+   */
+  renderCaptureTrace() {
+    const trace = document.getElementById('captureTrace');
+    const error = document.getElementById('captureRulesError');
+    
+    let rules;
+    try {
+      rules = validateCaptureRules(this.captureRulesDraft);
+      error.textContent = '';
+    } catch (e) {
+      error.textContent = e.message;
+      trace.innerHTML = '';
+      return;
+    }
+    
+    const [source, idx] = this.captureTestSelect.value.split(':');
+    const subject = source === 'skipped' ? this.skippedRequests[idx]
+      : source === 'call' ? subjectFromCall(this.captureTestCalls[idx])
+      : null;
+    if (!subject) {
+      trace.innerHTML = '';
+      return;
+    }
+    
+    const decision = evaluateCaptureRules(rules, subject, { trace: true });
+    trace.innerHTML = `
+      <div class="capture-subject">${this.escapeHtml(`${subject.method} ${subject.url}`)} · ${this.escapeHtml(subject.resourceType || 'unknown resource type')} · ${this.escapeHtml(subject.mimeType || 'no MIME type')} · ${subject.status}</div>
+      ${decision.steps.map(step => `
+        <div class="capture-step ${step.matched ? 'matched' : ''}">
+          ${step.index + 1}. ${this.escapeHtml(step.rule.name || `${step.rule.action} rule`)}: ${step.matched ? 'matches' : 'no'} (${this.escapeHtml(step.reason)})
+        </div>
+      `).join('')}
+      <div class="capture-decision ${decision.capture ? 'captured' : 'skipped'}">${this.escapeHtml(formatCaptureDecision(decision))}</div>
+    `;
+  }
+  
+  async saveCaptureRulesDraft() {
+    try {
+      const limits = this.readBodyLimits();
+      await saveCaptureRules(this.captureRulesDraft, this.captureRulesScope);
+      await saveBodyLimits(limits, this.captureRulesScope);
+    } catch (error) {
+      document.getElementById('captureRulesError').textContent = error.message;
+      return;
+    }
+    
+    this.captureRules = await loadCaptureRules(this.captureSite);
+    this.bodyLimits = await loadBodyLimits(this.captureSite);
+    this.captureRulesOverlay.classList.add('hidden');
+  }
+  
+  async useDefaultCaptureRules() {
+    if (!this.captureRulesScope) return;
+    
+    await removeSiteCaptureRules(this.captureRulesScope);
+    await removeSiteBodyLimits(this.captureRulesScope);
+    this.captureRules = await loadCaptureRules(this.captureSite);
+    this.bodyLimits = await loadBodyLimits(this.captureSite);
+    this.captureScopeSelect.value = '';
+    await this.changeCaptureRulesScope(null);
+  }
+  
+  /**
+   * Use the redaction rules for the site of a page
+   * @param {string|null} url - URL of the inspected page
+   */
+  async loadRedactionRules(url) {
+    this.redactionSite = url ? siteOf(url) : null;
+    this.redactor = await createRedactor(await loadRedactionRules(this.redactionSite));
+  }
+  
+  bindRedactionUI() {
+    this.redactionOverlay = document.getElementById('redactionOverlay');
+    this.redactionRulesBody = document.getElementById('redactionRulesBody');
+    this.redactionScopeSelect = document.getElementById('redactionScopeSelect');
+    
+    this.redactionScopeSelect.onchange = () => this.changeRedactionScope(this.redactionScopeSelect.value || null);
+    document.getElementById('addRedactionRuleBtn').onclick = () => {
+      this.redactionDraft.push({ name: '', target: 'header', selectors: '', action: 'mask' });
+      this.renderRedactionRuleRows();
+    };
+    document.getElementById('resetRedactionRulesBtn').onclick = () => {
+      this.redactionDraft = structuredClone(DEFAULT_REDACTION_RULES);
+      this.renderRedactionRuleRows();
+    };
+    document.getElementById('previewRedactionBtn').onclick = () => this.previewRedaction();
+    document.getElementById('useDefaultRedactionBtn').onclick = () => this.useDefaultRedactionRules();
+    document.getElementById('closeRedactionBtn').onclick = () => this.redactionOverlay.classList.add('hidden');
+    document.getElementById('saveRedactionBtn').onclick = () => this.saveRedactionDraft();
+  }
+  
+  async showRedactionDialog() {
+    const site = this.redactionSite;
+    this.redactionScopeSelect.innerHTML = '<option value="">All sites</option>' +
+      (site ? `<option value="${this.escapeHtml(site)}">Only ${this.escapeHtml(site)}</option>` : '');
+    const scope = site && await hasSiteRedactionRules(site) ? site : null;
+    this.redactionScopeSelect.value = scope || '';
+    await this.changeRedactionScope(scope);
+    
+    document.getElementById('redactionPreview').innerHTML = '';
+    document.getElementById('previewRedactionBtn').disabled = this.currentCalls.length === 0;
+    this.redactionOverlay.classList.remove('hidden');
+  }
+  
+  async changeRedactionScope(scope) {
+    this.redactionScope = scope;
+    // A site without its own rules starts from the rules for all sites
+    this.redactionDraft = structuredClone(await loadRedactionRules(scope));
+    document.getElementById('useDefaultRedactionBtn').hidden = !scope || !(await hasSiteRedactionRules(scope));
+    this.renderRedactionRuleRows();
+  }
+  
+  renderRedactionRuleRows() {
+    const options = (entries, selected) => entries
+      .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${this.escapeHtml(label)}</option>`)
+      .join('');
+    
+    this.redactionRulesBody.innerHTML = this.redactionDraft.map((rule, idx) => `
+      <tr>
+        <td><input type="checkbox" data-idx="${idx}" data-field="enabled" ${rule.enabled === false ? '' : 'checked'}></td>
+        <td><input type="text" data-idx="${idx}" data-field="name" value="${this.escapeHtml(rule.name || '')}"></td>
+        <td>
+          <select data-idx="${idx}" data-field="target">
+            ${options(Object.entries(REDACTION_TARGETS).map(([value, { label }]) => [value, label]), rule.target)}
+          </select>
+        </td>
+        <td><input type="text" data-idx="${idx}" data-field="selectors" value="${this.escapeHtml(Array.isArray(rule.selectors) ? rule.selectors.join(', ') : rule.selectors || '')}"
+          title="${this.escapeHtml(REDACTION_TARGETS[rule.target]?.description || '')}"></td>
+        <td><select data-idx="${idx}" data-field="action">${options(Object.entries(REDACTION_ACTIONS), rule.action)}</select></td>
+        <td><input type="text" data-idx="${idx}" data-field="keep" value="${rule.action === 'partial' ? this.escapeHtml(String(rule.keep ?? 4)) : ''}"
+          ${rule.action === 'partial' ? '' : 'disabled'} title="Characters kept at the end of the value" size="2"></td>
+        <td class="capture-rule-move">
+          <button data-idx="${idx}" data-move="-1" title="Move up" ${idx === 0 ? 'disabled' : ''}>↑</button>
+          <button data-idx="${idx}" data-move="1" title="Move down" ${idx === this.redactionDraft.length - 1 ? 'disabled' : ''}>↓</button>
+          <button data-idx="${idx}" data-move="delete" title="Delete rule">✕</button>
+        </td>
+      </tr>
+    `).join('');
+    
+    this.redactionRulesBody.querySelectorAll('[data-field]').forEach(input => {
+      input.oninput = input.onchange = (e) => {
+        const rule = this.redactionDraft[input.dataset.idx];
+        rule[input.dataset.field] = input.type === 'checkbox' ? input.checked : input.value;
+        // The selector hint and the keep field depend on the target and action
+        if (e.type === 'change' && input.tagName === 'SELECT') {
+          this.renderRedactionRuleRows();
+        } else {
+          this.checkRedactionDraft();
+        }
+      };
+    });
+    this.redactionRulesBody.querySelectorAll('[data-move]').forEach(btn => {
+      btn.onclick = () => {
+        const idx = Number(btn.dataset.idx);
+        const [rule] = this.redactionDraft.splice(idx, 1);
+        if (btn.dataset.move !== 'delete') {
+          this.redactionDraft.splice(idx + Number(btn.dataset.move), 0, rule);
+        }
+        this.renderRedactionRuleRows();
+      };
+    });
+    this.checkRedactionDraft();
+  }
+  
+  /**
+   * Validate the edited rules, showing the first problem
+   * @returns {Object[]|null} - Validated rules, or null when they are invalid
+   */
+  checkRedactionDraft() {
+    const error = document.getElementById('redactionRulesError');
+    try {
+      const rules = validateRedactionRules(this.redactionDraft);
+      error.textContent = '';
+      return rules;
+    } catch (e) {
+      error.textContent = e.message;
+      return null;
+    }
+  }
+  
+  /**
+   * Show what the edited rules would change in the calls of the open session
+   * Stored calls are not changed; the rules only apply to calls recorded or imported later.
+   */
+  async previewRedaction() {
+    const preview = document.getElementById('redactionPreview');
+    const rules = this.checkRedactionDraft();
+    if (!rules) {
+      preview.innerHTML = '';
+      return;
+    }
+    
+    const redact = await createRedactor(rules);
+    const calls = this.currentCalls.filter(call => !call.locked).slice(0, MAX_REDACTION_PREVIEW_CALLS);
+    const clip = (value) => {
+      const text = value === undefined ? '(dropped)' : typeof value === 'string' ? value : JSON.stringify(value);
+      return text.length > 60 ? text.slice(0, 60) + '…' : text;
+    };
+    
+    const sections = [];
+    let total = 0;
+    for (const call of calls) {
+      const changes = [];
+      await redact(call, changes);
+      if (changes.length === 0) continue;
+      total += changes.length;
+      sections.push(`
+        <div class="capture-subject">#${call.seq} ${this.escapeHtml(`${call.method} ${this.truncateUrl(call.url)}`)}</div>
+        ${changes.map(change => `
+          <div class="redaction-change">
+            ${this.escapeHtml(change.location)}${change.rule ? ` (${this.escapeHtml(change.rule)})` : ''}:
+            <span class="before">${this.escapeHtml(clip(change.before))}</span> → <span class="after">${this.escapeHtml(clip(change.after))}</span>
+          </div>
+        `).join('')}
+      `);
+    }
+    
+    const skipped = this.currentCalls.length - calls.length;
+    preview.innerHTML = `
+      <div class="capture-decision">${total} value${total === 1 ? '' : 's'} would change in ${sections.length} of ${calls.length} calls${skipped > 0 ? ` (${skipped} more not checked)` : ''}</div>
+      ${sections.join('')}
+    `;
+  }
+  
+  async saveRedactionDraft() {
+    try {
+      await saveRedactionRules(this.redactionDraft, this.redactionScope);
+    } catch (error) {
+      document.getElementById('redactionRulesError').textContent = error.message;
+      return;
+    }
+    
+    this.redactor = await createRedactor(await loadRedactionRules(this.redactionSite));
+    this.redactionOverlay.classList.add('hidden');
+  }
+  
+  async useDefaultRedactionRules() {
+    if (!this.redactionScope) return;
+    
+    await removeSiteRedactionRules(this.redactionScope);
+    this.redactor = await createRedactor(await loadRedactionRules(this.redactionSite));
+    this.redactionScopeSelect.value = '';
+    await this.changeRedactionScope(null);
+  }
+  
+  async showStorageDialog() {
+    const rules = await loadRetentionRules();
+    document.getElementById('retentionMaxAgeDays').value = rules.maxAgeDays ?? '';
+    document.getElementById('retentionMaxSessions').value = rules.maxSessions ?? '';
+    document.getElementById('retentionMaxTotalMB').value = rules.maxTotalMB ?? '';
+    
+    await this.renderStorageDialog();
+    this.storageOverlay.classList.remove('hidden');
+  }
+  
+  async renderStorageDialog() {
+    const estimate = await getStorageEstimate();
+    const sessions = [...await getSessions()].sort((a, b) => (b.sizeBytes || 0) - (a.sizeBytes || 0));
+    const sessionsTotal = sessions.reduce((sum, s) => sum + (s.sizeBytes || 0), 0);
+    
+    const summary = document.getElementById('storageSummary');
+    const bar = document.getElementById('storageUsageBar');
+    if (estimate) {
+      summary.textContent = `${formatBytes(estimate.usage)} used of ${formatBytes(estimate.quota)} available · ` +
+        `${sessions.length} sessions ≈ ${formatBytes(sessionsTotal)}`;
+      bar.value = estimate.quota ? estimate.usage / estimate.quota : 0;
+    } else {
+      summary.textContent = `${sessions.length} sessions ≈ ${formatBytes(sessionsTotal)}`;
+      bar.value = 0;
+    }
+    
+    document.getElementById('storageSessions').innerHTML = sessions.length === 0
+      ? '<div class="no-sessions">No sessions yet</div>'
+      : sessions.map(session => `
+        <div class="storage-row">
+          <span>${this.escapeHtml(session.name)}</span>
+          <span>${session.callCount} calls · ${formatBytes(session.sizeBytes || 0)}</span>
+        </div>
+      `).join('');
+    
+    const log = await getPurgeLog();
+    document.getElementById('purgeLog').innerHTML = log.length === 0
+      ? '<div class="no-sessions">Nothing purged yet</div>'
+      : log.map(entry => `
+        <div class="storage-row">
+          <span title="${this.escapeHtml(entry.reason)}">${this.escapeHtml(entry.name)} (${entry.reason})</span>
+          <span>${this.formatDate(entry.at)} · ${entry.trigger} · ${entry.callCount} calls · ${formatBytes(entry.sizeBytes)}</span>
+        </div>
+      `).join('');
+  }
+  
+  async saveRetention() {
+    let rules;
+    try {
+      rules = validateRetentionRules({
+        maxAgeDays: document.getElementById('retentionMaxAgeDays').value,
+        maxSessions: document.getElementById('retentionMaxSessions').value,
+        maxTotalMB: document.getElementById('retentionMaxTotalMB').value
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
+    const pending = selectSessionsToPurge(await getSessions(), rules);
+    if (pending.length > 0 && !confirm(`The new rules delete ${pending.length} session(s) now. Continue?`)) {
+      return;
+    }
+    
+    await saveRetentionRules(rules);
+    await this.enforceRetention('manual');
+    await this.renderStorageDialog();
+  }
+  
+  async downloadBackup() {
+    if (this.isStorageLocked()) {
+      alert('Unlock encrypted storage before backing up.');
+      return;
+    }
+    
+    const backupBtn = document.getElementById('backupBtn');
+    backupBtn.disabled = true;
+    try {
+      const blob = await createBackup({
+        onProgress: ({ done, total }) => {
+          this.backupStatus.textContent = `Backing up ${done}/${total} calls`;
+        }
+      });
+      const filename = `api-logger-backup-${new Date().toISOString().slice(0, 10)}.jsonl.gz`;
+      if (this.backupEncryptedCheckbox.checked && this.encryptionKeys) {
+        const encrypted = await encryptExport(blob, this.encryptionKeys, this.encryptionSettings);
+        downloadFile(encrypted, `${filename}.enc`, 'application/json');
+      } else {
+        downloadFile(blob, filename, 'application/gzip');
+      }
+      this.backupStatus.textContent = 'Backup downloaded';
+    } catch (error) {
+      console.error('Backup failed:', error);
+      alert('Backup failed: ' + error.message);
+      this.backupStatus.textContent = '';
+    } finally {
+      backupBtn.disabled = false;
+    }
+  }
+  
+  async restoreFromFile(file) {
+    if (!file) return;
+    
+    try {
+      if (this.isRecording) {
+        alert('Stop recording before restoring a backup.');
+        return;
+      }
+      // Restored calls are stored like recorded ones, so they need the keys to be encrypted
+      if (this.isStorageLocked()) {
+        alert('Unlock encrypted storage before restoring a backup.');
+        return;
+      }
+      
+      let archive = file;
+      const header = new Uint8Array(await file.slice(0, 2).arrayBuffer());
+      if (!(header[0] === 0x1f && header[1] === 0x8b)) {
+        const content = await file.text();
+        if (isEncryptedExport(content)) {
+          const bytes = await this.askPassphrase({
+            title: 'Encrypted Backup',
+            message: `Enter the passphrase ${file.name} was encrypted with.`,
+            submit: (passphrase) => decryptExport(content, passphrase)
+          });
+          if (!bytes) return;
+          archive = new Blob([bytes]);
+        }
+      }
+      
+      const summary = await inspectBackup(archive);
+      const options = await this.askRestoreOptions(summary);
+      if (!options) return;
+      if (options.mode === 'replace' && !confirm('Delete all current sessions and replace them with the backup? This cannot be undone.')) {
+        return;
+      }
+      
+      const result = await restoreBackup(archive, {
+        ...options,
+        onProgress: ({ done, total }) => {
+          this.backupStatus.textContent = `Restoring ${done}/${total} calls`;
+        }
+      });
+      this.backupStatus.textContent = `Restored ${result.sessions} sessions and ${result.calls} calls` +
+        (result.skipped ? `, kept ${result.skipped} existing sessions` : '');
+      
+      if (this.activeSession && !(await getSession(this.activeSession.id))) {
+        this.activeSession = null;
+        this.resetCallList();
+      }
+      await this.loadFilterPresets();
+      await this.loadSessions();
+      if (this.activeSession) await this.selectSession(this.activeSession.id);
+      this.renderCalls();
+      this.updateUI();
+      await this.renderStorageDialog();
+    } catch (error) {
+      console.error('Restore failed:', error);
+      alert('Restore failed: ' + error.message);
+    } finally {
+      this.restoreInput.value = '';
+    }
+  }
+  
+  /**
+   * Show what a backup holds and ask how to restore it
+   * @param {Object} summary - From inspectBackup
+   * @returns {Promise<Object|null>} - { mode, onCollision }, or null when cancelled
+   */
+  askRestoreOptions(summary) {
+    const createdAt = summary.createdAt ? this.formatDate(Date.parse(summary.createdAt)) : 'an unknown date';
+    document.getElementById('restoreSummary').textContent =
+      `Backup from ${createdAt}: ${summary.sessions.length} sessions, ${summary.calls} calls, ${summary.annotations} annotations.`;
+    document.getElementById('restoreCollisionText').textContent = summary.collisions.length === 0 ? '' :
+      `${summary.collisions.length} session(s) in the backup already exist here: ` +
+      summary.collisions.map(session => `"${session.name}"`).join(', ');
+    
+    const modes = Array.from(this.restoreOverlay.querySelectorAll('input[name="restoreMode"]'));
+    const collisions = document.getElementById('restoreCollisions');
+    const selectedMode = () => modes.find(input => input.checked).value;
+    const showCollisions = () => {
+      collisions.hidden = summary.collisions.length === 0 || selectedMode() === 'replace';
+    };
+    modes.forEach(input => {
+      input.checked = input.value === 'merge';
+      input.onchange = showCollisions;
+    });
+    showCollisions();
+    this.restoreOverlay.classList.remove('hidden');
+    
+    return new Promise((resolve) => {
+      const close = (result) => {
+        this.restoreOverlay.classList.add('hidden');
+        resolve(result);
+      };
+      
+      document.getElementById('cancelRestoreBtn').onclick = () => close(null);
+      document.getElementById('confirmRestoreBtn').onclick = () => close({
+        mode: selectedMode(),
+        onCollision: document.getElementById('restoreCollisionSelect').value
+      });
+    });
+  }
+  
   clearCurrentCalls() {
-    this.currentCalls = [];
+    this.resetCallList();
     this.renderCalls();
     this.updateUI();
   }
@@ -496,7 +2427,7 @@ ${call.requestBody ? '\nBody:\n' + this.formatBody(call.requestBody) : ''}</div>
     await this.stopRecording();
     await clearAllData();
     this.activeSession = null;
-    this.currentCalls = [];
+    this.resetCallList();
     await this.loadSessions();
     this.renderCalls();
     this.updateUI();
@@ -513,7 +2444,7 @@ ${call.requestBody ? '\nBody:\n' + this.formatBody(call.requestBody) : ''}</div>
     
     if (this.activeSession?.id === sessionId) {
       this.activeSession = null;
-      this.currentCalls = [];
+      this.resetCallList();
     }
     
     await this.loadSessions();
@@ -527,17 +2458,106 @@ ${call.requestBody ? '\nBody:\n' + this.formatBody(call.requestBody) : ''}</div>
   }
   
   async exportSessionById(sessionId) {
+    if (this.exportController) return;
+    
+    const format = EXPORT_FORMATS[this.exportFormatSelect.value] || EXPORT_FORMATS.jsonl;
+    if (this.isStorageLocked()) {
+      alert('Unlock encrypted storage before exporting.');
+      return;
+    }
+    
     try {
-      const content = await exportSession(sessionId);
+      let content;
+      if (format.streaming) {
+        content = await this.runStreamingExport(sessionId, format);
+      } else {
+        content = await format.build(sessionId);
+      }
       const session = await getSession(sessionId);
-      const filename = `api-trace-${session.name.replace(/[^a-z0-9]/gi, '-')}-${Date.now()}.jsonl`;
-      downloadFile(content, filename, 'application/jsonl');
+      const filename = `api-trace-${session.name.replace(/[^a-z0-9]/gi, '-')}-${Date.now()}.${format.extension}`;
+      if (this.exportEncryptedCheckbox.checked && this.encryptionKeys) {
+        const encrypted = await encryptExport(content, this.encryptionKeys, this.encryptionSettings);
+        downloadFile(encrypted, `${filename}.enc`, 'application/json');
+      } else {
+        downloadFile(content, filename, format.mimeType);
+      }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Export failed:', error);
       alert('Export failed: ' + error.message);
     }
   }
   
+  /**
+   * Run a streaming export with a progress bar and Cancel button in the toolbar
+   */
+  async runStreamingExport(sessionId, format) {
+    this.exportController = new AbortController();
+    this.exportProgress.hidden = false;
+    this.setExportProgress({ phase: 'summary', done: 0, total: 0 });
+    this.updateUI();
+    
+    try {
+      return await format.build(sessionId, {
+        signal: this.exportController.signal,
+        onProgress: (progress) => this.setExportProgress(progress)
+      });
+    } finally {
+      this.exportController = null;
+      this.exportProgress.hidden = true;
+      this.updateUI();
+    }
+  }
+  
+  setExportProgress({ phase, done, total }) {
+    // The summary pass and the write pass each count as half of the work
+    const fraction = total > 0 ? Math.min(done / total, 1) : 0;
+    this.exportProgressBar.value = phase === 'summary' ? fraction / 2 : 0.5 + fraction / 2;
+    this.exportProgressText.textContent = phase === 'summary'
+      ? `Scanning ${done}/${total}`
+      : `Writing ${done}/${total}`;
+  }
+  
+  async importSessionFromFile(file) {
+    if (!file) return;
+    
+    try {
+      let content = await file.text();
+      let fileName = file.name;
+      let bytes = await file.arrayBuffer();
+      
+      if (isEncryptedExport(content)) {
+        bytes = await this.askPassphrase({
+          title: 'Encrypted Export',
+          message: `Enter the passphrase ${file.name} was encrypted with.`,
+          submit: (passphrase) => decryptExport(content, passphrase)
+        });
+        if (!bytes) return;
+        fileName = fileName.replace(/\.enc$/, '');
+      }
+      
+      // Gzipped JSONL exports start with the gzip magic number
+      const header = new Uint8Array(bytes, 0, Math.min(2, bytes.byteLength));
+      if (header[0] === 0x1f && header[1] === 0x8b) {
+        content = await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text();
+      } else if (fileName !== file.name) {
+        content = new TextDecoder().decode(bytes);
+      }
+      
+      const session = await importSessionFile(content, fileName, {
+        filterHeaders,
+        redact: (call) => this.redactor(call)
+      });
+      await this.loadSessions();
+      await this.selectSession(session.id);
+    } catch (error) {
+      console.error('Import failed:', error);
+      alert('Import failed: ' + error.message);
+    } finally {
+      this.importInput.value = '';
+    }
+  }
+  
   async getCurrentTabUrl() {
     return new Promise(resolve => {
       if (chrome.devtools?.inspectedWindow) {
@@ -0,0 +1,396 @@
+/**
+ * Backup and restore of the whole database
+ * A backup is gzipped JSONL: a header line, a settings line, then each
+ * session followed by its calls and annotations. Calls are written with
+ * their bodies and decrypted headers, so a backup can be restored into a
+ * profile with a different passphrase or none at all.
+ */
+
+import {
+  getSessions, getCallsPage, getAnnotationsBySession, restoreSession,
+  deleteSession, addCalls, setCallAnnotation, clearAllData
+} from './db.js';
+import { LATEST_VERSION } from './migrations.js';
+import { mergeSiteSettings } from './site-settings.js';
+import { BODY_FIELDS, isBinaryBody, encodeBase64, decodeBase64 } from './bodies.js';
+
+const BACKUP_FORMAT = 'api-logger-backup';
+const BACKUP_VERSION = 1;
+
+// Calls read per cursor page when writing, and written per transaction when restoring
+const BACKUP_PAGE_SIZE = 200;
+
+/**
+ * Settings carried in a backup; consent and encryption stay with the profile
+ * merge(current, incoming) picks the value kept when restoring in merge mode.
+ */
+const BACKUP_SETTINGS = [
+  { area: 'local', key: 'apiLoggerRetention', merge: (current, incoming) => current ?? incoming },
+  { area: 'local', key: 'apiLoggerPurgeLog', merge: (current, incoming) => current ?? incoming },
+  { area: 'local', key: 'apiLoggerCaptureRules', merge: mergeSiteSettings },
+  { area: 'local', key: 'apiLoggerBodyLimits', merge: mergeSiteSettings },
+  { area: 'local', key: 'apiLoggerRedactionRules', merge: mergeSiteSettings },
+  // Restoring the salt keeps hashed values in new calls linkable to the restored ones
+  { area: 'local', key: 'apiLoggerRedactionSalt', merge: (current, incoming) => current ?? incoming },
+  { area: 'sync', key: 'apiLoggerFilterPresets', merge: mergeByName }
+];
+
+/**
+ * Changes to backed-up records between schema versions
+ * Mirrors the record rewrites in MIGRATIONS: a backup made at schema version N
+ * gets every upgrade above N before it is restored.
+ */
+const RECORD_UPGRADES = [
+  {
+    version: 2,
+    call: (call) => (call.startTime ? call : { ...call, startTime: call.timestamp })
+  }
+];
+
+/**
+ * Write every session, call, annotation and setting into a backup archive
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { done, total } calls
+ * @param {AbortSignal} [options.signal] - Cancels the backup
+ * @returns {Promise<Blob>} - Gzipped JSONL
+ */
+export async function createBackup({ onProgress, signal } = {}) {
+  const sessions = await getSessions();
+  const settings = await readSettings();
+  const encoder = new TextEncoder();
+  const total = sessions.reduce((sum, session) => sum + (session.callCount || 0), 0);
+  let done = 0;
+  
+  const lines = async function* () {
+    yield {
+      type: 'backup',
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: LATEST_VERSION,
+      createdAt: new Date().toISOString(),
+      sessions: sessions.length,
+      calls: total
+    };
+    yield { type: 'settings', settings };
+    
+    for (const session of sessions) {
+      yield { type: 'session', session };
+      
+      let after = null;
+      let page;
+      do {
+        if (signal?.aborted) {
+          throw new DOMException('Backup cancelled', 'AbortError');
+        }
+        page = await getCallsPage(session.id, { after, limit: BACKUP_PAGE_SIZE });
+        if (page.some(call => call.locked)) {
+          throw new Error('Unlock encrypted storage before backing up');
+        }
+        for (const call of page) {
+          yield { type: 'call', call: toBackupCall(call) };
+        }
+        if (page.length > 0) after = page[page.length - 1];
+        done += page.length;
+        onProgress?.({ done, total });
+      } while (page.length === BACKUP_PAGE_SIZE);
+      
+      for (const annotation of (await getAnnotationsBySession(session.id)).values()) {
+        yield { type: 'annotation', annotation };
+      }
+    }
+  }();
+  
+  const stream = new ReadableStream({
+    async pull(controller) {
+      const { value, done: finished } = await lines.next();
+      if (finished) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(JSON.stringify(value) + '\n'));
+      }
+    }
+  });
+  
+  const blob = await new Response(stream.pipeThrough(new CompressionStream('gzip'))).blob();
+  return new Blob([blob], { type: 'application/gzip' });
+}
+
+/**
+ * Read a backup without changing anything, checking every line
+ * @param {Blob} archive - Gzipped or plain JSONL
+ * @returns {Promise<Object>} - { createdAt, schemaVersion, sessions, calls, annotations, settings, collisions }
+ *   where sessions lists { id, name, callCount } and collisions the sessions whose id already exists
+ * @throws {Error} - When the file is not a backup, is damaged or comes from a newer version
+ */
+export async function inspectBackup(archive) {
+  const summary = { sessions: [], calls: 0, annotations: 0, settings: [] };
+  
+  await readBackup(archive, (line) => {
+    switch (line.type) {
+      case 'backup':
+        summary.createdAt = line.createdAt;
+        summary.schemaVersion = line.schemaVersion;
+        break;
+      case 'settings':
+        summary.settings = Object.keys(line.settings || {});
+        break;
+      case 'session':
+        summary.sessions.push({ id: line.session.id, name: line.session.name, callCount: 0 });
+        break;
+      case 'call':
+        summary.calls++;
+        summary.sessions[summary.sessions.length - 1].callCount++;
+        break;
+      case 'annotation':
+        summary.annotations++;
+        break;
+    }
+  });
+  
+  const existing = new Set((await getSessions()).map(session => session.id));
+  summary.collisions = summary.sessions.filter(session => existing.has(session.id));
+  return summary;
+}
+
+/**
+ * Restore a backup
+ * In replace mode every session and setting is replaced by the backup. In merge
+ * mode backed-up sessions are added next to the current ones, local settings win
+ * over backed-up ones, and a session whose id already exists is handled by onCollision:
+ * 'skip' keeps the current session, 'overwrite' replaces it and 'copy' restores
+ * the backed-up session under a new id.
+ * @param {Blob} archive - Gzipped or plain JSONL
+ * @param {Object} [options]
+ * @param {string} [options.mode] - 'merge' or 'replace'
+ * @param {string} [options.onCollision] - 'skip', 'overwrite' or 'copy'
+ * @param {Function} [options.onProgress] - Called with { done, total } calls
+ * @returns {Promise<{sessions: number, calls: number, skipped: number}>}
+ */
+export async function restoreBackup(archive, { mode = 'merge', onCollision = 'skip', onProgress } = {}) {
+  if (!['merge', 'replace'].includes(mode)) {
+    throw new Error(`Unknown restore mode: ${mode}`);
+  }
+  if (!['skip', 'overwrite', 'copy'].includes(onCollision)) {
+    throw new Error(`Unknown collision handling: ${onCollision}`);
+  }
+  
+  // Check the whole file before anything is deleted
+  const summary = await inspectBackup(archive);
+  if (mode === 'replace') {
+    await clearAllData();
+  }
+  const existing = new Set(mode === 'replace' ? [] : summary.collisions.map(session => session.id));
+  
+  const result = { sessions: 0, calls: 0, skipped: 0 };
+  let current = null;
+  let pending = [];
+  
+  const flushCalls = async () => {
+    if (!current?.target || pending.length === 0) return;
+    const saved = await addCalls(current.target.id, pending.map(({ id, sessionId, locked, ...callData }) => callData), { touch: false });
+    pending.forEach((call, idx) => current.callIds.set(call.id, saved[idx]));
+    result.calls += saved.length;
+    onProgress?.({ done: result.calls, total: summary.calls });
+    pending = [];
+  };
+  
+  const finishSession = async () => {
+    await flushCalls();
+    current = null;
+  };
+  
+  await readBackup(archive, async (line, upgrade) => {
+    switch (line.type) {
+      case 'settings':
+        await writeSettings(line.settings || {}, mode);
+        break;
+      case 'session': {
+        await finishSession();
+        const session = upgrade('session', line.session);
+        current = { target: null, callIds: new Map() };
+        
+        if (existing.has(session.id) && onCollision === 'skip') {
+          result.skipped++;
+          break;
+        }
+        if (existing.has(session.id) && onCollision === 'overwrite') {
+          await deleteSession(session.id);
+        }
+        
+        const copy = existing.has(session.id) && onCollision === 'copy';
+        current.target = await restoreSession(
+          copy ? { ...session, name: `${session.name} (restored)` } : session,
+          { newId: copy }
+        );
+        result.sessions++;
+        break;
+      }
+      case 'call':
+        if (!current.target) break;
+        pending.push(fromBackupCall(upgrade('call', line.call)));
+        if (pending.length >= BACKUP_PAGE_SIZE) {
+          await flushCalls();
+        }
+        break;
+      case 'annotation': {
+        await flushCalls();
+        const call = current.target && current.callIds.get(line.annotation.callId);
+        if (call) {
+          await setCallAnnotation(call, line.annotation);
+        }
+        break;
+      }
+    }
+  });
+  await finishSession();
+  
+  return result;
+}
+
+/**
+ * Read a backup line by line, checking its header and structure
+ * @param {Blob} archive
+ * @param {Function} callback - Called with (line, upgrade) and awaited; upgrade(kind, record)
+ *   brings a session or call from the backup's schema version to the current one
+ */
+async function readBackup(archive, callback) {
+  let header = null;
+  let hasSession = false;
+  let lineNumber = 0;
+  
+  const upgrade = (kind, record) => RECORD_UPGRADES
+    .filter(step => step.version > header.schemaVersion && step[kind])
+    .reduce((upgraded, step) => step[kind](upgraded), record);
+  
+  await forEachLine(archive, async (text) => {
+    lineNumber++;
+    if (!text.trim()) return;
+    
+    let line;
+    try {
+      line = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Backup is damaged: line ${lineNumber} is not valid JSON`);
+    }
+    
+    if (!header) {
+      header = checkHeader(line);
+    } else if (line.type === 'session') {
+      if (!line.session?.id) {
+        throw new Error(`Backup is damaged: session without an id on line ${lineNumber}`);
+      }
+      hasSession = true;
+    } else if ((line.type === 'call' || line.type === 'annotation') && !hasSession) {
+      throw new Error(`Backup is damaged: ${line.type} before any session on line ${lineNumber}`);
+    } else if (!['settings', 'call', 'annotation'].includes(line.type)) {
+      throw new Error(`Backup is damaged: unknown line type "${line.type}" on line ${lineNumber}`);
+    }
+    
+    await callback(line, upgrade);
+  });
+  
+  if (!header) {
+    throw new Error('Backup is empty');
+  }
+}
+
+function checkHeader(line) {
+  if (line.type !== 'backup' || line.format !== BACKUP_FORMAT) {
+    throw new Error('Not an API Logger backup');
+  }
+  if (line.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version ${line.version}`);
+  }
+  if (!Number.isInteger(line.schemaVersion) || line.schemaVersion < 1) {
+    throw new Error('Backup is damaged: missing schema version');
+  }
+  if (line.schemaVersion > LATEST_VERSION) {
+    throw new Error(`This backup was made by a newer version of API Logger (schema v${line.schemaVersion}, ` +
+      `this version reads up to v${LATEST_VERSION}); update the extension first`);
+  }
+  return line;
+}
+
+/**
+ * Call back with each line of a text file, decompressing gzip first
+ * Lines are read from a stream so large backups are never held as one string.
+ */
+async function forEachLine(archive, callback) {
+  // Gzip files start with the gzip magic number
+  const header = new Uint8Array(await archive.slice(0, 2).arrayBuffer());
+  let stream = archive.stream();
+  if (header[0] === 0x1f && header[1] === 0x8b) {
+    stream = stream.pipeThrough(new DecompressionStream('gzip'));
+  }
+  
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let buffered = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    
+    buffered += value;
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    for (const line of lines) {
+      await callback(line);
+    }
+  }
+  await callback(buffered);
+}
+
+async function readSettings() {
+  const settings = {};
+  for (const { area, key } of BACKUP_SETTINGS) {
+    const result = await chrome.storage[area].get(key);
+    if (result[key] !== undefined) {
+      settings[key] = result[key];
+    }
+  }
+  return settings;
+}
+
+async function writeSettings(settings, mode) {
+  for (const { area, key, merge } of BACKUP_SETTINGS) {
+    if (mode === 'replace') {
+      if (key in settings) {
+        await chrome.storage[area].set({ [key]: settings[key] });
+      } else {
+        await chrome.storage[area].remove(key);
+      }
+    } else if (key in settings) {
+      const current = (await chrome.storage[area].get(key))[key];
+      await chrome.storage[area].set({ [key]: merge(current, settings[key]) });
+    }
+  }
+}
+
+/**
+ * A call as written to a backup: binary bodies become base64 text, which
+ * their <field>Encoding marks for fromBackupCall
+ */
+function toBackupCall(call) {
+  const written = { ...call };
+  for (const field of BODY_FIELDS) {
+    if (isBinaryBody(call[field])) written[field] = encodeBase64(call[field]);
+  }
+  return written;
+}
+
+function fromBackupCall(call) {
+  const restored = { ...call };
+  for (const field of BODY_FIELDS) {
+    if (call[`${field}Encoding`] === 'base64' && typeof call[field] === 'string') {
+      restored[field] = decodeBase64(call[field]);
+    }
+  }
+  return restored;
+}
+
+/**
+ * Union of two lists of named items; current items win on a name clash
+ */
+function mergeByName(current = [], incoming = []) {
+  const names = new Set(current.map(item => item.name));
+  return [...current, ...incoming.filter(item => !names.has(item.name))];
+}
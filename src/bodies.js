@@ -0,0 +1,240 @@
+/**
+ * Content-addressed body storage helpers
+ * Large request/response bodies are stored once per SHA-256 hash in the
+ * bodies store, gzip-compressed, and referenced from call records.
+ * With encryption keys the hash is keyed and the compressed body encrypted.
+ * Binary bodies are kept as ArrayBuffers, always stored in the bodies store,
+ * and marked on the call with <field>Encoding: 'base64', the encoding they
+ * are exported in.
+ */
+
+import { keyedHash, encryptBytes, decryptBytes } from './encryption.js';
+
+// Call fields whose bodies are moved out of the calls store
+export const BODY_FIELDS = ['requestBody', 'responseBody'];
+
+// Bodies up to this many characters stay inline in the call record
+export const BODY_INLINE_LIMIT = 1024;
+
+// HAR has no encoding for post data, so binary request bodies are marked with this comment
+export const BASE64_POST_DATA_COMMENT = 'Binary body, base64-encoded by API Logger';
+
+// MIME types whose base64 content is decoded to text
+const TEXT_MIME_TYPES = /^text\/|[/+](json|xml|javascript|ecmascript|x-www-form-urlencoded|graphql|yaml|csv)\b/i;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const strictDecoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Whether a body is binary rather than text
+ * @param {*} body
+ * @returns {boolean}
+ */
+export function isBinaryBody(body) {
+  return body instanceof ArrayBuffer || ArrayBuffer.isView(body);
+}
+
+/**
+ * Length of a body: characters for text, bytes for binary bodies
+ * @param {string|ArrayBuffer|null} body
+ * @returns {number}
+ */
+export function bodyLength(body) {
+  if (body == null) return 0;
+  return isBinaryBody(body) ? body.byteLength : body.length;
+}
+
+/**
+ * Turn content from DevTools or a HAR file into a body
+ * Base64 content of text MIME types, or of unknown types that is valid UTF-8
+ * text, is decoded to a string; anything else is kept as bytes.
+ * @param {string|null} content
+ * @param {string} [encoding] - 'base64' or empty
+ * @param {string} [mimeType]
+ * @returns {{body: string|ArrayBuffer|null, encoding: string|null}}
+ */
+export function decodeContent(content, encoding, mimeType = '') {
+  if (content == null || encoding !== 'base64') {
+    return { body: content ?? null, encoding: null };
+  }
+  
+  const bytes = decodeBase64(content);
+  if (TEXT_MIME_TYPES.test(mimeType || '')) {
+    return { body: decoder.decode(bytes), encoding: null };
+  }
+  if (!mimeType) {
+    const text = decodeUtf8Text(bytes);
+    if (text !== null) return { body: text, encoding: null };
+  }
+  return { body: bytes, encoding: 'base64' };
+}
+
+/**
+ * Cut a body down to a size limit
+ * @param {string|ArrayBuffer|null} body
+ * @param {number|null} limit - Characters for text, bytes for binary bodies; null for no limit
+ * @returns {{body: string|ArrayBuffer|null, truncated: boolean}}
+ */
+export function truncateBody(body, limit) {
+  if (body == null || limit == null || bodyLength(body) <= limit) {
+    return { body, truncated: false };
+  }
+  return { body: body.slice(0, limit), truncated: true };
+}
+
+/**
+ * Cut a call's request and response bodies down to the body size limits
+ * Runs after redaction, which needs whole bodies to find JSON and form fields.
+ * @param {Object} call
+ * @param {{request: number|null, response: number|null}} limits
+ * @returns {Object} - Call with requestBodyTruncated and responseBodyTruncated set
+ */
+export function truncateCallBodies(call, limits) {
+  const request = truncateBody(call.requestBody ?? null, limits.request);
+  const response = truncateBody(call.responseBody ?? null, limits.response);
+  return {
+    ...call,
+    requestBody: request.body,
+    requestBodyTruncated: request.truncated,
+    responseBody: response.body,
+    responseBodyTruncated: response.truncated
+  };
+}
+
+/**
+ * Base64 text of a binary body, as used in exports and backups
+ * @param {ArrayBuffer|Uint8Array} body
+ * @returns {string}
+ */
+export function encodeBase64(body) {
+  const bytes = toBytes(body);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Bytes of base64 text
+ * @param {string} text
+ * @returns {ArrayBuffer}
+ */
+export function decodeBase64(text) {
+  const binary = atob(text.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Hash and compress a body for the bodies store
+ * @param {string|ArrayBuffer} body
+ * @param {Object} [keys] - Encryption keys; when set the body is encrypted
+ * @returns {Promise<{hash: string, data: ArrayBuffer, size: number, iv?: Uint8Array}>}
+ */
+export async function prepareBody(body, keys = null) {
+  const bytes = isBinaryBody(body) ? toBytes(body) : encoder.encode(body);
+  const compressed = await new Response(new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'))).arrayBuffer();
+  
+  if (keys) {
+    const { iv, data } = await encryptBytes(keys, compressed);
+    return { hash: await keyedHash(keys, bytes), data, iv, size: bytes.length };
+  }
+  
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return { hash: toHex(digest), data: compressed, size: bytes.length };
+}
+
+/**
+ * Decrypt and decompress a stored body
+ * @param {Object} body - Record from the bodies store
+ * @param {Object} [keys] - Needed for encrypted bodies
+ * @returns {Promise<ArrayBuffer|null>} - null when the body is encrypted and no keys are given
+ */
+export async function inflateBody(body, keys = null) {
+  let data = body.data;
+  if (body.iv) {
+    if (!keys) return null;
+    data = await decryptBytes(keys, body);
+  }
+  return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('gzip'))).arrayBuffer();
+}
+
+/**
+ * A call field's body from inflated bytes: text unless the call marks it binary
+ * @param {Object} call
+ * @param {string} field - One of BODY_FIELDS
+ * @param {ArrayBuffer|null} bytes
+ * @returns {string|ArrayBuffer|null}
+ */
+export function bodyFromBytes(call, field, bytes) {
+  if (bytes == null) return null;
+  return call[`${field}Encoding`] === 'base64' ? bytes : decoder.decode(bytes);
+}
+
+/**
+ * Split a call into the record for the calls store and the bodies to store separately
+ * Large and binary bodies are replaced by <field>Ref hashes.
+ * @param {Object} call
+ * @param {Object} [keys] - Encryption keys for the bodies
+ * @returns {Promise<{record: Object, bodies: Object[]}>}
+ */
+export async function dehydrateCall(call, keys = null) {
+  const record = { ...call };
+  const bodies = [];
+  
+  for (const field of BODY_FIELDS) {
+    const value = call[field];
+    if (isBinaryBody(value) || (typeof value === 'string' && value.length > BODY_INLINE_LIMIT)) {
+      const body = await prepareBody(value, keys);
+      delete record[field];
+      record[`${field}Ref`] = body.hash;
+      bodies.push(body);
+    }
+  }
+  
+  return { record, bodies };
+}
+
+/**
+ * Hashes referenced by a stored call record
+ * @param {Object} record
+ * @returns {string[]}
+ */
+export function bodyRefs(record) {
+  return BODY_FIELDS.map(field => record[`${field}Ref`]).filter(Boolean);
+}
+
+/**
+ * Count how often each hash occurs
+ * @param {string[]} hashes
+ * @returns {Map<string, number>}
+ */
+export function countRefs(hashes) {
+  const counts = new Map();
+  for (const hash of hashes) {
+    counts.set(hash, (counts.get(hash) || 0) + 1);
+  }
+  return counts;
+}
+
+function toBytes(body) {
+  return body instanceof ArrayBuffer ? new Uint8Array(body) : new Uint8Array(body.buffer, body.byteOffset, body.byteLength);
+}
+
+function decodeUtf8Text(bytes) {
+  try {
+    const text = strictDecoder.decode(bytes);
+    return /[\x00-\x08\x0e-\x1f]/.test(text) ? null : text;
+  } catch (e) {
+    return null;
+  }
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+}
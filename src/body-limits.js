@@ -0,0 +1,82 @@
+/**
+ * Size limits for recorded request and response bodies
+ * Limits are kept for all sites plus optional limits for single sites, like
+ * the capture rules. A limit of null records bodies in full.
+ */
+
+import { loadSiteSetting, hasSiteSetting, saveSiteSetting, removeSiteSetting } from './site-settings.js';
+
+const LIMITS_KEY = 'apiLoggerBodyLimits';
+
+/**
+ * Limits used until the user saves their own, in characters for text bodies
+ * and bytes for binary bodies
+ */
+export const DEFAULT_BODY_LIMITS = {
+  request: 100 * 1024,
+  response: 100 * 1024
+};
+
+/**
+ * Load the body limits for a site
+ * @param {string|null} [site] - Host name of the inspected page
+ * @returns {Promise<{request: number|null, response: number|null}>}
+ */
+export function loadBodyLimits(site = null) {
+  return loadSiteSetting(LIMITS_KEY, site, DEFAULT_BODY_LIMITS);
+}
+
+/**
+ * Whether a site has its own body limits
+ * @param {string} site
+ * @returns {Promise<boolean>}
+ */
+export function hasSiteBodyLimits(site) {
+  return hasSiteSetting(LIMITS_KEY, site);
+}
+
+/**
+ * Save body limits for all sites or for one site
+ * @param {Object} limits - { request, response }
+ * @param {string|null} [site] - Host name, or null for all sites
+ * @returns {Promise<Object>} - Validated limits
+ */
+export async function saveBodyLimits(limits, site = null) {
+  const validated = validateBodyLimits(limits);
+  await saveSiteSetting(LIMITS_KEY, validated, site);
+  return validated;
+}
+
+/**
+ * Drop a site's own body limits so it uses the limits for all sites again
+ * @param {string} site
+ * @returns {Promise<void>}
+ */
+export function removeSiteBodyLimits(site) {
+  return removeSiteSetting(LIMITS_KEY, site);
+}
+
+/**
+ * Normalize limits entered in the editor
+ * Empty values and null mean no limit.
+ * @param {Object} limits - { request, response }
+ * @returns {{request: number|null, response: number|null}}
+ * @throws {Error} - When a limit is not a positive whole number of bytes
+ */
+export function validateBodyLimits(limits) {
+  const validated = {};
+  for (const side of ['request', 'response']) {
+    const value = limits?.[side];
+    if (value === null || value === undefined || value === '') {
+      validated[side] = null;
+      continue;
+    }
+    
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+      throw new Error(`The ${side} body limit must be a positive number, or empty for no limit`);
+    }
+    validated[side] = number;
+  }
+  return validated;
+}
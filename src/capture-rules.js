@@ -0,0 +1,317 @@
+/**
+ * Capture rules decide which finished requests are recorded
+ * Rules are checked in order and the first enabled rule whose conditions all
+ * match decides: 'include' records the request, 'exclude' skips it. Requests
+ * that match no rule are skipped. Rule lists live in chrome.storage.local,
+ * one for all sites plus optional lists for individual sites.
+ */
+
+import { compileFilter } from './filter.js';
+import { loadSiteSetting, hasSiteSetting, saveSiteSetting, removeSiteSetting } from './site-settings.js';
+
+const RULES_KEY = 'apiLoggerCaptureRules';
+
+/**
+ * Conditions a rule can have; a missing or empty condition matches anything
+ * List conditions match any of their values.
+ */
+export const RULE_CONDITIONS = {
+  hosts: { label: 'host', description: 'Host name globs, e.g. *.example.com' },
+  path: { label: 'path', description: 'Regular expression tested against the path and query string' },
+  methods: { label: 'method', description: 'HTTP methods' },
+  resourceTypes: { label: 'resource type', description: 'DevTools resource types, e.g. xhr, fetch, script, document' },
+  mimeTypes: { label: 'MIME type', description: 'Response MIME type globs, e.g. image/* or application/*+json' },
+  status: { label: 'status', description: 'Status codes as in the filter bar, e.g. 404, >=400, 5xx or 200..299' }
+};
+
+/**
+ * Rules used until the user saves their own
+ * They keep XHR/fetch calls and API-looking documents, skip static assets and
+ * page loads, and keep JSONP scripts and binary (e.g. protobuf) API responses.
+ */
+export const DEFAULT_CAPTURE_RULES = [
+  {
+    name: 'JSONP scripts',
+    action: 'include',
+    resourceTypes: ['script'],
+    path: '[?&](callback|jsonp|cb)='
+  },
+  {
+    name: 'Static assets and page loads',
+    action: 'exclude',
+    resourceTypes: ['image', 'font', 'stylesheet', 'script', 'media', 'texttrack', 'manifest', 'document']
+  },
+  {
+    name: 'Media, fonts, archives and code',
+    action: 'exclude',
+    mimeTypes: ['image/*', 'video/*', 'audio/*', 'font/*', 'application/pdf', 'application/zip', 'application/gzip', 'text/css', 'application/wasm']
+  },
+  {
+    name: 'Static file extensions',
+    action: 'exclude',
+    path: '\\.(m?js|css|scss|less|png|jpe?g|gif|svg|webp|ico|bmp|avif|woff2?|ttf|eot|otf|mp3|mp4|webm|ogg|wav|avi|mov|pdf|zip|gz|tar|rar|map|wasm)(\\?|$)'
+  },
+  {
+    name: 'XHR and fetch',
+    action: 'include',
+    resourceTypes: ['xhr', 'fetch']
+  },
+  {
+    name: 'API content types',
+    action: 'include',
+    mimeTypes: ['application/json', 'application/*+json', 'application/xml', 'text/xml', 'text/plain', 'application/octet-stream', 'application/x-protobuf', 'application/grpc*']
+  },
+  {
+    name: 'API-looking URLs',
+    action: 'include',
+    path: '/(api|v\\d+|graphql|rest|rpc)(/|$)|\\.json(\\?|$)|/(query|mutation)'
+  }
+];
+
+// Compiled matchers per rule object, so rules are only parsed once
+const compiledRules = new WeakMap();
+
+/**
+ * Load the rules for a site
+ * @param {string|null} [site] - Host name of the inspected page
+ * @returns {Promise<Object[]>} - The site's own rules, or the rules for all sites
+ */
+export function loadCaptureRules(site = null) {
+  return loadSiteSetting(RULES_KEY, site, DEFAULT_CAPTURE_RULES);
+}
+
+/**
+ * Whether a site has its own rules
+ * @param {string} site
+ * @returns {Promise<boolean>}
+ */
+export function hasSiteCaptureRules(site) {
+  return hasSiteSetting(RULES_KEY, site);
+}
+
+/**
+ * Save rules for all sites or for one site
+ * @param {Object[]} rules
+ * @param {string|null} [site] - Host name, or null for all sites
+ * @returns {Promise<Object[]>} - Validated rules
+ */
+export async function saveCaptureRules(rules, site = null) {
+  const validated = validateCaptureRules(rules);
+  await saveSiteSetting(RULES_KEY, validated, site);
+  return validated;
+}
+
+/**
+ * Drop a site's own rules so it uses the rules for all sites again
+ * @param {string} site
+ * @returns {Promise<void>}
+ */
+export function removeSiteCaptureRules(site) {
+  return removeSiteSetting(RULES_KEY, site);
+}
+
+/**
+ * Normalize rules entered in the editor
+ * List conditions may be arrays or comma-separated strings; empty conditions are dropped.
+ * @param {Object[]} rules
+ * @returns {Object[]}
+ * @throws {Error} - Naming the rule and condition that is invalid
+ */
+export function validateCaptureRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Capture rules must be a list');
+  }
+  
+  return rules.map((rule, idx) => {
+    const label = `Rule ${idx + 1}${rule.name ? ` "${rule.name}"` : ''}`;
+    if (rule.action !== 'include' && rule.action !== 'exclude') {
+      throw new Error(`${label}: action must be include or exclude`);
+    }
+    
+    const normalized = { name: (rule.name || '').trim(), action: rule.action };
+    if (rule.enabled === false) normalized.enabled = false;
+    
+    const hosts = toList(rule.hosts).map(host => host.toLowerCase());
+    const methods = toList(rule.methods).map(method => method.toUpperCase());
+    const resourceTypes = toList(rule.resourceTypes).map(type => type.toLowerCase());
+    const mimeTypes = toList(rule.mimeTypes).map(type => type.toLowerCase());
+    if (hosts.length) normalized.hosts = hosts;
+    if (methods.length) normalized.methods = methods;
+    if (resourceTypes.length) normalized.resourceTypes = resourceTypes;
+    if (mimeTypes.length) normalized.mimeTypes = mimeTypes;
+    
+    const path = (rule.path || '').trim();
+    if (path) {
+      try {
+        new RegExp(path, 'i');
+      } catch (error) {
+        throw new Error(`${label}: invalid path regex: ${error.message}`);
+      }
+      normalized.path = path;
+    }
+    
+    const status = String(rule.status ?? '').replace(/\s+/g, '');
+    if (status) {
+      try {
+        compileFilter(`status:${status}`);
+      } catch (error) {
+        throw new Error(`${label}: invalid status "${status}". Use e.g. 404, >=400, 5xx or 200..299`);
+      }
+      normalized.status = status;
+    }
+    
+    return normalized;
+  });
+}
+
+/**
+ * What the rules look at in a finished request from chrome.devtools.network
+ * @param {Object} entry - HAR entry
+ * @returns {Object} - { method, url, resourceType, mimeType, status }
+ */
+export function subjectFromHarEntry(entry) {
+  const contentType = entry.response.headers?.find(h => h.name.toLowerCase() === 'content-type')?.value;
+  return {
+    method: entry.request.method,
+    url: entry.request.url,
+    resourceType: entry._resourceType || '',
+    mimeType: entry.response.content?.mimeType || contentType || '',
+    status: entry.response.status
+  };
+}
+
+/**
+ * What the rules look at in a recorded call
+ * Calls recorded before capture rules existed have no resource type.
+ * @param {Object} call
+ * @returns {Object} - { method, url, resourceType, mimeType, status }
+ */
+export function subjectFromCall(call) {
+  return {
+    method: call.method,
+    url: call.url,
+    resourceType: call.resourceType || '',
+    mimeType: call.responseContentType || '',
+    status: call.status
+  };
+}
+
+/**
+ * Decide whether a request is captured
+ * @param {Object[]} rules
+ * @param {Object} subject - From subjectFromHarEntry or subjectFromCall
+ * @param {Object} [options]
+ * @param {boolean} [options.trace] - Also return why each rule before the decision did or did not match
+ * @returns {Object} - { capture, index, rule, reason, steps }; index is -1 when no rule matched
+ */
+export function evaluateCaptureRules(rules, subject, { trace = false } = {}) {
+  const steps = [];
+  
+  for (let idx = 0; idx < rules.length; idx++) {
+    const rule = rules[idx];
+    if (rule.enabled === false) {
+      if (trace) steps.push({ index: idx, rule, matched: false, reason: 'disabled' });
+      continue;
+    }
+    
+    const mismatch = findMismatch(rule, subject);
+    if (trace) steps.push({ index: idx, rule, matched: !mismatch, reason: mismatch || describeRule(rule) });
+    if (!mismatch) {
+      return { capture: rule.action === 'include', index: idx, rule, reason: describeRule(rule), steps };
+    }
+  }
+  
+  return { capture: false, index: -1, rule: null, reason: 'no rule matched', steps };
+}
+
+/**
+ * One-line explanation of a decision, e.g. for the skipped requests list
+ * @param {Object} decision - From evaluateCaptureRules
+ * @returns {string}
+ */
+export function formatCaptureDecision(decision) {
+  if (decision.index === -1) {
+    return 'Skipped: no rule matched';
+  }
+  const name = decision.rule.name ? ` "${decision.rule.name}"` : '';
+  return `${decision.capture ? 'Captured' : 'Skipped'} by rule ${decision.index + 1}${name} (${decision.reason})`;
+}
+
+/**
+ * Summarize the conditions of a rule
+ * @param {Object} rule
+ * @returns {string}
+ */
+export function describeRule(rule) {
+  const parts = Object.entries(RULE_CONDITIONS)
+    .filter(([key]) => rule[key] && rule[key].length)
+    .map(([key, { label }]) => `${label} ${Array.isArray(rule[key]) ? rule[key].join(', ') : key === 'path' ? `/${rule[key]}/` : rule[key]}`);
+  return parts.length ? parts.join('; ') : 'any request';
+}
+
+/**
+ * The first condition of a rule the subject fails, or null when all match
+ */
+function findMismatch(rule, subject) {
+  const matcher = compileRule(rule);
+  const url = parseUrl(subject.url);
+  const mimeType = (subject.mimeType || '').split(';')[0].trim().toLowerCase();
+  
+  if (matcher.hosts && !matcher.hosts.some(re => re.test(url.host))) {
+    return `host ${url.host || '(none)'} is not ${rule.hosts.join(', ')}`;
+  }
+  if (matcher.path && !matcher.path.test(url.path)) {
+    return `path ${url.path} does not match /${rule.path}/`;
+  }
+  if (rule.methods?.length && !rule.methods.includes((subject.method || '').toUpperCase())) {
+    return `method ${subject.method} is not ${rule.methods.join(', ')}`;
+  }
+  if (rule.resourceTypes?.length && !rule.resourceTypes.includes(subject.resourceType)) {
+    return `resource type ${subject.resourceType || '(unknown)'} is not ${rule.resourceTypes.join(', ')}`;
+  }
+  if (matcher.mimeTypes && !matcher.mimeTypes.some(re => re.test(mimeType))) {
+    return `MIME type ${mimeType || '(none)'} is not ${rule.mimeTypes.join(', ')}`;
+  }
+  if (matcher.status && !matcher.status({ status: subject.status })) {
+    return `status ${subject.status} is not ${rule.status}`;
+  }
+  return null;
+}
+
+function compileRule(rule) {
+  let matcher = compiledRules.get(rule);
+  if (!matcher) {
+    matcher = {
+      hosts: rule.hosts?.length ? rule.hosts.map(globToRegExp) : null,
+      path: rule.path ? new RegExp(rule.path, 'i') : null,
+      mimeTypes: rule.mimeTypes?.length ? rule.mimeTypes.map(globToRegExp) : null,
+      status: rule.status ? compileFilter(`status:${rule.status}`) : null
+    };
+    compiledRules.set(rule, matcher);
+  }
+  return matcher;
+}
+
+/**
+ * Case-insensitive RegExp for a glob where * matches any characters
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+  const pattern = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+function parseUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return { host: parsed.hostname.toLowerCase(), path: parsed.pathname + parsed.search };
+  } catch (e) {
+    return { host: '', path: url || '' };
+  }
+}
+
+function toList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
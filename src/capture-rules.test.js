@@ -0,0 +1,113 @@
+/**
+ * Tests for capture rule precedence
+ * Run with npm test
+ */
+
+import { DEFAULT_CAPTURE_RULES, evaluateCaptureRules, formatCaptureDecision, loadCaptureRules, saveCaptureRules } from './capture-rules.js';
+
+const storage = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: storage[key] }),
+      set: async (values) => Object.assign(storage, values)
+    }
+  }
+};
+
+function subject(fields) {
+  return { method: 'GET', url: 'https://api.example.com/v1/users', resourceType: 'fetch', mimeType: 'application/json', status: 200, ...fields };
+}
+
+describe('evaluateCaptureRules', () => {
+  test('lets the first matching rule decide', () => {
+    const rules = [
+      { action: 'exclude', hosts: ['*.example.com'], path: '^/health' },
+      { action: 'include', hosts: ['*.example.com'] },
+      { action: 'exclude', methods: ['GET'] }
+    ];
+    
+    expect(evaluateCaptureRules(rules, subject({ url: 'https://api.example.com/health' }))).toMatchObject({ capture: false, index: 0 });
+    expect(evaluateCaptureRules(rules, subject())).toMatchObject({ capture: true, index: 1 });
+    expect(evaluateCaptureRules(rules, subject({ url: 'https://other.test/v1/users' }))).toMatchObject({ capture: false, index: 2 });
+  });
+  
+  test('skips disabled rules', () => {
+    const rules = [
+      { action: 'exclude', enabled: false },
+      { action: 'include', resourceTypes: ['fetch'] }
+    ];
+    
+    expect(evaluateCaptureRules(rules, subject())).toMatchObject({ capture: true, index: 1 });
+  });
+  
+  test('skips requests that match no rule', () => {
+    const decision = evaluateCaptureRules([{ action: 'include', methods: ['POST'] }], subject());
+    
+    expect(decision).toMatchObject({ capture: false, index: -1, rule: null });
+    expect(formatCaptureDecision(decision)).toBe('Skipped: no rule matched');
+  });
+  
+  test('requires every condition of a rule to match', () => {
+    const rules = [{ name: 'Failed writes', action: 'include', methods: ['POST', 'PUT'], status: '>=400' }];
+    
+    expect(evaluateCaptureRules(rules, subject({ method: 'POST', status: 500 })).capture).toBe(true);
+    expect(evaluateCaptureRules(rules, subject({ method: 'POST', status: 201 })).capture).toBe(false);
+    expect(evaluateCaptureRules(rules, subject({ method: 'GET', status: 500 })).capture).toBe(false);
+  });
+  
+  test('traces why the rules before the decision did not match', () => {
+    const rules = [
+      { action: 'exclude', enabled: false },
+      { action: 'exclude', hosts: ['cdn.example.com'] },
+      { name: 'Fetch', action: 'include', resourceTypes: ['fetch'] }
+    ];
+    const decision = evaluateCaptureRules(rules, subject(), { trace: true });
+    
+    expect(decision.steps.map(step => [step.matched, step.reason])).toEqual([
+      [false, 'disabled'],
+      [false, 'host api.example.com is not cdn.example.com'],
+      [true, 'resource type fetch']
+    ]);
+    expect(formatCaptureDecision(decision)).toBe('Captured by rule 3 "Fetch" (resource type fetch)');
+  });
+});
+
+describe('DEFAULT_CAPTURE_RULES', () => {
+  const decide = (fields) => evaluateCaptureRules(DEFAULT_CAPTURE_RULES, subject(fields)).capture;
+  
+  test('keeps JSONP scripts ahead of the static asset exclusion', () => {
+    expect(decide({ resourceType: 'script', url: 'https://api.example.com/feed?callback=cb1', mimeType: 'text/javascript' })).toBe(true);
+    expect(decide({ resourceType: 'script', url: 'https://cdn.example.com/app.js', mimeType: 'text/javascript' })).toBe(false);
+  });
+  
+  test('excludes static files fetched with XHR or fetch before including XHR and fetch', () => {
+    expect(decide({ url: 'https://cdn.example.com/logo.png', mimeType: 'image/png' })).toBe(false);
+    expect(decide({ url: 'https://cdn.example.com/bundle.js.map?v=3', mimeType: '' })).toBe(false);
+    expect(decide({ url: 'https://api.example.com/search?q=js' })).toBe(true);
+  });
+  
+  test('excludes page loads even from API-looking URLs', () => {
+    expect(decide({ resourceType: 'document', url: 'https://example.com/api/docs', mimeType: 'text/html' })).toBe(false);
+  });
+  
+  test('includes API content types and URLs of other resource types', () => {
+    expect(decide({ resourceType: 'other', url: 'https://example.com/data', mimeType: 'application/problem+json' })).toBe(true);
+    expect(decide({ resourceType: 'other', url: 'https://example.com/graphql', mimeType: 'text/html' })).toBe(true);
+    expect(decide({ resourceType: 'other', url: 'https://example.com/about', mimeType: 'text/html' })).toBe(false);
+  });
+});
+
+describe('loadCaptureRules', () => {
+  test('uses a site\'s own rules instead of the rules for all sites', async () => {
+    const allSites = [{ name: 'Everything', action: 'include' }];
+    const shop = [{ name: 'Nothing', action: 'exclude' }];
+    await saveCaptureRules(allSites);
+    await saveCaptureRules(shop, 'shop.example.com');
+    
+    expect(await loadCaptureRules('shop.example.com')).toEqual(shop);
+    expect(await loadCaptureRules('blog.example.com')).toEqual(allSites);
+    expect(await loadCaptureRules()).toEqual(allSites);
+  });
+});
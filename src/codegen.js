@@ -0,0 +1,66 @@
+/**
+ * Helpers shared by the code generators (MSW handlers, TypeScript types,
+ * Playwright and Cypress tests)
+ */
+
+/**
+ * Text safe to put in a // comment: line breaks would end the comment
+ * @param {*} text
+ * @returns {string}
+ */
+export function commentText(text) {
+  return String(text).replace(/[\r\n\u2028\u2029]+/g, ' ');
+}
+
+/**
+ * Text safe to put in a /** doc comment: a closing star and slash would end it early
+ * @param {*} text
+ * @returns {string}
+ */
+export function docCommentText(text) {
+  return commentText(text).replace(/\*\//g, '*\\/');
+}
+
+/**
+ * Upper-case the first letter of each word and drop everything that is not a letter or digit
+ * @param {string} str - e.g. "user_id" or "getUsers"
+ * @returns {string} - e.g. "UserId" or "GetUsers"
+ */
+export function pascalCase(str) {
+  return str
+    .split(/[^a-z0-9]+/i)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('');
+}
+
+/**
+ * Pick a name not yet in usedNames by appending a counter, and record it
+ * @param {string} base
+ * @param {Set<string>} usedNames
+ * @param {string} [separator] - Put between the base and the counter
+ * @returns {string}
+ */
+export function uniqueName(base, usedNames, separator = '') {
+  let name = base;
+  let n = 2;
+  while (usedNames.has(name)) {
+    name = `${base}${separator}${n++}`;
+  }
+  usedNames.add(name);
+  return name;
+}
+
+/**
+ * Parse a JSON body
+ * @param {string|null} str
+ * @returns {*} - undefined when the body is empty or not JSON
+ */
+export function tryParseJson(str) {
+  if (!str) return undefined;
+  try {
+    return JSON.parse(str);
+  } catch (e) {
+    return undefined;
+  }
+}
@@ -0,0 +1,251 @@
+/**
+ * Postman Collection v2.1 and Insomnia v4 export builders
+ * Requests are grouped into folders by host and path prefix, and headers
+ * redacted at capture time become collection variables
+ */
+
+import { isRedacted } from './redaction.js';
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Path segments that are skipped over when choosing a folder prefix
+const PREFIX_SEGMENTS = /^(api|rest|v\d+)$/i;
+
+// Headers the HTTP client computes itself
+const SKIPPED_HEADERS = ['content-length', 'host', 'connection'];
+
+/**
+ * Build a Postman Collection v2.1 document
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {Object}
+ */
+export function buildPostmanCollection(session, calls) {
+  const { hosts, variables } = groupRequests(calls);
+  
+  return {
+    info: {
+      name: session.name,
+      description: `Recorded by API Logger${session.tabUrl ? ` on ${session.tabUrl}` : ''}`,
+      schema: POSTMAN_SCHEMA
+    },
+    item: hosts.map(host => ({
+      name: host.name,
+      item: host.folders.map(folder => ({
+        name: folder.name,
+        item: folder.calls.map(toPostmanItem)
+      }))
+    })),
+    variable: variables.map(key => ({
+      key,
+      value: '',
+      description: `Redacted "${key}" header value`
+    }))
+  };
+}
+
+/**
+ * Build an Insomnia v4 export document
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {Object}
+ */
+export function buildInsomniaExport(session, calls) {
+  const { hosts, variables } = groupRequests(calls);
+  const workspaceId = 'wrk_apilogger';
+  const now = Date.now();
+  
+  const resources = [
+    {
+      _id: workspaceId,
+      _type: 'workspace',
+      parentId: null,
+      name: session.name,
+      description: `Recorded by API Logger${session.tabUrl ? ` on ${session.tabUrl}` : ''}`,
+      scope: 'collection'
+    },
+    {
+      _id: 'env_apilogger_base',
+      _type: 'environment',
+      parentId: workspaceId,
+      name: 'Base Environment',
+      data: Object.fromEntries(variables.map(key => [key, '']))
+    }
+  ];
+  
+  let folderCount = 0;
+  let requestCount = 0;
+  
+  for (const host of hosts) {
+    const hostId = `fld_apilogger_${++folderCount}`;
+    resources.push({ _id: hostId, _type: 'request_group', parentId: workspaceId, name: host.name });
+    
+    for (const folder of host.folders) {
+      const folderId = `fld_apilogger_${++folderCount}`;
+      resources.push({ _id: folderId, _type: 'request_group', parentId: hostId, name: folder.name });
+      
+      for (const call of folder.calls) {
+        resources.push({
+          ...toInsomniaRequest(call),
+          _id: `req_apilogger_${++requestCount}`,
+          parentId: folderId,
+          created: now,
+          modified: now
+        });
+      }
+    }
+  }
+  
+  return {
+    _type: 'export',
+    __export_format: 4,
+    __export_date: new Date(now).toISOString(),
+    __export_source: 'api-logger',
+    resources
+  };
+}
+
+/**
+ * Group unique requests into host folders and path prefix sub-folders,
+ * collecting the variable names needed for redacted headers
+ */
+function groupRequests(calls) {
+  const hosts = new Map();
+  const variables = new Set();
+  const seen = new Set();
+  
+  for (const call of calls) {
+    let url;
+    try {
+      url = new URL(call.url);
+    } catch (e) {
+      continue;
+    }
+    
+    // Polling produces many identical requests; keep the first of each
+    const key = `${call.method} ${call.url} ${call.requestBody || ''}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    
+    for (const [name, value] of Object.entries(call.requestHeaders || {})) {
+      if (isRedacted(value)) variables.add(name);
+    }
+    
+    if (!hosts.has(url.host)) {
+      hosts.set(url.host, new Map());
+    }
+    const folders = hosts.get(url.host);
+    const prefix = pathPrefix(url.pathname);
+    if (!folders.has(prefix)) {
+      folders.set(prefix, []);
+    }
+    folders.get(prefix).push({ ...call, parsedUrl: url });
+  }
+  
+  return {
+    hosts: Array.from(hosts, ([name, folders]) => ({
+      name,
+      folders: Array.from(folders, ([folderName, folderCalls]) => ({ name: folderName, calls: folderCalls }))
+    })),
+    variables: Array.from(variables).sort()
+  };
+}
+
+/**
+ * Folder prefix for a path: leading api/version segments plus the first resource segment
+ */
+function pathPrefix(pathname) {
+  const segments = pathname.split('/').filter(Boolean);
+  const prefix = [];
+  
+  for (const segment of segments) {
+    prefix.push(segment);
+    if (!PREFIX_SEGMENTS.test(segment)) break;
+  }
+  
+  return `/${prefix.join('/')}`;
+}
+
+/**
+ * Headers to replay, with redacted values replaced by a variable reference
+ */
+function replayHeaders(call, toVariable) {
+  return Object.entries(call.requestHeaders || {})
+    .filter(([name]) => !name.startsWith(':') && !SKIPPED_HEADERS.includes(name))
+    .map(([name, value]) => [name, isRedacted(value) ? toVariable(name) : value]);
+}
+
+function mediaTypeOf(call) {
+  return (call.requestContentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function toPostmanItem(call) {
+  const url = call.parsedUrl;
+  
+  const request = {
+    method: call.method,
+    header: replayHeaders(call, name => `{{${name}}}`).map(([key, value]) => ({ key, value })),
+    url: {
+      raw: call.url,
+      protocol: url.protocol.replace(':', ''),
+      host: url.hostname.split('.'),
+      path: url.pathname.split('/').filter(Boolean)
+    }
+  };
+  
+  if (url.port) {
+    request.url.port = url.port;
+  }
+  
+  const query = Array.from(url.searchParams, ([key, value]) => ({ key, value }));
+  if (query.length > 0) {
+    request.url.query = query;
+  }
+  
+  if (call.requestBody) {
+    const mediaType = mediaTypeOf(call);
+    if (mediaType === 'application/x-www-form-urlencoded') {
+      request.body = {
+        mode: 'urlencoded',
+        urlencoded: Array.from(new URLSearchParams(call.requestBody), ([key, value]) => ({ key, value }))
+      };
+    } else {
+      request.body = { mode: 'raw', raw: call.requestBody };
+      if (mediaType.includes('json')) {
+        request.body.options = { raw: { language: 'json' } };
+      }
+    }
+  }
+  
+  return {
+    name: `${call.method} ${url.pathname}`,
+    request,
+    response: []
+  };
+}
+
+function toInsomniaRequest(call) {
+  const url = call.parsedUrl;
+  const mediaType = mediaTypeOf(call);
+  
+  let body = {};
+  if (call.requestBody) {
+    body = mediaType === 'application/x-www-form-urlencoded'
+      ? { mimeType: mediaType, params: Array.from(new URLSearchParams(call.requestBody), ([name, value]) => ({ name, value })) }
+      : { mimeType: mediaType || 'text/plain', text: call.requestBody };
+  }
+  
+  return {
+    _type: 'request',
+    name: `${call.method} ${url.pathname}`,
+    method: call.method,
+    url: `${url.origin}${url.pathname}`,
+    parameters: Array.from(url.searchParams, ([name, value]) => ({ name, value })),
+    headers: replayHeaders(call, insomniaVariable).map(([name, value]) => ({ name, value })),
+    body
+  };
+}
+
+function insomniaVariable(name) {
+  return /^[a-z_$][\w$]*$/i.test(name) ? `{{ _.${name} }}` : `{{ _['${name}'] }}`;
+}
@@ -0,0 +1,25 @@
+/**
+ * Tests for Postman and Insomnia export builders
+ * Run with npm test
+ */
+
+import { buildPostmanCollection } from './collections.js';
+
+describe('collections', () => {
+  test('turns masked, hashed and partially kept headers into collection variables', () => {
+    const collection = buildPostmanCollection({ name: 'Keys' }, [{
+      method: 'GET',
+      url: 'https://api.example.com/orders',
+      status: 200,
+      requestHeaders: { authorization: '[REDACTED]', 'x-api-key': '[hash:0123456789ab]', 'x-card': '************1111', accept: '*/*' }
+    }]);
+    
+    expect(collection.variable.map(variable => variable.key)).toEqual(['authorization', 'x-api-key', 'x-card']);
+    expect(collection.item[0].item[0].item[0].request.header).toEqual([
+      { key: 'authorization', value: '{{authorization}}' },
+      { key: 'x-api-key', value: '{{x-api-key}}' },
+      { key: 'x-card', value: '{{x-card}}' },
+      { key: 'accept', value: '*/*' }
+    ]);
+  });
+});
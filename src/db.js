@@ -2,51 +2,55 @@
  * IndexedDB module for storing API recording sessions and calls
  */
 
+import { openDatabase } from './migrations.js';
+import { tokenize, buildSearchEntry } from './search.js';
+import { estimateSize } from './retention.js';
+import { BODY_FIELDS, BODY_INLINE_LIMIT, dehydrateCall, inflateBody, bodyFromBytes, bodyRefs, countRefs } from './bodies.js';
+import { encryptFields, decryptFields, withoutProtectedFields } from './encryption.js';
+
 const DB_NAME = 'api-logger';
-const DB_VERSION = 1;
 
 let db = null;
 
+// Keys of the unlocked encrypted store, and whether new writes are encrypted
+let encryptionKeys = null;
+let encryptWrites = false;
+
 /**
- * Initialize the database
+ * Initialize the database, migrating it to the latest schema version
  * @returns {Promise<IDBDatabase>}
  */
 export async function initDB() {
   if (db) return db;
   
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    
-    request.onerror = () => {
-      console.error('Failed to open IndexedDB:', request.error);
-      reject(request.error);
-    };
-    
-    request.onsuccess = () => {
-      db = request.result;
-      resolve(db);
-    };
-    
-    request.onupgradeneeded = (event) => {
-      const database = event.target.result;
-      
-      // Sessions store
-      if (!database.objectStoreNames.contains('sessions')) {
-        const sessionsStore = database.createObjectStore('sessions', { keyPath: 'id' });
-        sessionsStore.createIndex('byCreatedAt', 'createdAt', { unique: false });
-        sessionsStore.createIndex('byUpdatedAt', 'updatedAt', { unique: false });
-        sessionsStore.createIndex('byStatus', 'status', { unique: false });
-      }
-      
-      // Calls store
-      if (!database.objectStoreNames.contains('calls')) {
-        const callsStore = database.createObjectStore('calls', { keyPath: 'id', autoIncrement: true });
-        callsStore.createIndex('bySessionId', 'sessionId', { unique: false });
-        callsStore.createIndex('bySessionSeq', ['sessionId', 'seq'], { unique: false });
-        callsStore.createIndex('bySessionTimestamp', ['sessionId', 'timestamp'], { unique: false });
-      }
-    };
-  });
+  let database;
+  try {
+    database = await openDatabase(DB_NAME);
+  } catch (error) {
+    console.error('Failed to open IndexedDB:', error);
+    throw error;
+  }
+  
+  // Let a newer version of the extension upgrade the schema
+  database.onversionchange = () => {
+    database.close();
+    if (db === database) db = null;
+  };
+  
+  db = database;
+  return db;
+}
+
+/**
+ * Set the keys used to read and write encrypted calls
+ * Encrypted records read without keys come back with `locked: true` and no headers or bodies.
+ * @param {Object|null} keys - From unlockEncryption/enableEncryption, or null to lock
+ * @param {Object} [options]
+ * @param {boolean} [options.encryptWrites] - Encrypt new and re-encoded calls; off while decrypting everything
+ */
+export function setEncryptionKeys(keys, { encryptWrites: encrypt = !!keys } = {}) {
+  encryptionKeys = keys;
+  encryptWrites = !!keys && encrypt;
 }
 
 /**
@@ -56,22 +60,63 @@ export async function initDB() {
  */
 export async function createSession(name) {
   const database = await initDB();
-  const session = {
+  const session = newSessionRecord(name);
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    const request = store.add(session);
+    
+    request.onsuccess = () => resolve(session);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Build a new session record
+ * @param {string} [name]
+ * @param {Object} [fields] - Overrides for the defaults
+ * @returns {Object}
+ */
+function newSessionRecord(name, fields = {}) {
+  return {
     id: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
     name: name || `Session ${new Date().toLocaleString()}`,
     createdAt: Date.now(),
     updatedAt: Date.now(),
     status: 'active',
     callCount: 0,
-    tabUrl: null
+    sizeBytes: 0,
+    notes: '',
+    tags: [],
+    tabUrl: null,
+    navigations: [],
+    ...fields
   };
+}
+
+/**
+ * Write a session from a backup, without its calls
+ * Calls are restored with addCalls; sessions that were recording come back stopped.
+ * @param {Object} session - Session record from the backup
+ * @param {Object} [options]
+ * @param {boolean} [options.newId] - Store it under a new id instead of session.id
+ * @returns {Promise<Object>} - Stored session
+ */
+export async function restoreSession(session, { newId = false } = {}) {
+  const database = await initDB();
+  const { id, callCount, sizeBytes, ...fields } = session;
+  const record = newSessionRecord(session.name, {
+    ...fields,
+    ...(newId ? {} : { id }),
+    status: 'stopped',
+    callCount: 0,
+    sizeBytes: 0
+  });
   
   return new Promise((resolve, reject) => {
-    const tx = database.transaction('sessions', 'readwrite');
-    const store = tx.objectStore('sessions');
-    const request = store.add(session);
-    
-    request.onsuccess = () => resolve(session);
+    const request = database.transaction('sessions', 'readwrite').objectStore('sessions').put(record);
+    request.onsuccess = () => resolve(record);
     request.onerror = () => reject(request.error);
   });
 }
@@ -147,6 +192,42 @@ export async function updateSession(sessionId, updates) {
   });
 }
 
+/**
+ * Record a page navigation of the inspected tab in a session
+ * The session is read and written in one transaction, so calls stored at the
+ * same time keep their count.
+ * @param {string} sessionId
+ * @param {{url: string, time: number}} navigation
+ * @returns {Promise<Object>} - Updated session
+ */
+export async function addSessionNavigation(sessionId, navigation) {
+  const database = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction('sessions', 'readwrite');
+    const store = tx.objectStore('sessions');
+    let session = null;
+    
+    const request = store.get(sessionId);
+    request.onsuccess = () => {
+      if (!request.result) {
+        tx.abort();
+        return;
+      }
+      session = {
+        ...request.result,
+        navigations: [...(request.result.navigations || []), navigation],
+        updatedAt: Date.now()
+      };
+      store.put(session);
+    };
+    
+    tx.oncomplete = () => resolve(session);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Session not found'));
+  });
+}
+
 /**
  * Delete a session and its calls
  * @param {string} sessionId
@@ -155,27 +236,275 @@ export async function updateSession(sessionId, updates) {
 export async function deleteSession(sessionId) {
   const database = await initDB();
   
-  return new Promise(async (resolve, reject) => {
-    // Delete all calls for this session first
-    const calls = await getCallsBySession(sessionId);
-    
-    const tx = database.transaction(['sessions', 'calls'], 'readwrite');
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(['sessions', 'calls', 'searchIndex', 'annotations', 'bodies'], 'readwrite');
     const sessionsStore = tx.objectStore('sessions');
     const callsStore = tx.objectStore('calls');
+    const searchStore = tx.objectStore('searchIndex');
+    const annotationsStore = tx.objectStore('annotations');
     
-    // Delete calls
-    for (const call of calls) {
-      callsStore.delete(call.id);
-    }
+    // Delete calls with their search entries and annotations, and release their bodies
+    const request = callsStore.index('bySessionId').getAll(sessionId);
+    request.onsuccess = () => {
+      const calls = request.result;
+      for (const call of calls) {
+        callsStore.delete(call.id);
+        searchStore.delete(call.id);
+        annotationsStore.delete(call.id);
+      }
+      adjustBodies(tx.objectStore('bodies'), [], calls.flatMap(bodyRefs));
+    };
     
     // Delete session
-    const request = sessionsStore.delete(sessionId);
+    sessionsStore.delete(sessionId);
     
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
 }
 
+/**
+ * Merge sessions into a new session and delete the originals
+ * Calls are moved, not copied, and re-sequenced by timestamp.
+ * @param {string[]} sessionIds - At least two sessions
+ * @param {string} [name] - Name of the merged session
+ * @returns {Promise<Object>} - Merged session
+ */
+export async function mergeSessions(sessionIds, name) {
+  sessionIds = Array.from(new Set(sessionIds));
+  if (sessionIds.length < 2) {
+    throw new Error('Select at least two sessions to merge');
+  }
+  const database = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(['sessions', 'calls', 'searchIndex', 'annotations'], 'readwrite');
+    const sessionsStore = tx.objectStore('sessions');
+    const callsStore = tx.objectStore('calls');
+    const sources = [];
+    const calls = [];
+    let failure = null;
+    let merged = null;
+    let pending = sessionIds.length;
+    
+    sessionIds.forEach((sessionId, order) => {
+      const sessionRequest = sessionsStore.get(sessionId);
+      sessionRequest.onsuccess = () => {
+        sources[order] = sessionRequest.result;
+      };
+      
+      const callsRequest = callsStore.index('bySessionId').getAll(sessionId);
+      callsRequest.onsuccess = () => {
+        callsRequest.result.forEach(call => calls.push({ call, order }));
+        if (--pending === 0) finish();
+      };
+    });
+    
+    const finish = () => {
+      failure = checkMovable(sources, sessionIds);
+      if (failure) {
+        tx.abort();
+        return;
+      }
+      
+      // Earliest first; calls with the same timestamp keep their session and seq order
+      calls.sort((a, b) => (a.call.timestamp || 0) - (b.call.timestamp || 0) || a.order - b.order || a.call.seq - b.call.seq);
+      
+      merged = newSessionRecord(name || sources.map(s => s.name).join(' + '), {
+        status: 'stopped',
+        createdAt: Math.min(...sources.map(s => s.createdAt)),
+        callCount: calls.length,
+        sizeBytes: sources.reduce((sum, s) => sum + (s.sizeBytes || 0), 0),
+        notes: sources.map(s => s.notes).filter(Boolean).join('\n\n'),
+        tags: Array.from(new Set(sources.flatMap(s => s.tags || []))),
+        tabUrl: sources.find(s => s.tabUrl)?.tabUrl || null,
+        navigations: sources.flatMap(s => s.navigations || []).sort((a, b) => a.time - b.time)
+      });
+      sessionsStore.add(merged);
+      moveCalls(tx, calls.map(c => c.call), merged.id);
+      sources.forEach(source => sessionsStore.delete(source.id));
+    };
+    
+    tx.oncomplete = () => resolve(merged);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(failure || tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Split a session in two at a call
+ * The call and every call after it move to a new session and are re-sequenced from 1.
+ * @param {string} sessionId
+ * @param {number} callId - First call of the new session
+ * @param {string} [name] - Name of the new session
+ * @returns {Promise<{session: Object, newSession: Object}>} - Updated original and new session
+ */
+export async function splitSession(sessionId, callId, name) {
+  const database = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(['sessions', 'calls', 'searchIndex', 'annotations', 'bodies'], 'readwrite');
+    const sessionsStore = tx.objectStore('sessions');
+    let failure = null;
+    let session = null;
+    let newSession = null;
+    
+    const sessionRequest = sessionsStore.get(sessionId);
+    sessionRequest.onsuccess = () => {
+      session = sessionRequest.result;
+    };
+    
+    const callsRequest = tx.objectStore('calls').index('bySessionSeq')
+      .getAll(IDBKeyRange.bound([sessionId, 0], [sessionId, Infinity]));
+    callsRequest.onsuccess = () => {
+      const calls = callsRequest.result;
+      const splitAt = calls.findIndex(call => call.id === callId);
+      failure = checkMovable([session], [sessionId]);
+      if (!failure && splitAt === -1) failure = new Error('Call not found in this session');
+      if (!failure && splitAt === 0) failure = new Error('Cannot split at the first call; the original session would be empty');
+      if (failure) {
+        tx.abort();
+        return;
+      }
+      
+      const moved = calls.slice(splitAt);
+      // Bodies still used by calls that stay are left counted in the original session
+      const kept = new Set(calls.slice(0, splitAt).flatMap(bodyRefs));
+      const movedBodies = moved.flatMap(bodyRefs).filter(hash => !kept.has(hash));
+      readBodySizes(tx.objectStore('bodies'), movedBodies, (bodySizes) => {
+        const movedSize = moved.reduce((sum, call) => sum + storedSize(call), 0) + sumValues(bodySizes);
+        // Navigations from the first moved call on go with the calls
+        const splitTime = moved[0].startTime || moved[0].timestamp || 0;
+        const navigations = session.navigations || [];
+        
+        newSession = newSessionRecord(name || `${session.name} (part 2)`, {
+          status: 'stopped',
+          createdAt: moved[0].timestamp || Date.now(),
+          callCount: moved.length,
+          sizeBytes: movedSize,
+          notes: session.notes || '',
+          tags: [...(session.tags || [])],
+          tabUrl: session.tabUrl,
+          navigations: navigations.filter(navigation => navigation.time >= splitTime)
+        });
+        sessionsStore.add(newSession);
+        moveCalls(tx, moved, newSession.id);
+        
+        session = {
+          ...session,
+          callCount: splitAt,
+          sizeBytes: Math.max(0, (session.sizeBytes || 0) - movedSize),
+          navigations: navigations.filter(navigation => navigation.time < splitTime),
+          updatedAt: Date.now()
+        };
+        sessionsStore.put(session);
+      });
+    };
+    
+    tx.oncomplete = () => resolve({ session, newSession });
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(failure || tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Copy calls into a new stopped session, keeping their timestamps and annotations
+ * @param {Object[]} calls - Stored calls with bodies, in the order to keep
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name of the new session
+ * @param {string} [options.tabUrl]
+ * @returns {Promise<Object>} - New session
+ */
+export async function copyCallsToNewSession(calls, { name, tabUrl = null } = {}) {
+  if (calls.length === 0) {
+    throw new Error('No calls to copy');
+  }
+  if (calls.some(call => call.locked)) {
+    throw new Error('Unlock encrypted storage before copying calls');
+  }
+  const database = await initDB();
+  const session = newSessionRecord(name, { status: 'stopped', tabUrl });
+  
+  await new Promise((resolve, reject) => {
+    const request = database.transaction('sessions', 'readwrite').objectStore('sessions').add(session);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+  });
+  
+  const saved = await addCalls(session.id, calls.map(({ id, sessionId, seq, ...callData }) => callData));
+  
+  const sourceIds = Array.from(new Set(calls.map(call => call.sessionId)));
+  const annotations = new Map();
+  for (const sourceId of sourceIds) {
+    for (const [callId, annotation] of await getAnnotationsBySession(sourceId)) {
+      annotations.set(callId, annotation);
+    }
+  }
+  for (let idx = 0; idx < calls.length; idx++) {
+    const annotation = annotations.get(calls[idx].id);
+    if (annotation) {
+      await setCallAnnotation(saved[idx], annotation);
+    }
+  }
+  
+  return getSession(session.id);
+}
+
+/**
+ * Why sessions cannot be merged or split, or null when they can
+ */
+function checkMovable(sessions, sessionIds) {
+  const missing = sessionIds.find((id, idx) => !sessions[idx]);
+  if (missing) return new Error(`Session not found: ${missing}`);
+  
+  const recording = sessions.find(session => session.status === 'active');
+  if (recording) return new Error(`Stop recording "${recording.name}" first`);
+  
+  return null;
+}
+
+/**
+ * Move calls to a session inside a transaction, numbering them from 1 in the given order
+ * Their search entries and annotations follow them; bodies are shared and stay as they are.
+ */
+function moveCalls(tx, calls, sessionId) {
+  const callsStore = tx.objectStore('calls');
+  
+  calls.forEach((call, idx) => {
+    callsStore.put({ ...call, sessionId, seq: idx + 1 });
+    for (const storeName of ['searchIndex', 'annotations']) {
+      const store = tx.objectStore(storeName);
+      const request = store.get(call.id);
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, sessionId });
+        }
+      };
+    }
+  });
+}
+
+/**
+ * Read the compressed size of each stored body
+ */
+function readBodySizes(store, hashes, callback) {
+  const unique = Array.from(new Set(hashes));
+  const sizes = new Map();
+  let pending = unique.length;
+  if (pending === 0) {
+    callback(sizes);
+    return;
+  }
+  
+  for (const hash of unique) {
+    const request = store.get(hash);
+    request.onsuccess = () => {
+      if (request.result) sizes.set(hash, request.result.data.byteLength);
+      if (--pending === 0) callback(sizes);
+    };
+  }
+}
+
 /**
  * Add a call to a session
  * @param {string} sessionId
@@ -185,41 +514,109 @@ export async function deleteSession(sessionId) {
 export async function addCall(sessionId, callData) {
   const database = await initDB();
   
-  // Get current call count for seq number
-  const session = await getSession(sessionId);
-  const seq = (session?.callCount || 0) + 1;
-  
   const call = {
     sessionId,
-    seq,
     timestamp: Date.now(),
     ...callData
   };
   
+  // Hash, compress and encrypt before the transaction: it would commit while awaiting
+  const { record, bodies } = await encodeCall(call);
+  
   return new Promise((resolve, reject) => {
-    const tx = database.transaction(['calls', 'sessions'], 'readwrite');
-    const callsStore = tx.objectStore('calls');
+    const tx = database.transaction(['calls', 'sessions', 'searchIndex', 'bodies'], 'readwrite');
     const sessionsStore = tx.objectStore('sessions');
     
-    const addRequest = callsStore.add(call);
-    
-    addRequest.onsuccess = () => {
-      call.id = addRequest.result;
+    // Number the call from the session read in this transaction, so calls
+    // added concurrently to the same session get distinct seqs
+    const sessionRequest = sessionsStore.get(sessionId);
+    sessionRequest.onsuccess = () => {
+      const session = sessionRequest.result;
+      call.seq ??= (session?.callCount || 0) + 1;
+      record.seq = call.seq;
       
-      // Update session call count
-      const sessionRequest = sessionsStore.get(sessionId);
-      sessionRequest.onsuccess = () => {
-        const session = sessionRequest.result;
+      const addRequest = tx.objectStore('calls').add(record);
+      addRequest.onsuccess = () => {
+        call.id = addRequest.result;
+        tx.objectStore('searchIndex').put(searchEntry(call, record));
+      };
+      
+      adjustBodies(tx.objectStore('bodies'), bodies, [], (stored) => {
         if (session) {
-          session.callCount = seq;
+          session.callCount = (session.callCount || 0) + 1;
+          session.sizeBytes = (session.sizeBytes || 0) + storedSize(record) + sumValues(stored);
           session.updatedAt = Date.now();
           sessionsStore.put(session);
         }
-      };
+      });
     };
     
     tx.oncomplete = () => resolve(call);
     tx.onerror = () => reject(tx.error);
+    // Quota errors abort the transaction without a request error
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Add several calls to a session in a single transaction
+ * @param {string} sessionId
+ * @param {Object[]} callsData
+ * @param {Object} [options]
+ * @param {boolean} [options.touch] - Bump the session's updatedAt; off when restoring a backup
+ * @returns {Promise<Object[]>} - Saved calls, in insertion order
+ */
+export async function addCalls(sessionId, callsData, { touch = true } = {}) {
+  const database = await initDB();
+  
+  const calls = callsData.map(callData => ({
+    sessionId,
+    timestamp: Date.now(),
+    ...callData
+  }));
+  
+  const prepared = [];
+  for (const call of calls) {
+    prepared.push(await encodeCall(call));
+  }
+  const bodies = prepared.flatMap(p => p.bodies);
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(['calls', 'sessions', 'searchIndex', 'bodies'], 'readwrite');
+    const callsStore = tx.objectStore('calls');
+    const sessionsStore = tx.objectStore('sessions');
+    const searchStore = tx.objectStore('searchIndex');
+    
+    // Number the calls from the session read in this transaction, see addCall
+    const sessionRequest = sessionsStore.get(sessionId);
+    sessionRequest.onsuccess = () => {
+      const session = sessionRequest.result;
+      const firstSeq = (session?.callCount || 0) + 1;
+      
+      calls.forEach((call, idx) => {
+        const { record } = prepared[idx];
+        call.seq ??= firstSeq + idx;
+        record.seq = call.seq;
+        const addRequest = callsStore.add(record);
+        addRequest.onsuccess = () => {
+          call.id = addRequest.result;
+          searchStore.put(searchEntry(call, record));
+        };
+      });
+      
+      adjustBodies(tx.objectStore('bodies'), bodies, [], (stored) => {
+        if (session) {
+          session.callCount = (session.callCount || 0) + calls.length;
+          session.sizeBytes = (session.sizeBytes || 0) + prepared.reduce((sum, p) => sum + storedSize(p.record), 0) + sumValues(stored);
+          if (touch) session.updatedAt = Date.now();
+          sessionsStore.put(session);
+        }
+      });
+    };
+    
+    tx.oncomplete = () => resolve(calls);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
   });
 }
 
@@ -241,9 +638,297 @@ export async function getCallsBySession(sessionId) {
     
     request.onsuccess = () => resolve(request.result);
     request.onerror = () => reject(request.error);
+  }).then(records => hydrateCalls(database, records));
+}
+
+/**
+ * Read one page of a session's calls in seq order using a cursor
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {Object} [options.after] - Last call of the previous page ({ seq, id })
+ * @param {number} [options.limit] - Maximum number of calls to return
+ * @returns {Promise<Object[]>}
+ */
+export async function getCallsPage(sessionId, { after = null, limit = 200 } = {}) {
+  const database = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction('calls', 'readonly');
+    const index = tx.objectStore('calls').index('bySessionSeq');
+    
+    const range = IDBKeyRange.bound([sessionId, after ? after.seq : 0], [sessionId, Infinity]);
+    const request = index.openCursor(range);
+    const calls = [];
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || calls.length >= limit) {
+        resolve(hydrateCalls(database, calls));
+        return;
+      }
+      
+      // Calls sharing a seq are ordered by primary key; skip those already returned
+      const call = cursor.value;
+      if (!after || call.seq > after.seq || call.id > after.id) {
+        calls.push(call);
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Set the annotation of a call; an empty annotation is deleted
+ * @param {Object} call - Stored call ({ id, sessionId })
+ * @param {Object} annotation - { note, starred, flagged }
+ * @returns {Promise<Object|null>} - Saved annotation, or null when removed
+ */
+export async function setCallAnnotation(call, { note = '', starred = false, flagged = false }) {
+  const database = await initDB();
+  const annotation = {
+    callId: call.id,
+    sessionId: call.sessionId,
+    note: note.trim(),
+    starred: !!starred,
+    flagged: !!flagged,
+    updatedAt: Date.now()
+  };
+  const isEmpty = !annotation.note && !annotation.starred && !annotation.flagged;
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction('annotations', 'readwrite');
+    const store = tx.objectStore('annotations');
+    const request = isEmpty ? store.delete(call.id) : store.put(annotation);
+    
+    request.onsuccess = () => resolve(isEmpty ? null : annotation);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the call annotations of a session
+ * @param {string} sessionId
+ * @returns {Promise<Map<number, Object>>} - Annotations keyed by call id
+ */
+export async function getAnnotationsBySession(sessionId) {
+  const database = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction('annotations', 'readonly');
+    const index = tx.objectStore('annotations').index('bySessionId');
+    const request = index.getAll(sessionId);
+    
+    request.onsuccess = () => resolve(new Map(request.result.map(a => [a.callId, a])));
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Full-text search over call URLs, headers and bodies
+ * Every query word must match the start of a word in the call.
+ * @param {string} query
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Limit results to one session
+ * @param {number} [options.limit] - Maximum number of calls to return
+ * @returns {Promise<Object[]>} - Matching calls, most recent first
+ */
+export async function searchCalls(query, { sessionId = null, limit = 100 } = {}) {
+  const terms = tokenize(query);
+  if (terms.length === 0) return [];
+  
+  const database = await initDB();
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(['searchIndex', 'calls'], 'readonly');
+    const tokenIndex = tx.objectStore('searchIndex').index('byToken');
+    const callsStore = tx.objectStore('calls');
+    
+    // Newest calls have the highest ids; load them one by one until the limit is reached
+    const results = [];
+    const collect = (callIds) => {
+      const ids = Array.from(callIds).sort((a, b) => b - a);
+      const next = (idx) => {
+        if (idx >= ids.length || results.length >= limit) return;
+        const request = callsStore.get(ids[idx]);
+        request.onsuccess = () => {
+          const call = request.result;
+          if (call && (!sessionId || call.sessionId === sessionId)) {
+            results.push(call);
+          }
+          next(idx + 1);
+        };
+      };
+      next(0);
+    };
+    
+    // Call ids matching each term as a prefix
+    const matches = [];
+    terms.forEach(term => {
+      const request = tokenIndex.getAllKeys(IDBKeyRange.bound(term, term + '\uffff'));
+      request.onsuccess = () => {
+        matches.push(new Set(request.result));
+        if (matches.length === terms.length) {
+          collect(intersect(matches));
+        }
+      };
+    });
+    
+    tx.oncomplete = () => resolve(results);
+    tx.onerror = () => reject(tx.error);
+  }).then(records => hydrateCalls(database, records));
+}
+
+/**
+ * Ids present in every set
+ */
+function intersect(sets) {
+  const [smallest, ...rest] = [...sets].sort((a, b) => a.size - b.size);
+  return Array.from(smallest).filter(id => rest.every(set => set.has(id)));
+}
+
+/**
+ * Rewrite calls whose stored form does not match the current settings
+ * This moves bodies recorded before content-addressed storage out of the call
+ * records, and encrypts or decrypts calls after encryption is turned on or off.
+ * Encrypted calls are left alone while the store is locked. Works in small
+ * batches so recording is not blocked.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Calls read per transaction
+ * @returns {Promise<number>} - Number of calls rewritten
+ */
+export async function reencodeStoredCalls({ batchSize = 100 } = {}) {
+  const database = await initDB();
+  let after = 0;
+  let rewritten = 0;
+  
+  while (true) {
+    const { records, lastId } = await readReencodeBatch(database, after, batchSize);
+    if (lastId === null) return rewritten;
+    after = lastId;
+    
+    const calls = await hydrateCalls(database, records);
+    const prepared = [];
+    for (let idx = 0; idx < records.length; idx++) {
+      if (calls[idx].locked) continue;
+      prepared.push({ original: records[idx], call: calls[idx], ...(await encodeCall(calls[idx])) });
+    }
+    if (prepared.length > 0) {
+      rewritten += await writeReencodedCalls(database, prepared);
+    }
+  }
+}
+
+/**
+ * Whether a stored record differs from how encodeCall would store it now
+ */
+function needsReencode(record) {
+  if (!!record.encrypted !== encryptWrites) return true;
+  return BODY_FIELDS.some(field => typeof record[field] === 'string' && record[field].length > BODY_INLINE_LIMIT);
+}
+
+/**
+ * Read the next batch of calls by id, keeping those that need rewriting and can be read
+ */
+function readReencodeBatch(database, after, batchSize) {
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction('calls', 'readonly');
+    const request = tx.objectStore('calls').openCursor(IDBKeyRange.lowerBound(after, true));
+    const records = [];
+    let scanned = 0;
+    let lastId = null;
+    
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || scanned >= batchSize) {
+        resolve({ records, lastId });
+        return;
+      }
+      
+      scanned++;
+      lastId = cursor.value.id;
+      if (needsReencode(cursor.value) && (!cursor.value.encrypted || encryptionKeys)) {
+        records.push(cursor.value);
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store rewritten calls, skipping calls changed since they were read
+ */
+function writeReencodedCalls(database, prepared) {
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction(['calls', 'sessions', 'searchIndex', 'bodies'], 'readwrite');
+    const callsStore = tx.objectStore('calls');
+    const sessionsStore = tx.objectStore('sessions');
+    const sizeChanges = new Map();
+    const bodyOwners = new Map();
+    const added = [];
+    const released = [];
+    let pending = prepared.length;
+    let rewritten = 0;
+    
+    const finish = () => {
+      adjustBodies(tx.objectStore('bodies'), added, released, (stored) => {
+        // A newly stored body counts towards the session of the first call using it
+        for (const [hash, size] of stored) {
+          const sessionId = bodyOwners.get(hash);
+          sizeChanges.set(sessionId, (sizeChanges.get(sessionId) || 0) + size);
+        }
+        
+        for (const [sessionId, change] of sizeChanges) {
+          const request = sessionsStore.get(sessionId);
+          request.onsuccess = () => {
+            const session = request.result;
+            if (session) {
+              session.sizeBytes = Math.max(0, (session.sizeBytes || 0) + change);
+              sessionsStore.put(session);
+            }
+          };
+        }
+      });
+    };
+    
+    for (const { original, call, record, bodies } of prepared) {
+      const request = callsStore.get(original.id);
+      request.onsuccess = () => {
+        const current = request.result;
+        if (current && sameStoredContent(current, original)) {
+          // Merging or splitting may have moved the call meanwhile
+          const updated = { ...record, sessionId: current.sessionId, seq: current.seq };
+          callsStore.put(updated);
+          tx.objectStore('searchIndex').put(searchEntry({ ...call, sessionId: current.sessionId }, updated));
+          added.push(...bodies);
+          released.push(...bodyRefs(current));
+          bodies.forEach(body => bodyOwners.has(body.hash) || bodyOwners.set(body.hash, current.sessionId));
+          const change = storedSize(updated) - storedSize(current);
+          sizeChanges.set(current.sessionId, (sizeChanges.get(current.sessionId) || 0) + change);
+          rewritten++;
+        }
+        if (--pending === 0) finish();
+      };
+    }
+    
+    tx.oncomplete = () => resolve(rewritten);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
   });
 }
 
+/**
+ * Whether two reads of a stored record hold the same headers and bodies
+ */
+function sameStoredContent(a, b) {
+  const sameEncrypted = !a.encrypted === !b.encrypted &&
+    (!a.encrypted || a.encrypted.iv.join() === b.encrypted.iv.join());
+  return sameEncrypted &&
+    bodyRefs(a).join() === bodyRefs(b).join() &&
+    BODY_FIELDS.every(field => a[field] === b[field]);
+}
+
 /**
  * Clear all data
  * @returns {Promise<void>}
@@ -252,11 +937,154 @@ export async function clearAllData() {
   const database = await initDB();
   
   return new Promise((resolve, reject) => {
-    const tx = database.transaction(['sessions', 'calls'], 'readwrite');
+    const tx = database.transaction(['sessions', 'calls', 'searchIndex', 'annotations', 'bodies'], 'readwrite');
     tx.objectStore('sessions').clear();
     tx.objectStore('calls').clear();
+    tx.objectStore('searchIndex').clear();
+    tx.objectStore('annotations').clear();
+    tx.objectStore('bodies').clear();
     
     tx.oncomplete = () => resolve();
     tx.onerror = () => reject(tx.error);
   });
 }
+
+/**
+ * Add references to prepared bodies and drop references to hashes in one pass
+ * Changes to the same hash are combined so each body is read and written once;
+ * new bodies are stored and bodies nothing refers to any more are deleted.
+ * @param {IDBObjectStore} store
+ * @param {Object[]} added - Prepared bodies, one per new reference
+ * @param {string[]} released - Hashes, one per dropped reference
+ * @param {Function} [onStored] - Called with a Map of hash to compressed size
+ *   for the bodies that were not stored before
+ */
+function adjustBodies(store, added, released, onStored = () => {}) {
+  const byHash = new Map(added.map(body => [body.hash, body]));
+  const changes = countRefs(added.map(body => body.hash));
+  for (const [hash, count] of countRefs(released)) {
+    changes.set(hash, (changes.get(hash) || 0) - count);
+  }
+  
+  const stored = new Map();
+  const pending = Array.from(changes).filter(([hash, change]) => change !== 0);
+  let remaining = pending.length;
+  if (remaining === 0) {
+    onStored(stored);
+    return;
+  }
+  
+  for (const [hash, change] of pending) {
+    const request = store.get(hash);
+    request.onsuccess = () => {
+      const existing = request.result;
+      const refCount = (existing?.refCount || 0) + change;
+      if (refCount <= 0) {
+        if (existing) store.delete(hash);
+      } else if (existing) {
+        store.put({ ...existing, refCount });
+      } else if (byHash.has(hash)) {
+        const body = byHash.get(hash);
+        store.put({ ...body, refCount });
+        stored.set(hash, body.data.byteLength);
+      }
+      if (--remaining === 0) onStored(stored);
+    };
+  }
+}
+
+/**
+ * Decrypt stored records and replace body references with the decompressed bodies
+ * @param {IDBDatabase} database
+ * @param {Object[]} records - Stored call records
+ * @returns {Promise<Object[]>}
+ */
+async function hydrateCalls(database, records) {
+  const opened = [];
+  for (const record of records) {
+    opened.push(record.encrypted ? await openRecord(record) : record);
+  }
+  
+  const hashes = Array.from(new Set(opened.filter(call => !call.locked).flatMap(bodyRefs)));
+  if (hashes.length === 0) return opened;
+  
+  const stored = await new Promise((resolve, reject) => {
+    const tx = database.transaction('bodies', 'readonly');
+    const store = tx.objectStore('bodies');
+    const found = new Map();
+    for (const hash of hashes) {
+      const request = store.get(hash);
+      request.onsuccess = () => found.set(hash, request.result);
+    }
+    tx.oncomplete = () => resolve(found);
+    tx.onerror = () => reject(tx.error);
+  });
+  
+  const inflated = new Map();
+  for (const [hash, body] of stored) {
+    inflated.set(hash, body ? await inflateBody(body, encryptionKeys) : null);
+  }
+  
+  return opened.map(record => {
+    if (record.locked || bodyRefs(record).length === 0) return record;
+    const call = { ...record };
+    for (const field of BODY_FIELDS) {
+      const ref = call[`${field}Ref`];
+      if (ref) {
+        call[field] = bodyFromBytes(call, field, inflated.get(ref));
+        delete call[`${field}Ref`];
+      }
+    }
+    return call;
+  });
+}
+
+/**
+ * Decrypt an encrypted record, or mark it locked when that is not possible
+ */
+async function openRecord(record) {
+  if (encryptionKeys) {
+    try {
+      return await decryptFields(encryptionKeys, record);
+    } catch (error) {
+      console.error(`Failed to decrypt call ${record.id}:`, error);
+    }
+  }
+  
+  const { encrypted, ...call } = withoutProtectedFields(record);
+  return { ...call, locked: true };
+}
+
+/**
+ * Prepare a call for the calls store: move out large bodies and encrypt when enabled
+ * @returns {Promise<{record: Object, bodies: Object[]}>}
+ */
+async function encodeCall(call) {
+  const keys = encryptWrites ? encryptionKeys : null;
+  const { locked, ...plain } = call;
+  const { record, bodies } = await dehydrateCall(plain, keys);
+  return { record: keys ? await encryptFields(keys, record) : record, bodies };
+}
+
+/**
+ * Search index entry for a call; encrypted calls only index what is stored in plaintext
+ */
+function searchEntry(call, record) {
+  return buildSearchEntry(record.encrypted ? withoutProtectedFields(call) : call);
+}
+
+/**
+ * Approximate bytes of a stored call record, without the bodies it refers to
+ * Bodies are shared between calls, so a session only counts the bodies it
+ * stored first (see adjustBodies).
+ */
+function storedSize(record) {
+  const encryptedSize = record.encrypted ? record.encrypted.data.byteLength : 0;
+  return estimateSize(record) + encryptedSize;
+}
+
+function sumValues(map) {
+  let sum = 0;
+  for (const value of map.values()) sum += value;
+  return sum;
+}
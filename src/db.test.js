@@ -0,0 +1,69 @@
+/**
+ * Tests for call storage: sequence numbers and session sizes
+ * Run with npm test
+ */
+
+import 'fake-indexeddb/auto';
+import { createSession, getSession, updateSession, addCall, addCalls, getCallsBySession, splitSession, clearAllData } from './db.js';
+
+// Random hex does not compress, so a body dominates the size of its call
+function randomBody(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function callData(responseBody) {
+  return { method: 'GET', url: 'https://api.example.com/report', status: 200, responseBody };
+}
+
+describe('db', () => {
+  beforeEach(() => clearAllData());
+  
+  test('gives calls added concurrently to a session distinct seqs', async () => {
+    const session = await createSession('Concurrent');
+    const saved = await Promise.all([1, 2, 3, 4, 5].map(() => addCall(session.id, callData('{}'))));
+    
+    expect(saved.map(call => call.seq).sort()).toEqual([1, 2, 3, 4, 5]);
+    expect((await getCallsBySession(session.id)).map(call => call.seq).sort()).toEqual([1, 2, 3, 4, 5]);
+    expect((await getSession(session.id)).callCount).toBe(5);
+  });
+  
+  test('continues numbering after calls added in a batch', async () => {
+    const session = await createSession('Batch');
+    await addCalls(session.id, [callData('{}'), callData('{}')]);
+    const [call] = await Promise.all([addCall(session.id, callData('{}')), addCalls(session.id, [callData('{}')])]);
+    
+    expect(call.seq).toBe(3);
+    expect((await getCallsBySession(session.id)).map(call => call.seq)).toEqual([1, 2, 3, 4]);
+  });
+  
+  test('counts a body shared by several calls once', async () => {
+    const body = randomBody(8192);
+    const single = await createSession('Single');
+    await addCall(single.id, callData(body));
+    const singleSize = (await getSession(single.id)).sizeBytes;
+    
+    const repeated = await createSession('Repeated');
+    await addCalls(repeated.id, [callData(body), callData(body)]);
+    await addCall(repeated.id, callData(body));
+    
+    expect(singleSize).toBeGreaterThan(8192);
+    // Only the records are counted again; the body is already stored
+    expect((await getSession(repeated.id)).sizeBytes).toBeLessThan(singleSize / 2);
+  });
+  
+  test('keeps the total size when splitting calls that share a body', async () => {
+    const shared = randomBody(4096);
+    const session = await createSession('Split');
+    const calls = await addCalls(session.id, [callData(shared), callData(shared), callData(randomBody(4096))]);
+    await updateSession(session.id, { status: 'stopped' });
+    const before = (await getSession(session.id)).sizeBytes;
+    
+    const { session: original, newSession } = await splitSession(session.id, calls[1].id);
+    
+    expect(original.sizeBytes + newSession.sizeBytes).toBe(before);
+    // The shared body stays with the call that was kept
+    expect(original.sizeBytes).toBeGreaterThan(4096);
+    expect(newSession.sizeBytes).toBeGreaterThan(4096);
+    expect(newSession.sizeBytes).toBeLessThan(2 * 4096);
+  });
+});
@@ -0,0 +1,284 @@
+/**
+ * Optional encryption at rest
+ * Headers and bodies are encrypted with AES-GCM under a key derived from the
+ * user's passphrase with PBKDF2. The salt, iteration count and a verifier
+ * live in chrome.storage.local; the passphrase and keys are never stored.
+ */
+
+const SETTINGS_KEY = 'apiLoggerEncryption';
+
+// OWASP's recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+
+const VERIFIER_TEXT = 'api-logger-encryption';
+const EXPORT_FORMAT = 'api-logger-encrypted';
+
+// Exports are encrypted in chunks, so no buffer or base64 string holds the whole file
+const EXPORT_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Call fields encrypted in stored records
+ */
+export const PROTECTED_FIELDS = ['requestHeaders', 'responseHeaders', 'requestBody', 'responseBody'];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Load encryption settings
+ * @returns {Promise<Object|null>} - { salt, iterations, verifier }, or null when encryption is off
+ */
+export async function loadEncryptionSettings() {
+  const result = await chrome.storage.local.get(SETTINGS_KEY);
+  return result[SETTINGS_KEY] || null;
+}
+
+/**
+ * Turn encryption on with a new passphrase
+ * @param {string} passphrase
+ * @returns {Promise<{settings: Object, keys: Object}>}
+ */
+export async function enableEncryption(passphrase) {
+  checkPassphrase(passphrase);
+  
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const keys = await deriveKeys(passphrase, salt, PBKDF2_ITERATIONS);
+  const verifier = await encryptBytes(keys, encoder.encode(VERIFIER_TEXT));
+  const settings = {
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    verifier: { iv: toBase64(verifier.iv), data: toBase64(verifier.data) }
+  };
+  
+  await chrome.storage.local.set({ [SETTINGS_KEY]: settings });
+  return { settings, keys };
+}
+
+/**
+ * Forget the encryption settings; stored calls must be decrypted first
+ * @returns {Promise<void>}
+ */
+export async function removeEncryptionSettings() {
+  await chrome.storage.local.remove(SETTINGS_KEY);
+}
+
+/**
+ * Derive the keys for a passphrase and check them against the stored verifier
+ * @param {string} passphrase
+ * @param {Object} settings
+ * @returns {Promise<Object>} - Keys for encryptBytes, decryptBytes and keyedHash
+ * @throws {Error} - When the passphrase is wrong
+ */
+export async function unlockEncryption(passphrase, settings) {
+  const keys = await deriveKeys(passphrase, fromBase64(settings.salt), settings.iterations);
+  const verifier = await decryptBytes(keys, {
+    iv: fromBase64(settings.verifier.iv),
+    data: fromBase64(settings.verifier.data)
+  }).catch(() => null);
+  
+  if (!verifier || decoder.decode(verifier) !== VERIFIER_TEXT) {
+    throw new Error('Wrong passphrase');
+  }
+  return keys;
+}
+
+/**
+ * Derive an AES-GCM key and an HMAC key from a passphrase
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<{aesKey: CryptoKey, hmacKey: CryptoKey}>}
+ */
+export async function deriveKeys(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    512
+  ));
+  
+  const [aesKey, hmacKey] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  ]);
+  return { aesKey, hmacKey };
+}
+
+/**
+ * Encrypt bytes with a fresh IV
+ * @param {Object} keys
+ * @param {BufferSource} bytes
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+ */
+export async function encryptBytes(keys, bytes) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aesKey, bytes);
+  return { iv, data };
+}
+
+/**
+ * Decrypt bytes written by encryptBytes
+ * @param {Object} keys
+ * @param {{iv: Uint8Array, data: BufferSource}} payload
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function decryptBytes(keys, { iv, data }) {
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv }, keys.aesKey, data);
+}
+
+/**
+ * Keyed SHA-256 hash, so content addresses do not reveal known bodies
+ * @param {Object} keys
+ * @param {BufferSource} bytes
+ * @returns {Promise<string>} - Hex digest
+ */
+export async function keyedHash(keys, bytes) {
+  const signature = await crypto.subtle.sign('HMAC', keys.hmacKey, bytes);
+  return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Move the protected fields of a record into an encrypted payload
+ * @param {Object} keys
+ * @param {Object} record
+ * @returns {Promise<Object>} - Record with an `encrypted` field instead of the protected fields
+ */
+export async function encryptFields(keys, record) {
+  const sealed = { ...record };
+  const fields = {};
+  for (const field of PROTECTED_FIELDS) {
+    if (field in sealed) {
+      fields[field] = sealed[field];
+      delete sealed[field];
+    }
+  }
+  
+  sealed.encrypted = await encryptBytes(keys, encoder.encode(JSON.stringify(fields)));
+  return sealed;
+}
+
+/**
+ * Restore the protected fields of a record written by encryptFields
+ * @param {Object} keys
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ */
+export async function decryptFields(keys, record) {
+  const { encrypted, ...rest } = record;
+  const fields = JSON.parse(decoder.decode(await decryptBytes(keys, encrypted)));
+  return { ...rest, ...fields };
+}
+
+/**
+ * A call without the fields that are only stored encrypted, e.g. for the search index
+ * @param {Object} call
+ * @returns {Object}
+ */
+export function withoutProtectedFields(call) {
+  const stripped = { ...call };
+  PROTECTED_FIELDS.forEach(field => delete stripped[field]);
+  return stripped;
+}
+
+/**
+ * Wrap an export in an encrypted envelope that can be opened with the same passphrase
+ * The content is encrypted in chunks of EXPORT_CHUNK_SIZE bytes, each with its
+ * own IV and bound to its position, so chunks cannot be reordered or dropped.
+ * @param {Blob|string} content
+ * @param {Object} keys
+ * @param {Object} settings
+ * @returns {Promise<Blob>}
+ */
+export async function encryptExport(content, keys, settings) {
+  const blob = new Blob([content]);
+  const header = {
+    format: EXPORT_FORMAT,
+    version: 2,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: settings.salt, iterations: settings.iterations },
+    cipher: { name: 'AES-GCM', chunkSize: EXPORT_CHUNK_SIZE }
+  };
+  
+  const parts = [`${JSON.stringify(header).slice(0, -1)},"chunks":[`];
+  let index = 0;
+  let offset = 0;
+  do {
+    const bytes = await blob.slice(offset, offset + EXPORT_CHUNK_SIZE).arrayBuffer();
+    offset += EXPORT_CHUNK_SIZE;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt(chunkParams(iv, index, offset >= blob.size), keys.aesKey, bytes);
+    parts.push(`${index > 0 ? ',' : ''}"${toBase64(iv)}.${toBase64(data)}"`);
+    index++;
+  } while (offset < blob.size);
+  parts.push(']}');
+  
+  return new Blob(parts, { type: 'application/json' });
+}
+
+/**
+ * Whether file content is an encrypted export envelope
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isEncryptedExport(text) {
+  if (!text.trimStart().startsWith(`{"format":"${EXPORT_FORMAT}"`)) return false;
+  try {
+    return JSON.parse(text).format === EXPORT_FORMAT;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Open an encrypted export envelope
+ * @param {string} text
+ * @param {string} passphrase
+ * @returns {Promise<ArrayBuffer>} - The original export bytes
+ * @throws {Error} - When the passphrase is wrong or the file is damaged
+ */
+export async function decryptExport(text, passphrase) {
+  const envelope = JSON.parse(text);
+  if (envelope.version !== 2) {
+    throw new Error(`Unsupported encrypted export version ${envelope.version}`);
+  }
+  
+  const keys = await deriveKeys(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations);
+  try {
+    const parts = [];
+    for (const [index, chunk] of envelope.chunks.entries()) {
+      const [iv, data] = chunk.split('.').map(fromBase64);
+      const last = index === envelope.chunks.length - 1;
+      parts.push(await crypto.subtle.decrypt(chunkParams(iv, index, last), keys.aesKey, data));
+    }
+    return await new Blob(parts).arrayBuffer();
+  } catch (e) {
+    throw new Error('Wrong passphrase or damaged file');
+  }
+}
+
+/**
+ * AES-GCM parameters for an export chunk; the additional data authenticates
+ * its index and whether it is the last one
+ */
+function chunkParams(iv, index, last) {
+  return { name: 'AES-GCM', iv, additionalData: encoder.encode(`${index}:${last ? 'last' : 'more'}`) };
+}
+
+function checkPassphrase(passphrase) {
+  if (!passphrase || passphrase.length < 8) {
+    throw new Error('Passphrase must be at least 8 characters');
+  }
+}
+
+function toBase64(buffer) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so large exports do not overflow the argument limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
@@ -0,0 +1,54 @@
+/**
+ * Tests for encrypted export envelopes
+ * Run with npm test
+ */
+
+import { deriveKeys, encryptExport, decryptExport, isEncryptedExport } from './encryption.js';
+
+const PASSPHRASE = 'correct horse battery';
+const SALT = new Uint8Array(16).fill(7);
+// Few iterations keep the tests fast; the envelope carries the count
+const settings = { salt: btoa(String.fromCharCode(...SALT)), iterations: 1000 };
+
+const keys = await deriveKeys(PASSPHRASE, SALT, settings.iterations);
+
+async function roundTrip(content) {
+  const text = await (await encryptExport(content, keys, settings)).text();
+  return new TextDecoder().decode(await decryptExport(text, PASSPHRASE));
+}
+
+async function tamper(content, change) {
+  const envelope = JSON.parse(await (await encryptExport(content, keys, settings)).text());
+  change(envelope.chunks);
+  return JSON.stringify(envelope);
+}
+
+describe('encrypted exports', () => {
+  test('round-trips an export spanning several chunks', async () => {
+    const content = 'a'.repeat(1024 * 1024) + 'b'.repeat(1024 * 1024) + 'tail';
+    const text = await (await encryptExport(content, keys, settings)).text();
+    
+    expect(isEncryptedExport(text)).toBe(true);
+    expect(JSON.parse(text).chunks).toHaveLength(3);
+    expect(new TextDecoder().decode(await decryptExport(text, PASSPHRASE))).toBe(content);
+  });
+  
+  test('round-trips an empty export', async () => {
+    expect(await roundTrip('')).toBe('');
+  });
+  
+  test('rejects reordered or dropped chunks', async () => {
+    const content = 'x'.repeat(2 * 1024 * 1024 + 10);
+    
+    await expect(decryptExport(await tamper(content, chunks => chunks.reverse()), PASSPHRASE))
+      .rejects.toThrow('Wrong passphrase or damaged file');
+    await expect(decryptExport(await tamper(content, chunks => chunks.pop()), PASSPHRASE))
+      .rejects.toThrow('Wrong passphrase or damaged file');
+  });
+  
+  test('rejects a wrong passphrase', async () => {
+    const text = await (await encryptExport('{"calls":[]}', keys, settings)).text();
+    
+    await expect(decryptExport(text, 'wrong passphrase')).rejects.toThrow('Wrong passphrase or damaged file');
+  });
+});
@@ -3,7 +3,24 @@
  * Format: NDJSON (newline-delimited JSON) - one object per line
  */
 
-import { getSession, getCallsBySession } from './db.js';
+import { getSession, getCallsBySession, getCallsPage, getAnnotationsBySession } from './db.js';
+import { buildOpenApiDocument, toYaml } from './openapi.js';
+import { buildPostmanCollection, buildInsomniaExport } from './collections.js';
+import { buildMswFiles } from './msw.js';
+import { buildTypeDefinitions } from './typescript.js';
+import { buildPlaywrightTest, buildCypressSpec } from './testgen.js';
+import { createZip } from './zip.js';
+import { isBinaryBody, bodyLength, encodeBase64, BASE64_POST_DATA_COMMENT } from './bodies.js';
+import { tryParseJson } from './codegen.js';
+import { toHarTimings } from './timings.js';
+
+// Calls read per cursor page when streaming an export
+const EXPORT_PAGE_SIZE = 200;
+
+// Markdown report limits
+const MAX_REPORT_FAILURES = 50;
+const MAX_REPORT_BODY = 2000;
+const MAX_DIAGRAM_CALLS = 200;
 
 /**
  * Export a session to JSONL format optimized for consumption
@@ -11,17 +28,96 @@ import { getSession, getCallsBySession } from './db.js';
  * @returns {Promise<string>} - JSONL content
  */
 export async function exportSession(sessionId) {
+  const blob = await exportSessionBlob(sessionId);
+  return blob.text();
+}
+
+/**
+ * Export a session to JSONL as a Blob, reading calls page by page so large
+ * sessions never have to be held in memory as one string
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {boolean} [options.gzip] - Compress the output (.jsonl.gz)
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @returns {Promise<Blob>}
+ */
+export async function exportSessionBlob(sessionId, { gzip = false, onProgress, signal } = {}) {
+  let stream = await createSessionExportStream(sessionId, { onProgress, signal });
+  if (gzip) {
+    stream = stream.pipeThrough(new CompressionStream('gzip'));
+  }
+  
+  const blob = await new Response(stream).blob();
+  return new Blob([blob], { type: gzip ? 'application/gzip' : 'application/jsonl' });
+}
+
+/**
+ * Create a ReadableStream of JSONL bytes for a session
+ * The summary in the meta line needs every call, so calls are read twice:
+ * once to build the summary and once to write the call lines.
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with { phase, done, total }
+ * @param {AbortSignal} [options.signal] - Cancels the export
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function createSessionExportStream(sessionId, { onProgress, signal } = {}) {
   const session = await getSession(sessionId);
   if (!session) {
     throw new Error('Session not found');
   }
   
-  const calls = await getCallsBySession(sessionId);
+  const annotations = await getAnnotationsBySession(sessionId);
+  const encoder = new TextEncoder();
+  const total = session.callCount || 0;
+  let after = null;
+  let done = 0;
   
-  const lines = [];
+  const checkAborted = () => {
+    if (signal?.aborted) {
+      throw new DOMException('Export cancelled', 'AbortError');
+    }
+  };
   
-  // Meta line (first line)
-  const meta = {
+  return new ReadableStream({
+    async start(controller) {
+      const summary = createSummary();
+      let page;
+      do {
+        checkAborted();
+        page = await getCallsPage(sessionId, { after, limit: EXPORT_PAGE_SIZE });
+        page.forEach(call => addToSummary(summary, call));
+        if (page.length > 0) after = page[page.length - 1];
+        onProgress?.({ phase: 'summary', done: summary.calls, total });
+      } while (page.length === EXPORT_PAGE_SIZE);
+      
+      controller.enqueue(encoder.encode(JSON.stringify(buildMeta(session, finishSummary(summary)))));
+      after = null;
+    },
+    
+    async pull(controller) {
+      checkAborted();
+      const page = await getCallsPage(sessionId, { after, limit: EXPORT_PAGE_SIZE });
+      if (page.length > 0) {
+        after = page[page.length - 1];
+        done += page.length;
+        const chunk = page.map(call => '\n' + JSON.stringify(buildCallLine(call, annotations.get(call.id)))).join('');
+        controller.enqueue(encoder.encode(chunk));
+        onProgress?.({ phase: 'calls', done, total });
+      }
+      if (page.length < EXPORT_PAGE_SIZE) {
+        controller.close();
+      }
+    }
+  });
+}
+
+/**
+ * Build the meta line (first line) of an api-trace-jsonl export
+ */
+function buildMeta(session, summary) {
+  return {
     type: 'meta',
     format: 'api-trace-jsonl',
     version: 1,
@@ -30,44 +126,69 @@ export async function exportSession(sessionId) {
       name: session.name,
       startedAt: new Date(session.createdAt).toISOString(),
       endedAt: session.updatedAt ? new Date(session.updatedAt).toISOString() : null,
+      notes: session.notes || '',
+      tags: session.tags || [],
+      navigations: (session.navigations || []).map(navigation => ({
+        url: navigation.url,
+        time: new Date(navigation.time).toISOString()
+      })),
       source: {
         extension: 'API Logger',
         extVersion: '1.0.0',
         tabUrl: session.tabUrl
       }
     },
-    summary: generateSummary(calls)
+    summary
   };
-  lines.push(JSON.stringify(meta));
-  
-  // Call lines
-  for (const call of calls) {
-    const callLine = {
-      type: 'call',
-      seq: call.seq,
-      id: `call_${call.id}`,
-      timestamp: new Date(call.timestamp).toISOString(),
-      duration: call.duration,
-      
-      request: {
-        method: call.method,
-        url: call.url,
-        headers: call.requestHeaders,
-        body: formatBody(call.requestBody, call.requestContentType)
-      },
-      
-      response: {
-        status: call.status,
-        statusText: call.statusText,
-        headers: call.responseHeaders,
-        body: formatBody(call.responseBody, call.responseContentType, call.responseBodyTruncated)
-      }
-    };
+}
+
+/**
+ * Build a call line of an api-trace-jsonl export
+ */
+function buildCallLine(call, annotation) {
+  const line = {
+    type: 'call',
+    seq: call.seq,
+    id: `call_${call.id}`,
+    timestamp: new Date(call.timestamp).toISOString(),
+    duration: call.duration,
     
-    lines.push(JSON.stringify(callLine));
+    request: {
+      method: call.method,
+      url: call.url,
+      headers: call.requestHeaders,
+      body: formatBody(call.requestBody, call.requestContentType, call.requestBodyTruncated)
+    },
+    
+    response: {
+      status: call.status,
+      statusText: call.statusText,
+      headers: call.responseHeaders,
+      body: formatBody(call.responseBody, call.responseContentType, call.responseBodyTruncated)
+    }
+  };
+  
+  // Timing phases and connection details, for calls recorded since they are kept
+  if (call.timings) {
+    line.timings = call.timings;
+  }
+  const network = Object.fromEntries(
+    ['httpVersion', 'serverIPAddress', 'connection', 'transferSize', 'cacheStatus']
+      .filter(key => call[key] !== undefined && call[key] !== null)
+      .map(key => [key, call[key]])
+  );
+  if (Object.keys(network).length > 0) {
+    line.network = network;
   }
   
-  return lines.join('\n');
+  if (annotation) {
+    line.annotation = {
+      note: annotation.note,
+      starred: annotation.starred,
+      flagged: annotation.flagged
+    };
+  }
+  return line;
 }
 
 /**
@@ -96,8 +217,8 @@ export async function exportSessionCompact(sessionId) {
       url: simplifyUrl(call.url),
       status: call.status,
       duration: call.duration,
-      request: call.requestBody ? tryParseJson(call.requestBody) : null,
-      response: call.responseBody ? tryParseJson(call.responseBody) : null
+      request: call.requestBody ? exportBody(call.requestBody) : null,
+      response: call.responseBody ? exportBody(call.responseBody) : null
     }))
   };
   
@@ -105,35 +226,466 @@ export async function exportSessionCompact(sessionId) {
 }
 
 /**
- * Generate summary statistics for context
+ * Export a session as a HAR 1.2 archive, readable by Chrome's Network panel,
+ * Charles, Fiddler and other HAR viewers
+ * @param {string} sessionId
+ * @returns {Promise<string>} - HAR JSON content
  */
-function generateSummary(calls) {
-  const endpoints = {};
-  const domains = new Set();
-  let errorCount = 0;
+export async function exportSessionHar(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  const pages = buildHarPages(session);
+  
+  const har = {
+    log: {
+      version: '1.2',
+      creator: {
+        name: 'API Logger',
+        version: '1.0.0'
+      },
+      pages,
+      entries: calls.map(call => buildHarEntry(call, harPageOf(pages, call))),
+      comment: session.name
+    }
+  };
+  
+  return JSON.stringify(har, null, 2);
+}
+
+/**
+ * Export an OpenAPI 3.1 document inferred from a session's calls
+ * @param {string} sessionId
+ * @param {string} format - 'yaml' or 'json'
+ * @returns {Promise<string>}
+ */
+export async function exportSessionOpenApi(sessionId, format = 'yaml') {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  const doc = buildOpenApiDocument(session, calls);
+  
+  return format === 'json' ? JSON.stringify(doc, null, 2) : toYaml(doc);
+}
+
+/**
+ * Export a session as a Postman Collection v2.1
+ * @param {string} sessionId
+ * @returns {Promise<string>}
+ */
+export async function exportSessionPostman(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  return JSON.stringify(buildPostmanCollection(session, calls), null, 2);
+}
+
+/**
+ * Export a session as an Insomnia v4 export
+ * @param {string} sessionId
+ * @returns {Promise<string>}
+ */
+export async function exportSessionInsomnia(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  return JSON.stringify(buildInsomniaExport(session, calls), null, 2);
+}
+
+/**
+ * Export a session as a ZIP with Mock Service Worker handlers and JSON fixtures
+ * @param {string} sessionId
+ * @returns {Promise<Uint8Array>} - ZIP archive bytes
+ */
+export async function exportSessionMsw(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  return createZip(buildMswFiles(session, calls));
+}
+
+/**
+ * Export TypeScript request and response types for every endpoint in a session
+ * @param {string} sessionId
+ * @returns {Promise<string>} - .d.ts content
+ */
+export async function exportSessionTypes(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  return buildTypeDefinitions(session, calls);
+}
+
+/**
+ * Export a session as a runnable API test that replays its calls
+ * @param {string} sessionId
+ * @param {string} framework - 'playwright' or 'cypress'
+ * @returns {Promise<string>}
+ */
+export async function exportSessionTest(sessionId, framework = 'playwright') {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  return framework === 'cypress'
+    ? buildCypressSpec(session, calls)
+    : buildPlaywrightTest(session, calls);
+}
+
+/**
+ * Export a Markdown report with summary statistics, an endpoint table,
+ * failing calls and a Mermaid sequence diagram
+ * @param {string} sessionId
+ * @returns {Promise<string>} - Markdown content
+ */
+export async function exportSessionMarkdown(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const calls = await getCallsBySession(sessionId);
+  const summary = generateSummary(calls);
+  const failing = calls.filter(call => !call.status || call.status >= 400);
+  
+  const lines = [
+    `# ${mdEscape(session.name)}`,
+    '',
+    '| | |',
+    '| --- | --- |',
+    `| Recorded | ${new Date(session.createdAt).toISOString()} – ${new Date(session.updatedAt).toISOString()} |`,
+    `| Source | ${session.tabUrl ? mdEscape(session.tabUrl) : '—'} |`,
+    `| Calls | ${summary.calls} |`,
+    `| Errors | ${summary.errors} (${formatRate(summary.errors, summary.calls)}) |`,
+    `| Domains | ${summary.domains.map(mdEscape).join(', ') || '—'} |`,
+    '',
+    '## Endpoints',
+    '',
+    '| Endpoint | Calls | Errors | Error rate | p50 | p95 |',
+    '| --- | ---: | ---: | ---: | ---: | ---: |',
+    ...endpointStats(calls).map(e =>
+      `| \`${mdEscape(e.key)}\` | ${e.count} | ${e.errors} | ${formatRate(e.errors, e.count)} | ${e.p50}ms | ${e.p95}ms |`),
+    '',
+    '## Failing Calls',
+    ''
+  ];
+  
+  if (failing.length === 0) {
+    lines.push('No failing calls.', '');
+  }
+  for (const call of failing.slice(0, MAX_REPORT_FAILURES)) {
+    lines.push(`### #${call.seq} ${call.method} ${mdEscape(call.url)}`, '');
+    lines.push(`**${call.status || 'failed'} ${mdEscape(call.statusText || '')}** in ${call.duration}ms at ${new Date(call.timestamp).toISOString()}`, '');
+    if (call.requestBody) {
+      lines.push('Request body:', '', reportBody(call.requestBody), '');
+    }
+    if (call.responseBody) {
+      lines.push('Response body:', '', reportBody(call.responseBody), '');
+    }
+  }
+  if (failing.length > MAX_REPORT_FAILURES) {
+    lines.push(`_${failing.length - MAX_REPORT_FAILURES} more failing calls omitted._`, '');
+  }
+  
+  lines.push('## Sequence', '', '```mermaid', ...mermaidSequence(calls), '```');
+  if (calls.length > MAX_DIAGRAM_CALLS) {
+    lines.push('', `_Showing the first ${MAX_DIAGRAM_CALLS} of ${calls.length} calls._`);
+  }
+  
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Count, error rate and p50/p95 duration for every endpoint
+ */
+function endpointStats(calls) {
+  const endpoints = new Map();
   
   for (const call of calls) {
-    // Track endpoints
     const key = `${call.method} ${simplifyUrl(call.url)}`;
-    endpoints[key] = (endpoints[key] || 0) + 1;
-    
-    // Track domains
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { key, count: 0, errors: 0, durations: [] });
+    }
+    const endpoint = endpoints.get(key);
+    endpoint.count++;
+    endpoint.durations.push(call.duration || 0);
+    if (!call.status || call.status >= 400) {
+      endpoint.errors++;
+    }
+  }
+  
+  return Array.from(endpoints.values())
+    .map(({ durations, ...endpoint }) => ({
+      ...endpoint,
+      p50: percentile(durations, 50),
+      p95: percentile(durations, 95)
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Nearest-rank percentile
+ */
+function percentile(values, p) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * Mermaid sequenceDiagram lines for browser -> host interactions in seq order
+ */
+function mermaidSequence(calls) {
+  const hosts = new Map();
+  const messages = [];
+  
+  for (const call of calls.slice(0, MAX_DIAGRAM_CALLS)) {
+    let url;
     try {
-      const url = new URL(call.url);
-      domains.add(url.hostname);
-    } catch (e) {}
+      url = new URL(call.url);
+    } catch (e) {
+      continue;
+    }
     
-    // Track errors
-    if (call.status >= 400) {
-      errorCount++;
+    if (!hosts.has(url.host)) {
+      hosts.set(url.host, `H${hosts.size + 1}`);
     }
+    const alias = hosts.get(url.host);
+    const failed = !call.status || call.status >= 400;
+    
+    messages.push(`  Browser->>${alias}: ${mermaidText(`${call.method} ${url.pathname}`)}`);
+    messages.push(`  ${alias}-${failed ? '-x' : '->>'}Browser: ${mermaidText(`${call.status || 'failed'} (${call.duration}ms)`)}`);
   }
   
+  return [
+    'sequenceDiagram',
+    '  participant Browser',
+    ...Array.from(hosts, ([host, alias]) => `  participant ${alias} as ${mermaidText(host)}`),
+    ...messages
+  ];
+}
+
+function mermaidText(str) {
+  return str.replace(/[#;]/g, char => `#${char.charCodeAt(0)};`);
+}
+
+function mdEscape(str) {
+  return String(str).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function formatRate(part, total) {
+  return total ? `${((part / total) * 100).toFixed(1)}%` : '0.0%';
+}
+
+function truncateText(text, max) {
+  return text.length > max ? `${text.substring(0, max)}\n… (${text.length - max} more characters)` : text;
+}
+
+/**
+ * Body of a call in the Markdown report; binary bodies are only described
+ */
+function reportBody(body) {
+  if (isBinaryBody(body)) {
+    return `_Binary body, ${body.byteLength} bytes_`;
+  }
+  return codeBlock(truncateText(body, MAX_REPORT_BODY));
+}
+
+/**
+ * Fence text in a code block, lengthening the fence if the text contains one
+ */
+function codeBlock(text) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}\n${text}\n${fence}`;
+}
+
+/**
+ * HAR pages of a session: one per recorded navigation, or a single page for
+ * the whole session when no navigations were recorded
+ */
+function buildHarPages(session) {
+  const navigations = session.navigations || [];
+  if (navigations.length === 0) {
+    return [{
+      startedDateTime: new Date(session.createdAt).toISOString(),
+      id: session.id,
+      title: session.tabUrl || session.name,
+      pageTimings: {}
+    }];
+  }
+  
+  return navigations.map((navigation, idx) => ({
+    startedDateTime: new Date(navigation.time).toISOString(),
+    id: `page_${idx + 1}`,
+    title: navigation.url,
+    pageTimings: {}
+  }));
+}
+
+/**
+ * Id of the last page that started before a call; calls before the first page belong to it
+ */
+function harPageOf(pages, call) {
+  const start = new Date(call.startTime || call.timestamp).toISOString();
+  const page = pages.filter(candidate => candidate.startedDateTime <= start).pop() || pages[0];
+  return page.id;
+}
+
+/**
+ * Convert a stored call into a HAR entry
+ */
+function buildHarEntry(call, pageref) {
+  const duration = call.duration || 0;
+  const binaryResponse = isBinaryBody(call.responseBody);
+  const responseText = binaryResponse ? encodeBase64(call.responseBody) : call.responseBody || '';
+  
+  const entry = {
+    pageref,
+    startedDateTime: new Date(call.startTime || call.timestamp).toISOString(),
+    time: duration,
+    request: {
+      method: call.method,
+      url: call.url,
+      httpVersion: call.httpVersion || '',
+      cookies: [],
+      headers: toHarHeaders(call.requestHeaders),
+      queryString: toHarQueryString(call.url),
+      headersSize: -1,
+      bodySize: bodyLength(call.requestBody)
+    },
+    response: {
+      status: call.status,
+      statusText: call.statusText || '',
+      httpVersion: call.httpVersion || '',
+      cookies: [],
+      headers: toHarHeaders(call.responseHeaders),
+      content: {
+        size: call.responseSize || bodyLength(call.responseBody),
+        mimeType: call.responseContentType || '',
+        text: responseText,
+        ...(binaryResponse && { encoding: 'base64' })
+      },
+      redirectURL: call.responseHeaders?.location || '',
+      headersSize: -1,
+      bodySize: -1
+    },
+    cache: {},
+    timings: toHarTimings(call)
+  };
+  
+  if (call.serverIPAddress) entry.serverIPAddress = call.serverIPAddress;
+  if (call.connection) entry.connection = call.connection;
+  if (typeof call.transferSize === 'number') entry.response._transferSize = call.transferSize;
+  if (call.cacheStatus === 'memory' || call.cacheStatus === 'disk') entry._fromCache = call.cacheStatus;
+  if (call.cacheStatus === 'service-worker') entry.response._fetchedViaServiceWorker = true;
+  
+  if (call.requestBody) {
+    entry.request.postData = isBinaryBody(call.requestBody)
+      ? { mimeType: call.requestContentType || '', text: encodeBase64(call.requestBody), comment: BASE64_POST_DATA_COMMENT }
+      : { mimeType: call.requestContentType || '', text: call.requestBody };
+  }
+  
+  if (call.responseBodyTruncated) {
+    entry.response.content.comment = 'Body truncated by API Logger';
+  }
+  
+  return entry;
+}
+
+/**
+ * Convert a stored header map back into HAR name/value pairs
+ */
+function toHarHeaders(headers) {
+  if (!headers) return [];
+  return Object.entries(headers).map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Extract HAR query string pairs from a URL
+ */
+function toHarQueryString(url) {
+  try {
+    return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Generate summary statistics for context
+ */
+function generateSummary(calls) {
+  const summary = createSummary();
+  for (const call of calls) {
+    addToSummary(summary, call);
+  }
+  return finishSummary(summary);
+}
+
+/**
+ * Create an empty summary accumulator
+ */
+function createSummary() {
   return {
-    calls: calls.length,
-    errors: errorCount,
-    domains: Array.from(domains),
-    endpoints: Object.entries(endpoints)
+    calls: 0,
+    errors: 0,
+    domains: new Set(),
+    endpoints: {}
+  };
+}
+
+/**
+ * Add one call to a summary accumulator
+ */
+function addToSummary(summary, call) {
+  summary.calls++;
+  
+  // Track endpoints
+  const key = `${call.method} ${simplifyUrl(call.url)}`;
+  summary.endpoints[key] = (summary.endpoints[key] || 0) + 1;
+  
+  // Track domains
+  try {
+    const url = new URL(call.url);
+    summary.domains.add(url.hostname);
+  } catch (e) {}
+  
+  // Track errors
+  if (call.status >= 400) {
+    summary.errors++;
+  }
+}
+
+/**
+ * Turn a summary accumulator into the exported summary
+ */
+function finishSummary(summary) {
+  return {
+    calls: summary.calls,
+    errors: summary.errors,
+    domains: Array.from(summary.domains),
+    endpoints: Object.entries(summary.endpoints)
       .map(([key, count]) => ({ key, count }))
       .sort((a, b) => b.count - a.count)
       .slice(0, 20) // Top 20 endpoints
@@ -148,9 +700,17 @@ function formatBody(body, contentType, truncated = false) {
   
   const result = {
     contentType: contentType,
-    size: body.length
+    size: bodyLength(body)
   };
   
+  // Binary bodies are written as base64 text
+  if (isBinaryBody(body)) {
+    result.encoding = 'base64';
+    result.text = encodeBase64(body);
+    if (truncated) result.truncated = true;
+    return result;
+  }
+  
   // Try to parse JSON for cleaner output
   if (contentType?.includes('json')) {
     try {
@@ -182,25 +742,22 @@ function simplifyUrl(url) {
 }
 
 /**
- * Try to parse JSON, return original if fails
+ * Parsed JSON body, or the body as recorded if it is not JSON
  */
-function tryParseJson(str) {
-  if (!str) return null;
-  try {
-    return JSON.parse(str);
-  } catch (e) {
-    return str;
-  }
+function exportBody(str) {
+  if (isBinaryBody(str)) return { encoding: 'base64', text: encodeBase64(str) };
+  const json = tryParseJson(str);
+  return json === undefined ? str : json;
 }
 
 /**
  * Download content as a file
- * @param {string} content
+ * @param {string|Uint8Array|Blob} content
  * @param {string} filename
  * @param {string} mimeType
  */
 export function downloadFile(content, filename, mimeType = 'application/json') {
-  const blob = new Blob([content], { type: mimeType });
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
   const url = URL.createObjectURL(blob);
   
   const a = document.createElement('a');
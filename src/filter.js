@@ -0,0 +1,245 @@
+/**
+ * Filter query language for the call list
+ * A query is a list of terms that must all match, e.g.
+ *   method:POST status:>=400 host:api.example.com duration:>500 body:"invalid token" -path:/health
+ * Terms without a field match the URL or method, like the old substring filter.
+ */
+
+import { phaseTime } from './timings.js';
+
+const MAX_SUGGESTIONS = 20;
+
+/**
+ * Filterable fields
+ * String fields match case-insensitive substrings (method matches exactly);
+ * number fields accept =, >, >=, <, <= and ranges like 100..500.
+ */
+export const FILTER_FIELDS = {
+  method: { type: 'string', exact: true, description: 'HTTP method', get: call => call.method },
+  status: { type: 'number', description: 'Status code, e.g. 404, >=400 or 5xx', get: call => call.status },
+  host: { type: 'string', description: 'Host name', get: call => urlPart(call.url, 'host') },
+  path: { type: 'string', description: 'URL path', get: call => urlPart(call.url, 'pathname') },
+  url: { type: 'string', description: 'Full URL', get: call => call.url },
+  duration: { type: 'number', description: 'Duration in ms', get: call => call.duration },
+  dns: { type: 'number', description: 'DNS lookup time in ms', get: call => phaseTime(call, 'dns') },
+  tls: { type: 'number', description: 'TLS handshake time in ms', get: call => phaseTime(call, 'ssl') },
+  ttfb: { type: 'number', description: 'Time waiting for the first response byte in ms', get: call => phaseTime(call, 'wait') },
+  size: { type: 'number', description: 'Response size in bytes', get: call => call.responseSize },
+  type: { type: 'string', description: 'Response content type', get: call => call.responseContentType },
+  protocol: { type: 'string', description: 'HTTP version, e.g. h2 or http/1.1', get: call => call.httpVersion },
+  cache: { type: 'string', description: 'Where the response came from: network, memory, disk, service-worker or revalidated', get: call => call.cacheStatus },
+  header: { type: 'string', description: 'Request or response header name or value', get: call => headerText(call) },
+  body: { type: 'string', description: 'Request or response body', get: call => [call.requestBody, call.responseBody].filter(body => typeof body === 'string').join('\n') }
+};
+
+/**
+ * Parse a filter query
+ * @param {string} text
+ * @returns {Object[]} - Terms: { field, negate, values, raw }
+ * @throws {Error} - With the column of the first problem in the message
+ */
+export function parseFilterQuery(text) {
+  const terms = [];
+  
+  for (const token of scanTokens(text)) {
+    let rest = token.text;
+    let negate = false;
+    if (rest.startsWith('-') && rest.length > 1) {
+      negate = true;
+      rest = rest.slice(1);
+    }
+    
+    // A colon inside quotes or a pasted URL is part of a plain search word, not a field separator
+    const colon = rest.indexOf(':');
+    const quotedAt = token.quotedAt === null ? null : token.quotedAt - (negate ? 1 : 0);
+    if (colon > 0 && (quotedAt === null || quotedAt > colon) && !rest.startsWith('//', colon + 1)) {
+      terms.push(buildTerm(rest.slice(0, colon).toLowerCase(), rest.slice(colon + 1), negate, token));
+    } else {
+      terms.push({ field: null, negate, values: [{ op: 'contains', value: rest.toLowerCase() }], raw: token.text });
+    }
+  }
+  
+  return terms;
+}
+
+/**
+ * Compile a filter query into a predicate
+ * @param {string} text
+ * @returns {Function} - (call) => boolean
+ * @throws {Error} - When the query is invalid
+ */
+export function compileFilter(text) {
+  const terms = parseFilterQuery(text);
+  return (call) => terms.every(term => matchesTerm(call, term) !== term.negate);
+}
+
+/**
+ * Suggest completions for the term under the cursor
+ * @param {string} text - Current query
+ * @param {Object[]} calls - Calls whose values are offered for field:value terms
+ * @returns {Array<{label: string, query: string}>} - query is the full query with the term completed
+ */
+export function getFilterSuggestions(text, calls) {
+  const start = text.search(/\S*$/);
+  const prefix = text.slice(0, start);
+  let current = text.slice(start);
+  
+  let sign = '';
+  if (current.startsWith('-')) {
+    sign = '-';
+    current = current.slice(1);
+  }
+  
+  const colon = current.indexOf(':');
+  if (colon === -1) {
+    return Object.entries(FILTER_FIELDS)
+      .filter(([name]) => name.startsWith(current.toLowerCase()))
+      .map(([name, field]) => ({ label: `${name}: ${field.description}`, query: `${prefix}${sign}${name}:` }));
+  }
+  
+  const name = current.slice(0, colon).toLowerCase();
+  const field = FILTER_FIELDS[name];
+  if (!field || name === 'body' || name === 'header') return [];
+  
+  const partial = current.slice(colon + 1).replace(/^"/, '').toLowerCase();
+  const counts = new Map();
+  for (const call of calls) {
+    const value = field.get(call);
+    if (value === undefined || value === null || value === '') continue;
+    counts.set(String(value), (counts.get(String(value)) || 0) + 1);
+  }
+  if (name === 'status') {
+    for (const value of Array.from(counts.keys())) {
+      const group = `${value.charAt(0)}xx`;
+      counts.set(group, (counts.get(group) || 0) + counts.get(value));
+    }
+  }
+  
+  return Array.from(counts.entries())
+    .filter(([value]) => value.toLowerCase().startsWith(partial))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_SUGGESTIONS)
+    .map(([value, count]) => ({
+      label: `${value} (${count})`,
+      query: `${prefix}${sign}${name}:${quoteValue(value)} `
+    }));
+}
+
+/**
+ * Split a query into whitespace-separated tokens, keeping quoted runs together
+ */
+function scanTokens(text) {
+  const tokens = [];
+  let idx = 0;
+  
+  while (idx < text.length) {
+    if (/\s/.test(text[idx])) {
+      idx++;
+      continue;
+    }
+    
+    const start = idx;
+    let value = '';
+    let quotedAt = null;
+    while (idx < text.length && !/\s/.test(text[idx])) {
+      if (text[idx] === '"') {
+        const close = text.indexOf('"', idx + 1);
+        if (close === -1) {
+          throw new Error(`Unclosed quote at column ${idx + 1}`);
+        }
+        if (quotedAt === null) quotedAt = value.length;
+        value += text.slice(idx + 1, close);
+        idx = close + 1;
+      } else {
+        value += text[idx++];
+      }
+    }
+    tokens.push({ text: value, quotedAt, column: start + 1 });
+  }
+  
+  return tokens;
+}
+
+function buildTerm(name, rawValue, negate, token) {
+  const field = FILTER_FIELDS[name];
+  if (!field) {
+    throw new Error(`Unknown field "${name}" at column ${token.column}. Fields: ${Object.keys(FILTER_FIELDS).join(', ')}`);
+  }
+  if (rawValue === '') {
+    throw new Error(`Missing value for "${name}:" at column ${token.column}`);
+  }
+  
+  // Comma-separated values match any of them, unless the value was quoted
+  const parts = token.quotedAt !== null ? [rawValue] : rawValue.split(',').filter(Boolean);
+  const values = parts.map(part => field.type === 'number'
+    ? parseNumberValue(name, part, token)
+    : { op: field.exact ? 'equals' : 'contains', value: part.toLowerCase() });
+  
+  return { field: name, negate, values, raw: token.text };
+}
+
+function parseNumberValue(name, part, token) {
+  const range = part.match(/^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/);
+  if (range) {
+    return { op: 'range', min: Number(range[1]), max: Number(range[2]) };
+  }
+  
+  if (name === 'status') {
+    const group = part.match(/^([1-5])xx$/i);
+    if (group) {
+      return { op: 'range', min: Number(group[1]) * 100, max: Number(group[1]) * 100 + 99 };
+    }
+  }
+  
+  const compare = part.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)$/);
+  if (!compare) {
+    throw new Error(`Invalid number "${part}" for "${name}:" at column ${token.column}. Use e.g. 500, >500, <=200 or 100..500`);
+  }
+  return { op: compare[1] || '=', value: Number(compare[2]) };
+}
+
+function matchesTerm(call, term) {
+  if (!term.field) {
+    const needle = term.values[0].value;
+    return (call.url || '').toLowerCase().includes(needle) || (call.method || '').toLowerCase().includes(needle);
+  }
+  
+  const actual = FILTER_FIELDS[term.field].get(call);
+  return term.values.some(value => matchesValue(actual, value));
+}
+
+function matchesValue(actual, { op, value, min, max }) {
+  if (op === 'contains' || op === 'equals') {
+    const str = actual === undefined || actual === null ? '' : String(actual).toLowerCase();
+    return op === 'equals' ? str === value : str.includes(value);
+  }
+  
+  if (typeof actual !== 'number') return false;
+  switch (op) {
+    case 'range': return actual >= min && actual <= max;
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    default: return actual === value;
+  }
+}
+
+function urlPart(url, part) {
+  try {
+    return new URL(url)[part];
+  } catch (e) {
+    return '';
+  }
+}
+
+function headerText(call) {
+  return [call.requestHeaders, call.responseHeaders]
+    .flatMap(headers => Object.entries(headers || {}))
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+function quoteValue(value) {
+  return /[\s",]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
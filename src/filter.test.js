@@ -0,0 +1,64 @@
+/**
+ * Tests for the filter query language
+ * Run with npm test
+ */
+
+import { parseFilterQuery, compileFilter } from './filter.js';
+
+function errorOf(query) {
+  try {
+    parseFilterQuery(query);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+const calls = [
+  { method: 'GET', url: 'https://api.example.com/users', status: 200, duration: 120 },
+  { method: 'POST', url: 'https://api.example.com/orders', status: 422, duration: 640 },
+  { method: 'GET', url: 'https://cdn.example.com/health', status: 503, duration: 15 }
+];
+
+describe('parseFilterQuery errors', () => {
+  test('points at the start of an unknown field term', () => {
+    expect(errorOf('method:GET  stauts:500')).toMatch(/^Unknown field "stauts" at column 13\./);
+  });
+  
+  test('points at the dash of a negated term', () => {
+    expect(errorOf('status:200 -hots:cdn')).toMatch(/^Unknown field "hots" at column 12\./);
+  });
+  
+  test('points at the term with a missing value', () => {
+    expect(errorOf('  host:')).toBe('Missing value for "host:" at column 3');
+  });
+  
+  test('points at the term with an invalid number, not the value', () => {
+    expect(errorOf('method:GET duration:>fast')).toMatch(/^Invalid number ">fast" for "duration:" at column 12\./);
+    expect(errorOf('status:200,abc')).toMatch(/^Invalid number "abc" for "status:" at column 1\./);
+  });
+  
+  test('points at the quote that is not closed', () => {
+    expect(errorOf('"invalid token')).toBe('Unclosed quote at column 1');
+    expect(errorOf('method:GET body:"invalid token')).toBe('Unclosed quote at column 17');
+  });
+  
+  test('counts columns after tabs and repeated spaces', () => {
+    expect(errorOf('\tmethod:GET \t size:big')).toMatch(/ at column 15\./);
+  });
+});
+
+describe('compileFilter', () => {
+  test('combines field, range and negated terms', () => {
+    const matches = compileFilter('status:4xx,5xx -host:cdn duration:>100');
+    
+    expect(calls.filter(matches).map(call => call.url)).toEqual(['https://api.example.com/orders']);
+  });
+  
+  test('keeps a colon inside quotes or a pasted URL in a plain search word', () => {
+    expect(parseFilterQuery('"a:b" https://api.example.com')).toEqual([
+      { field: null, negate: false, values: [{ op: 'contains', value: 'a:b' }], raw: 'a:b' },
+      { field: null, negate: false, values: [{ op: 'contains', value: 'https://api.example.com' }], raw: 'https://api.example.com' }
+    ]);
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Import module for loading HAR archives and api-trace-jsonl exports
+ * back into the extension as new sessions
+ */
+
+import { createSession, updateSession, addCalls, setCallAnnotation } from './db.js';
+import { decodeContent, decodeBase64, BASE64_POST_DATA_COMMENT } from './bodies.js';
+import { networkDetailsFromHarEntry } from './timings.js';
+
+/**
+ * Import a HAR or api-trace-jsonl file into a new session
+ * @param {string} content - Raw file content
+ * @param {string} fileName - Original file name, used to name the session
+ * @param {Object} [options]
+ * @param {Function} [options.filterHeaders] - Converts HAR name/value header arrays into stored header maps
+ * @param {Function} [options.redact] - Async function applied to each parsed call before it is stored
+ * @returns {Promise<Object>} - Created session
+ */
+export async function importSessionFile(content, fileName, options = {}) {
+  const parsed = parseImportFile(content, options);
+  
+  if (parsed.calls.length === 0) {
+    throw new Error('No calls found in file');
+  }
+  
+  const calls = options.redact
+    ? await Promise.all(parsed.calls.map(call => options.redact(call)))
+    : parsed.calls;
+  
+  const session = await createSession(parsed.name || `Imported ${fileName}`);
+  const savedCalls = await addCalls(session.id, calls);
+  
+  for (const { index, ...annotation } of parsed.annotations || []) {
+    await setCallAnnotation(savedCalls[index], annotation);
+  }
+  
+  return updateSession(session.id, {
+    status: 'stopped',
+    tabUrl: parsed.tabUrl || null,
+    notes: parsed.notes || '',
+    tags: parsed.tags || [],
+    navigations: parsed.navigations || [],
+    importedFrom: {
+      format: parsed.format,
+      fileName,
+      importedAt: Date.now()
+    }
+  });
+}
+
+/**
+ * Detect the file format and convert it into call data
+ * @param {string} content
+ * @param {Object} [options]
+ * @returns {{format: string, name: string|null, tabUrl: string|null, calls: Object[], notes?: string, tags?: string[], navigations?: Object[], annotations?: Object[]}}
+ */
+export function parseImportFile(content, options = {}) {
+  const text = (content || '').trim();
+  if (!text) {
+    throw new Error('File is empty');
+  }
+  
+  // A HAR file is a single JSON document; JSONL has one document per line
+  let doc = null;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {}
+  
+  if (doc && typeof doc === 'object' && doc.log) {
+    return parseHar(doc, options);
+  }
+  
+  return parseTraceJsonl(text);
+}
+
+/**
+ * Parse a HAR 1.2 document
+ */
+function parseHar(doc, options) {
+  const { log } = doc;
+  if (!Array.isArray(log.entries)) {
+    throw new Error('Invalid HAR: log.entries is missing');
+  }
+  
+  const filterHeaders = options.filterHeaders || toHeaderMap;
+  
+  const calls = log.entries.map((entry, idx) => {
+    const { request: req, response: res } = entry;
+    if (!req?.method || !req?.url || !res) {
+      throw new Error(`Invalid HAR: entry ${idx + 1} is missing its request or response`);
+    }
+    
+    const startTime = Date.parse(entry.startedDateTime);
+    if (Number.isNaN(startTime)) {
+      throw new Error(`Invalid HAR: entry ${idx + 1} has an invalid startedDateTime`);
+    }
+    
+    const responseContentType = res.content?.mimeType || getHeader(res.headers, 'content-type');
+    let response = { body: res.content?.text || null, encoding: null };
+    try {
+      response = decodeContent(response.body, res.content?.encoding, responseContentType);
+    } catch (e) {}
+    
+    // Binary request bodies exported by API Logger are base64 text marked with a comment
+    let requestBody = req.postData?.text || null;
+    let requestBodyEncoding = null;
+    if (requestBody && req.postData.comment === BASE64_POST_DATA_COMMENT) {
+      try {
+        requestBody = decodeBase64(requestBody);
+        requestBodyEncoding = 'base64';
+      } catch (e) {}
+    }
+    
+    return {
+      method: req.method,
+      url: req.url,
+      requestHeaders: filterHeaders(req.headers || []),
+      requestBody,
+      requestBodyEncoding,
+      requestContentType: req.postData?.mimeType || getHeader(req.headers, 'content-type'),
+      status: res.status,
+      statusText: res.statusText,
+      responseHeaders: filterHeaders(res.headers || []),
+      responseBody: response.body,
+      responseBodyTruncated: false,
+      responseBodyEncoding: response.encoding,
+      responseContentType,
+      responseSize: res.content?.size || 0,
+      timestamp: startTime,
+      startTime,
+      duration: Math.round(entry.time || 0),
+      ...networkDetailsFromHarEntry(entry)
+    };
+  });
+  
+  return {
+    format: 'har',
+    name: log.comment || log.pages?.[0]?.title || null,
+    tabUrl: null,
+    navigations: navigationsFromHarPages(log.pages),
+    calls
+  };
+}
+
+/**
+ * Page navigations from HAR pages
+ * Browsers title each page with its URL; pages titled otherwise, like the
+ * single page of a session exported without navigations, are not navigations.
+ */
+function navigationsFromHarPages(pages) {
+  if (!Array.isArray(pages)) return [];
+  
+  return pages
+    .map(page => ({ url: page.title, time: Date.parse(page.startedDateTime) }))
+    .filter(navigation => /^https?:\/\//i.test(navigation.url || '') && !Number.isNaN(navigation.time))
+    .sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Parse an api-trace-jsonl export produced by exportSession
+ */
+function parseTraceJsonl(text) {
+  const lines = text.split('\n');
+  const records = lines.map((line, idx) => {
+    if (!line.trim()) return null;
+    try {
+      return JSON.parse(line);
+    } catch (e) {
+      throw new Error(`Unrecognized file format: line ${idx + 1} is not valid JSON`);
+    }
+  });
+  
+  const meta = records[0];
+  if (meta?.type !== 'meta' || meta.format !== 'api-trace-jsonl') {
+    throw new Error('Unrecognized file format: expected a HAR file or an api-trace-jsonl export');
+  }
+  if (meta.version !== 1) {
+    throw new Error(`Unsupported api-trace-jsonl version: ${meta.version}`);
+  }
+  
+  const calls = [];
+  const annotations = [];
+  records.slice(1).forEach((record, idx) => {
+    if (record?.type !== 'call') return;
+    
+    const { request: req, response: res } = record;
+    if (!req?.method || !req?.url || !res) {
+      throw new Error(`Invalid api-trace-jsonl: line ${idx + 2} is missing its request or response`);
+    }
+    
+    const timestamp = Date.parse(record.timestamp);
+    
+    if (record.annotation) {
+      annotations.push({ index: calls.length, ...record.annotation });
+    }
+    
+    calls.push({
+      method: req.method,
+      url: req.url,
+      requestHeaders: req.headers || null,
+      requestBody: bodyToText(req.body),
+      requestBodyTruncated: req.body?.truncated === true,
+      requestBodyEncoding: req.body?.encoding || null,
+      requestContentType: req.body?.contentType || null,
+      status: res.status,
+      statusText: res.statusText,
+      responseHeaders: res.headers || null,
+      responseBody: bodyToText(res.body),
+      responseBodyTruncated: res.body?.truncated === true,
+      responseBodyEncoding: res.body?.encoding || null,
+      responseContentType: res.body?.contentType || null,
+      responseSize: res.body?.size || 0,
+      timestamp: Number.isNaN(timestamp) ? Date.now() : timestamp,
+      startTime: Number.isNaN(timestamp) ? null : timestamp,
+      duration: record.duration || 0,
+      timings: record.timings || null,
+      serverIPAddress: record.network?.serverIPAddress || null,
+      connection: record.network?.connection || null,
+      httpVersion: record.network?.httpVersion || null,
+      transferSize: record.network?.transferSize ?? null,
+      cacheStatus: record.network?.cacheStatus || null
+    });
+  });
+  
+  return {
+    format: 'api-trace-jsonl',
+    name: meta.session?.name ? `${meta.session.name} (imported)` : null,
+    tabUrl: meta.session?.source?.tabUrl || null,
+    notes: meta.session?.notes || '',
+    tags: Array.isArray(meta.session?.tags) ? meta.session.tags : [],
+    navigations: (Array.isArray(meta.session?.navigations) ? meta.session.navigations : [])
+      .map(navigation => ({ url: navigation.url, time: Date.parse(navigation.time) }))
+      .filter(navigation => navigation.url && !Number.isNaN(navigation.time)),
+    calls,
+    annotations
+  };
+}
+
+/**
+ * Turn an exported body object back into the raw string, or the bytes of a
+ * base64-encoded binary body, stored in the calls store
+ */
+function bodyToText(body) {
+  if (!body) return null;
+  if (body.data !== undefined) return JSON.stringify(body.data);
+  if (body.encoding === 'base64' && typeof body.text === 'string') return decodeBase64(body.text);
+  return body.text ?? null;
+}
+
+/**
+ * Convert HAR name/value pairs into a header map
+ */
+function toHeaderMap(headers) {
+  const map = {};
+  for (const h of headers) {
+    map[h.name.toLowerCase()] = h.value;
+  }
+  return map;
+}
+
+/**
+ * Get a header value by name from HAR name/value pairs
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const h = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+  return h?.value || null;
+}
@@ -0,0 +1,48 @@
+/**
+ * Tests for HAR and JSONL import
+ * Run with npm test
+ */
+
+import 'fake-indexeddb/auto';
+import { createSession, addCall, clearAllData } from './db.js';
+import { exportSessionHar } from './export.js';
+import { parseImportFile } from './import.js';
+
+describe('import', () => {
+  beforeEach(() => clearAllData());
+  
+  test('reads back binary request bodies from an exported HAR', async () => {
+    const session = await createSession('Uploads');
+    const bytes = new Uint8Array([0, 255, 137, 80, 78, 71, 13, 10]);
+    await addCall(session.id, {
+      method: 'PUT',
+      url: 'https://api.example.com/avatar',
+      status: 204,
+      requestContentType: 'image/png',
+      requestBody: bytes.buffer.slice(0),
+      requestBodyEncoding: 'base64'
+    });
+    
+    const [call] = parseImportFile(await exportSessionHar(session.id)).calls;
+    
+    expect(call.requestBodyEncoding).toBe('base64');
+    expect(new Uint8Array(call.requestBody)).toEqual(bytes);
+  });
+  
+  test('keeps HAR post data without the marker as text', () => {
+    const har = {
+      log: {
+        entries: [{
+          startedDateTime: '2024-01-01T00:00:00.000Z',
+          request: { method: 'POST', url: 'https://api.example.com/echo', headers: [], postData: { mimeType: 'text/plain', text: 'AAEC' } },
+          response: { status: 200, headers: [], content: {} }
+        }]
+      }
+    };
+    
+    const [call] = parseImportFile(JSON.stringify(har)).calls;
+    
+    expect(call.requestBody).toBe('AAEC');
+    expect(call.requestBodyEncoding).toBeNull();
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Versioned IndexedDB schema migrations
+ * Each step upgrades the database from the previous version. Steps run in
+ * order inside the versionchange transaction, so a failing step aborts the
+ * whole upgrade and leaves the existing data untouched.
+ */
+
+import { buildSearchEntry } from './search.js';
+import { estimateSize } from './retention.js';
+
+/**
+ * Ordered list of upgrade steps
+ * upgrade(database, transaction) may create stores and indexes, and read or
+ * rewrite records with forEachRecord/updateRecords. Steps that touch records
+ * must return the promise so the next step only starts once they finish.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create sessions and calls stores',
+    upgrade(database) {
+      const sessionsStore = database.createObjectStore('sessions', { keyPath: 'id' });
+      sessionsStore.createIndex('byCreatedAt', 'createdAt', { unique: false });
+      sessionsStore.createIndex('byUpdatedAt', 'updatedAt', { unique: false });
+      sessionsStore.createIndex('byStatus', 'status', { unique: false });
+      
+      const callsStore = database.createObjectStore('calls', { keyPath: 'id', autoIncrement: true });
+      callsStore.createIndex('bySessionId', 'sessionId', { unique: false });
+      callsStore.createIndex('bySessionSeq', ['sessionId', 'seq'], { unique: false });
+      callsStore.createIndex('bySessionTimestamp', ['sessionId', 'timestamp'], { unique: false });
+    }
+  },
+  {
+    version: 2,
+    description: 'Backfill call startTime from timestamp',
+    upgrade(database, transaction) {
+      return updateRecords(transaction.objectStore('calls'), (call) => {
+        if (call.startTime) return null;
+        return { ...call, startTime: call.timestamp };
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Add full-text search index for calls',
+    upgrade(database, transaction) {
+      const searchStore = database.createObjectStore('searchIndex', { keyPath: 'callId' });
+      searchStore.createIndex('byToken', 'tokens', { unique: false, multiEntry: true });
+      searchStore.createIndex('bySessionId', 'sessionId', { unique: false });
+      
+      return forEachRecord(transaction.objectStore('calls'), (call) => {
+        searchStore.put(buildSearchEntry(call));
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Backfill session sizeBytes for storage usage',
+    async upgrade(database, transaction) {
+      const sizes = new Map();
+      await forEachRecord(transaction.objectStore('calls'), (call) => {
+        sizes.set(call.sessionId, (sizes.get(call.sessionId) || 0) + estimateSize(call));
+      });
+      
+      await updateRecords(transaction.objectStore('sessions'), (session) => ({
+        ...session,
+        sizeBytes: sizes.get(session.id) || 0
+      }));
+    }
+  },
+  {
+    version: 5,
+    description: 'Add call annotations store',
+    upgrade(database) {
+      const annotationsStore = database.createObjectStore('annotations', { keyPath: 'callId' });
+      annotationsStore.createIndex('bySessionId', 'sessionId', { unique: false });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add content-addressed bodies store',
+    upgrade(database) {
+      // Existing inline bodies are moved by reencodeStoredCalls() in db.js: hashing and
+      // compression are async and would let the versionchange transaction commit early
+      database.createObjectStore('bodies', { keyPath: 'hash' });
+    }
+  }
+];
+
+/**
+ * Schema version of the newest migration
+ */
+export const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Open a database, running any migrations newer than its stored version
+ * @param {string} name - Database name
+ * @param {number} [version] - Target version
+ * @param {Object[]} [migrations] - Upgrade steps, ordered by version
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase(name, version = LATEST_VERSION, migrations = MIGRATIONS) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, version);
+    
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => {
+      console.warn(`Upgrade of ${name} to v${version} is waiting for other connections to close`);
+    };
+    request.onsuccess = () => resolve(request.result);
+    
+    request.onupgradeneeded = (event) => {
+      const transaction = request.transaction;
+      runMigrations(request.result, transaction, event.oldVersion, event.newVersion, migrations)
+        .catch(error => {
+          console.error('Database migration failed:', error);
+          transaction.abort();
+        });
+    };
+  });
+}
+
+/**
+ * Run the steps between oldVersion (exclusive) and newVersion (inclusive)
+ * @param {IDBDatabase} database
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion
+ * @param {number} newVersion
+ * @param {Object[]} [migrations]
+ * @returns {Promise<void>}
+ */
+export async function runMigrations(database, transaction, oldVersion, newVersion, migrations = MIGRATIONS) {
+  validateMigrations(migrations);
+  
+  for (const migration of migrations) {
+    if (migration.version > oldVersion && migration.version <= newVersion) {
+      await migration.upgrade(database, transaction);
+    }
+  }
+}
+
+/**
+ * Visit every record of a store with a cursor
+ * @param {IDBObjectStore} store
+ * @param {Function} callback - Called with (record, cursor)
+ * @returns {Promise<void>} - Resolves after the last record
+ */
+export function forEachRecord(store, callback) {
+  return new Promise((resolve, reject) => {
+    const request = store.openCursor();
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      
+      try {
+        callback(cursor.value, cursor);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+      cursor.continue();
+    };
+  });
+}
+
+/**
+ * Rewrite every record of a store inside an upgrade transaction
+ * @param {IDBObjectStore} store
+ * @param {Function} transform - Returns the updated record, or null to leave it unchanged
+ * @returns {Promise<void>}
+ */
+export function updateRecords(store, transform) {
+  return forEachRecord(store, (record, cursor) => {
+    const updated = transform(record);
+    if (updated) {
+      cursor.update(updated);
+    }
+  });
+}
+
+function validateMigrations(migrations) {
+  let previous = 0;
+  for (const migration of migrations) {
+    if (!Number.isInteger(migration.version) || migration.version <= previous) {
+      throw new Error(`Migration versions must be increasing integers (got ${migration.version} after ${previous})`);
+    }
+    previous = migration.version;
+  }
+}
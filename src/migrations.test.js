@@ -0,0 +1,170 @@
+/**
+ * Tests for the IndexedDB migrations
+ * Run with npm test
+ */
+
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { MIGRATIONS, LATEST_VERSION, openDatabase, runMigrations } from './migrations.js';
+
+const DB_NAME = 'api-logger-test';
+
+// Records as written by the v1 schema
+const V1_FIXTURES = {
+  sessions: [
+    { id: 'session_1', name: 'Checkout flow', createdAt: 1700000000000, updatedAt: 1700000060000, status: 'stopped', callCount: 2, tabUrl: 'https://shop.example.com/' },
+    { id: 'session_2', name: 'Imported', createdAt: 1700000100000, updatedAt: 1700000100000, status: 'stopped', callCount: 1, tabUrl: null }
+  ],
+  calls: [
+    { sessionId: 'session_1', seq: 1, timestamp: 1700000001000, startTime: 1700000000900, method: 'GET', url: 'https://api.example.com/cart', status: 200, duration: 100 },
+    { sessionId: 'session_1', seq: 2, timestamp: 1700000002000, method: 'POST', url: 'https://api.example.com/orders', status: 201, duration: 250 },
+    { sessionId: 'session_2', seq: 1, timestamp: 1700000101000, startTime: null, method: 'GET', url: 'https://api.example.com/me', status: 401, duration: 20 }
+  ]
+};
+
+/**
+ * Create a database at the given version and fill it with fixtures
+ */
+async function createFixtureDatabase(version, fixtures) {
+  const database = await openDatabase(DB_NAME, version, MIGRATIONS.slice(0, version));
+  const storeNames = Object.keys(fixtures);
+  
+  await new Promise((resolve, reject) => {
+    const tx = database.transaction(storeNames, 'readwrite');
+    for (const name of storeNames) {
+      fixtures[name].forEach(record => tx.objectStore(name).add(record));
+    }
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  
+  database.close();
+}
+
+function getAll(database, storeName) {
+  return new Promise((resolve, reject) => {
+    const request = database.transaction(storeName).objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+describe('migrations', () => {
+  beforeEach(() => {
+    global.indexedDB = new IDBFactory();
+  });
+  
+  describe('Migration list', () => {
+    test('versions are increasing integers starting at 1', () => {
+      MIGRATIONS.forEach((migration, idx) => {
+        expect(migration.version).toBe(idx + 1);
+        expect(typeof migration.upgrade).toBe('function');
+      });
+      expect(LATEST_VERSION).toBe(MIGRATIONS.length);
+    });
+    
+    test('rejects out of order migrations', async () => {
+      const migrations = [{ version: 2, upgrade() {} }, { version: 1, upgrade() {} }];
+      await expect(runMigrations(null, null, 0, 2, migrations)).rejects.toThrow('increasing');
+    });
+  });
+  
+  describe('Fresh database', () => {
+    test('creates every store at the latest version', async () => {
+      const database = await openDatabase(DB_NAME);
+      
+      expect(database.version).toBe(LATEST_VERSION);
+      expect(Array.from(database.objectStoreNames).sort()).toEqual(['annotations', 'bodies', 'calls', 'searchIndex', 'sessions']);
+      
+      const calls = database.transaction('calls').objectStore('calls');
+      expect(Array.from(calls.indexNames).sort()).toEqual(['bySessionId', 'bySessionSeq', 'bySessionTimestamp']);
+      database.close();
+    });
+  });
+  
+  describe('Upgrading a v1 database', () => {
+    beforeEach(async () => {
+      await createFixtureDatabase(1, V1_FIXTURES);
+    });
+    
+    test('keeps every session and call', async () => {
+      const database = await openDatabase(DB_NAME);
+      
+      expect(database.version).toBe(LATEST_VERSION);
+      const sessions = await getAll(database, 'sessions');
+      expect(sessions.map(({ sizeBytes, ...session }) => session)).toEqual(V1_FIXTURES.sessions);
+      
+      const calls = await getAll(database, 'calls');
+      expect(calls).toHaveLength(V1_FIXTURES.calls.length);
+      expect(calls.map(c => c.url)).toEqual(V1_FIXTURES.calls.map(c => c.url));
+      database.close();
+    });
+    
+    test('backfills startTime from timestamp', async () => {
+      const database = await openDatabase(DB_NAME);
+      const calls = await getAll(database, 'calls');
+      
+      expect(calls.map(c => c.startTime)).toEqual([1700000000900, 1700000002000, 1700000101000]);
+      database.close();
+    });
+    
+    test('indexes existing calls for search', async () => {
+      const database = await openDatabase(DB_NAME);
+      const entries = await getAll(database, 'searchIndex');
+      
+      expect(entries.map(e => e.sessionId)).toEqual(['session_1', 'session_1', 'session_2']);
+      expect(entries[1].tokens).toEqual(expect.arrayContaining(['post', 'orders', '201']));
+      database.close();
+    });
+    
+    test('backfills session sizeBytes from their calls', async () => {
+      const database = await openDatabase(DB_NAME);
+      const sessions = await getAll(database, 'sessions');
+      const calls = await getAll(database, 'calls');
+      
+      const expected = calls
+        .filter(c => c.sessionId === 'session_1')
+        .reduce((sum, c) => sum + JSON.stringify(c).length, 0);
+      expect(sessions[0].sizeBytes).toBe(expected);
+      expect(sessions[1].sizeBytes).toBeGreaterThan(0);
+      database.close();
+    });
+    
+    test('is a no-op when reopened at the same version', async () => {
+      const first = await openDatabase(DB_NAME);
+      const before = await getAll(first, 'calls');
+      first.close();
+      
+      const second = await openDatabase(DB_NAME);
+      expect(await getAll(second, 'calls')).toEqual(before);
+      second.close();
+    });
+    
+    test('leaves v1 data untouched when a step fails', async () => {
+      const failing = [
+        ...MIGRATIONS,
+        {
+          version: LATEST_VERSION + 1,
+          upgrade() {
+            throw new Error('boom');
+          }
+        }
+      ];
+      
+      const consoleError = console.error;
+      console.error = () => {};
+      try {
+        await expect(openDatabase(DB_NAME, LATEST_VERSION + 1, failing)).rejects.toBeTruthy();
+      } finally {
+        console.error = consoleError;
+      }
+      
+      const database = await openDatabase(DB_NAME, 1, MIGRATIONS.slice(0, 1));
+      expect(database.version).toBe(1);
+      const calls = await getAll(database, 'calls');
+      expect(calls).toHaveLength(V1_FIXTURES.calls.length);
+      expect(calls[1].startTime).toBeUndefined();
+      database.close();
+    });
+  });
+});
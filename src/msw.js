@@ -0,0 +1,203 @@
+/**
+ * Mock Service Worker export
+ * Builds a handlers.js file with one handler per endpoint and a fixtures
+ * folder holding the recorded JSON response bodies. Endpoints use the same
+ * path templates as the OpenAPI export, so /users/1 and /users/2 become one
+ * /users/:id handler.
+ */
+
+import { isBinaryBody, encodeBase64 } from './bodies.js';
+import { templatePath } from './openapi.js';
+import { commentText, uniqueName } from './codegen.js';
+
+// Response headers that no longer apply once the body is served from a fixture
+const SKIPPED_RESPONSE_HEADERS = ['content-encoding', 'content-length', 'transfer-encoding', 'connection', 'set-cookie', 'date'];
+
+/**
+ * Build the files of an MSW export
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {Array<{name: string, content: string}>}
+ */
+export function buildMswFiles(session, calls) {
+  const endpoints = groupEndpoints(calls);
+  const fixtures = [];
+  const handlers = [];
+  const usedNames = new Set();
+  
+  for (const endpoint of endpoints) {
+    // Variants after the first unconditional one could never match
+    const fallback = endpoint.variants.findIndex(variant => conditionCount(variant) === 0);
+    const variants = fallback === -1 ? endpoint.variants : endpoint.variants.slice(0, fallback + 1);
+    
+    const branches = variants.map(variant => {
+      const response = buildResponse(variant.call, usedNames, fixtures);
+      return { ...variant, response };
+    });
+    handlers.push(renderHandler(endpoint, branches));
+  }
+  
+  const imports = fixtures.map(f => `import ${f.identifier} from './${f.name}';`);
+  
+  const handlersJs = [
+    `// Mock Service Worker handlers generated by API Logger from "${commentText(session.name)}"`,
+    `// ${calls.length} recorded calls, ${endpoints.length} endpoints`,
+    "import { http, HttpResponse } from 'msw';",
+    ...imports,
+    '',
+    HELPERS,
+    '',
+    `export const handlers = [\n${handlers.join(',\n')}\n];`,
+    ''
+  ].join('\n');
+  
+  return [
+    { name: 'handlers.js', content: handlersJs },
+    ...fixtures.map(f => ({ name: f.name, content: f.content }))
+  ];
+}
+
+// Helpers emitted into handlers.js for matching recorded variants
+const HELPERS = `function matchesParams(params, expected) {
+  return Object.entries(expected).every(([name, value]) => params[name] === value);
+}
+
+function matchesQuery(request, expected) {
+  const params = new URL(request.url).searchParams;
+  return Object.entries(expected).every(([name, values]) =>
+    JSON.stringify(params.getAll(name)) === JSON.stringify(values));
+}
+
+async function matchesBody(request, expected) {
+  const text = await request.clone().text();
+  try {
+    return JSON.stringify(JSON.parse(text)) === JSON.stringify(JSON.parse(expected));
+  } catch (e) {
+    return text === expected;
+  }
+}`;
+
+/**
+ * Group calls by method + origin + path template; within an endpoint, keep
+ * the most recent response for each distinct path, query string and request body
+ */
+function groupEndpoints(calls) {
+  const endpoints = new Map();
+  
+  for (const call of calls) {
+    let url;
+    try {
+      url = new URL(call.url);
+    } catch (e) {
+      continue;
+    }
+    
+    const { template, paramNames, paramValues } = templatePath(url.pathname);
+    const path = `${url.origin}${template.replace(/\{(\w+)\}/g, ':$1')}`;
+    const key = `${call.method} ${path}`;
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { method: call.method, path, variants: new Map() });
+    }
+    
+    const params = Object.fromEntries(paramNames.map((name, idx) => [name, paramValues[idx]]));
+    const query = {};
+    for (const name of new Set(url.searchParams.keys())) {
+      query[name] = url.searchParams.getAll(name);
+    }
+    
+    const variantKey = `${url.pathname}${url.search}\n${call.requestBody || ''}`;
+    endpoints.get(key).variants.set(variantKey, { params, query, body: call.requestBody || null, call });
+  }
+  
+  return Array.from(endpoints.values()).map(endpoint => ({
+    ...endpoint,
+    // Most specific branches first; an unconditional variant becomes the fallback
+    variants: Array.from(endpoint.variants.values())
+      .sort((a, b) => conditionCount(b) - conditionCount(a))
+  }));
+}
+
+function conditionCount(variant) {
+  return Object.keys(variant.params).length + Object.keys(variant.query).length + (variant.body ? 1 : 0);
+}
+
+/**
+ * Render the expression returning the recorded response, registering a
+ * fixture file for JSON bodies
+ */
+function buildResponse(call, usedNames, fixtures) {
+  // Failed and blocked calls have status 0, which a Response cannot be built with
+  if (!(call.status >= 200 && call.status <= 599)) {
+    return 'HttpResponse.error()';
+  }
+  
+  const headers = {};
+  for (const [name, value] of Object.entries(call.responseHeaders || {})) {
+    if (!name.startsWith(':') && !SKIPPED_RESPONSE_HEADERS.includes(name)) {
+      headers[name] = value;
+    }
+  }
+  const init = `{ status: ${call.status}, headers: ${JSON.stringify(headers)} }`;
+  
+  if (!call.responseBody) {
+    return `new HttpResponse(null, ${init})`;
+  }
+  
+  if (!call.responseBodyTruncated) {
+    try {
+      const data = JSON.parse(call.responseBody);
+      const name = uniqueFixtureName(call, usedNames);
+      const identifier = `fixture${fixtures.length + 1}`;
+      fixtures.push({ name: `fixtures/${name}.json`, identifier, content: `${JSON.stringify(data, null, 2)}\n` });
+      return `HttpResponse.json(${identifier}, ${init})`;
+    } catch (e) {}
+  }
+  
+  if (isBinaryBody(call.responseBody)) {
+    return `new HttpResponse(Uint8Array.from(atob(${JSON.stringify(encodeBase64(call.responseBody))}), c => c.charCodeAt(0)), ${init})`;
+  }
+  return `new HttpResponse(${JSON.stringify(call.responseBody)}, ${init})`;
+}
+
+function renderHandler(endpoint, branches) {
+  const method = endpoint.method.toLowerCase();
+  const handlerFn = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'].includes(method) ? method : 'all';
+  const needsBody = branches.some(b => b.body);
+  const args = endpoint.path.includes('/:') ? '{ request, params }' : '{ request }';
+  
+  const lines = [];
+  branches.forEach((branch, idx) => {
+    const conditions = [];
+    if (Object.keys(branch.params).length > 0) {
+      conditions.push(`matchesParams(params, ${JSON.stringify(branch.params)})`);
+    }
+    if (Object.keys(branch.query).length > 0) {
+      conditions.push(`matchesQuery(request, ${JSON.stringify(branch.query)})`);
+    }
+    if (branch.body) {
+      conditions.push(`await matchesBody(request, ${JSON.stringify(branch.body)})`);
+    }
+    
+    if (idx === branches.length - 1) {
+      // Fallback: unconditional, or the least specific recorded variant
+      lines.push(`    return ${branch.response};`);
+    } else {
+      lines.push(`    if (${conditions.join(' && ')}) {`);
+      lines.push(`      return ${branch.response};`);
+      lines.push('    }');
+    }
+  });
+  
+  return `  http.${handlerFn}(${JSON.stringify(endpoint.path)}, ${needsBody ? 'async ' : ''}(${args}) => {\n${lines.join('\n')}\n  })`;
+}
+
+function uniqueFixtureName(call, usedNames) {
+  const url = new URL(call.url);
+  const slug = `${call.method}-${url.host}${url.pathname}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 80);
+  
+  return uniqueName(slug, usedNames, '-');
+}
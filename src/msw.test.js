@@ -0,0 +1,46 @@
+/**
+ * Tests for the Mock Service Worker export
+ * Run with npm test
+ */
+
+import { buildMswFiles } from './msw.js';
+
+const session = { name: 'Users' };
+
+function call(seq, url, status = 200, responseBody = null) {
+  return { seq, method: 'GET', url, status, responseHeaders: {}, responseBody };
+}
+
+function handlersOf(files) {
+  return files.find(file => file.name === 'handlers.js').content;
+}
+
+describe('msw', () => {
+  test('answers failed calls with a network error', () => {
+    const handlers = handlersOf(buildMswFiles(session, [call(1, 'https://api.example.com/health', 0)]));
+    
+    expect(handlers).toContain('return HttpResponse.error();');
+    expect(handlers).not.toContain('status: 0');
+  });
+  
+  test('keeps line breaks in the session name out of the generated code', () => {
+    const named = { name: 'Users\nprocess.exit(1) //' };
+    const lines = handlersOf(buildMswFiles(named, [call(1, 'https://api.example.com/health')])).split('\n');
+    
+    expect(lines[0]).toBe('// Mock Service Worker handlers generated by API Logger from "Users process.exit(1) //"');
+    expect(lines.some(line => line.startsWith('process.exit'))).toBe(false);
+  });
+  
+  test('groups calls to different IDs under one templated route', () => {
+    const files = buildMswFiles(session, [
+      call(1, 'https://api.example.com/users/1', 200, JSON.stringify({ id: 1 })),
+      call(2, 'https://api.example.com/users/2', 200, JSON.stringify({ id: 2 }))
+    ]);
+    const handlers = handlersOf(files);
+    
+    expect(handlers.match(/http\.get\(/g)).toHaveLength(1);
+    expect(handlers).toContain('http.get("https://api.example.com/users/:id", ({ request, params }) => {');
+    expect(handlers).toContain('if (matchesParams(params, {"id":"1"})) {');
+    expect(files.map(file => file.name)).toContain('fixtures/get-api-example-com-users-2.json');
+  });
+});
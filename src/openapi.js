@@ -0,0 +1,359 @@
+/**
+ * OpenAPI 3.1 inference from recorded calls
+ * Clusters URLs into path templates and infers parameter and body schemas
+ * from every recorded sample
+ */
+
+import { inferSchema, schemaOf, mergeSchemas } from './schema.js';
+import { isBinaryBody } from './bodies.js';
+import { pascalCase } from './codegen.js';
+
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_SEGMENT = /^[0-9a-f]{16,}$/i;
+const NUMERIC_SEGMENT = /^\d+$/;
+const TOKEN_SEGMENT = /^(?=.*\d)(?=.*[a-z])[\w-]{20,}$/i;
+
+/**
+ * Build an OpenAPI 3.1 document describing the calls of a session
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {Object} - OpenAPI document
+ */
+export function buildOpenApiDocument(session, calls) {
+  const endpoints = groupByPathTemplate(calls);
+  const servers = Array.from(new Set(endpoints.flatMap(e => Array.from(e.origins)))).sort();
+  const operationIds = new Set();
+  
+  const paths = {};
+  for (const endpoint of endpoints.sort((a, b) => a.template.localeCompare(b.template))) {
+    const pathItem = {};
+    
+    if (servers.length > 1 && endpoint.origins.size < servers.length) {
+      pathItem.servers = Array.from(endpoint.origins).sort().map(url => ({ url }));
+    }
+    
+    for (const [method, samples] of endpoint.operations) {
+      pathItem[method.toLowerCase()] = buildOperation(endpoint, method, samples, operationIds);
+    }
+    
+    paths[endpoint.template] = pathItem;
+  }
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: session.name,
+      version: '1.0.0',
+      description: `Inferred by API Logger from ${calls.length} recorded calls${session.tabUrl ? ` on ${session.tabUrl}` : ''}.`
+    },
+    servers: servers.map(url => ({ url })),
+    paths
+  };
+}
+
+/**
+ * Turn a concrete path into a template such as /users/{id}
+ * @param {string} pathname
+ * @returns {{template: string, paramNames: string[], paramValues: string[]}}
+ */
+export function templatePath(pathname) {
+  const segments = pathname.split('/');
+  const paramPositions = segments
+    .map((segment, idx) => isParamSegment(segment) ? idx : -1)
+    .filter(idx => idx !== -1);
+  
+  const paramNames = [];
+  const paramValues = [];
+  
+  for (const idx of paramPositions) {
+    let name = 'id';
+    if (paramPositions.length > 1) {
+      const previous = segments[idx - 1];
+      name = previous && !isParamSegment(previous) ? `${camelCase(singular(previous))}Id` : `id${paramNames.length + 1}`;
+    }
+    while (paramNames.includes(name)) {
+      name = `${name}${paramNames.length + 1}`;
+    }
+    
+    paramNames.push(name);
+    paramValues.push(decodeURIComponent(segments[idx]));
+    segments[idx] = `{${name}}`;
+  }
+  
+  return { template: segments.join('/') || '/', paramNames, paramValues };
+}
+
+/**
+ * Serialize a JSON-compatible value as YAML
+ * @param {*} value
+ * @returns {string}
+ */
+export function toYaml(value) {
+  return `${yamlNode(value, 0).replace(/^\n/, '')}\n`;
+}
+
+/**
+ * Name an operation from its method and path template, e.g. getUsersById
+ * @param {string} method
+ * @param {string} template
+ * @returns {string}
+ */
+export function operationName(method, template) {
+  const parts = template.split('/').filter(Boolean).map(segment => {
+    const param = segment.match(/^\{(.+)\}$/);
+    return param ? `By${pascalCase(param[1])}` : pascalCase(segment);
+  });
+  
+  return `${method.toLowerCase()}${parts.join('') || 'Root'}`;
+}
+
+/**
+ * Group calls by path template, then by method
+ */
+function groupByPathTemplate(calls) {
+  const endpoints = new Map();
+  
+  for (const call of calls) {
+    let url;
+    try {
+      url = new URL(call.url);
+    } catch (e) {
+      continue;
+    }
+    
+    const { template, paramNames, paramValues } = templatePath(url.pathname);
+    
+    if (!endpoints.has(template)) {
+      endpoints.set(template, { template, paramNames, origins: new Set(), operations: new Map() });
+    }
+    const endpoint = endpoints.get(template);
+    endpoint.origins.add(url.origin);
+    
+    const method = call.method.toUpperCase();
+    if (!endpoint.operations.has(method)) {
+      endpoint.operations.set(method, []);
+    }
+    endpoint.operations.get(method).push({ call, url, paramValues });
+  }
+  
+  return Array.from(endpoints.values());
+}
+
+/**
+ * Build an operation object from all samples of one method + path template
+ */
+function buildOperation(endpoint, method, samples, operationIds) {
+  const operation = {
+    operationId: uniqueOperationId(method, endpoint.template, operationIds),
+    summary: `${method} ${endpoint.template}`
+  };
+  
+  const parameters = [
+    ...buildPathParameters(endpoint.paramNames, samples),
+    ...buildQueryParameters(samples)
+  ];
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+  
+  const requestBody = buildRequestBody(samples);
+  if (requestBody) {
+    operation.requestBody = requestBody;
+  }
+  
+  operation.responses = buildResponses(samples);
+  
+  return operation;
+}
+
+function buildPathParameters(paramNames, samples) {
+  return paramNames.map((name, idx) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: inferSchema(samples.map(s => coerceParam(s.paramValues[idx])))
+  }));
+}
+
+function buildQueryParameters(samples) {
+  const values = new Map();
+  const occurrences = new Map();
+  
+  for (const { url } of samples) {
+    const seen = new Set();
+    for (const name of url.searchParams.keys()) {
+      if (seen.has(name)) continue;
+      seen.add(name);
+      
+      const all = url.searchParams.getAll(name).map(coerceParam);
+      if (!values.has(name)) values.set(name, []);
+      values.get(name).push(all.length > 1 ? all : all[0]);
+      occurrences.set(name, (occurrences.get(name) || 0) + 1);
+    }
+  }
+  
+  return Array.from(values.keys()).sort().map(name => ({
+    name,
+    in: 'query',
+    required: occurrences.get(name) === samples.length,
+    schema: inferSchema(values.get(name))
+  }));
+}
+
+function buildRequestBody(samples) {
+  const withBody = samples.filter(s => s.call.requestBody);
+  if (withBody.length === 0) return null;
+  
+  return {
+    required: withBody.length === samples.length,
+    content: buildContent(withBody.map(s => ({
+      body: s.call.requestBody,
+      contentType: s.call.requestContentType
+    })))
+  };
+}
+
+function buildResponses(samples) {
+  const byStatus = new Map();
+  for (const sample of samples) {
+    const status = String(sample.call.status || 'default');
+    if (!byStatus.has(status)) byStatus.set(status, []);
+    byStatus.get(status).push(sample);
+  }
+  
+  const responses = {};
+  for (const status of Array.from(byStatus.keys()).sort()) {
+    const statusSamples = byStatus.get(status);
+    const response = {
+      description: statusSamples.find(s => s.call.statusText)?.call.statusText || `Status ${status}`
+    };
+    
+    const withBody = statusSamples.filter(s => s.call.responseBody && !s.call.responseBodyTruncated);
+    if (withBody.length > 0) {
+      response.content = buildContent(withBody.map(s => ({
+        body: s.call.responseBody,
+        contentType: s.call.responseContentType
+      })));
+    }
+    
+    responses[status] = response;
+  }
+  
+  return responses;
+}
+
+/**
+ * Build a content map keyed by media type, inferring a schema per media type
+ */
+function buildContent(bodies) {
+  const schemas = new Map();
+  
+  for (const { body, contentType } of bodies) {
+    const mediaType = (contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    const schema = bodySchema(body, mediaType);
+    const existing = schemas.get(mediaType);
+    schemas.set(mediaType, existing ? mergeSchemas(existing, schema) : schema);
+  }
+  
+  const content = {};
+  for (const [mediaType, schema] of schemas) {
+    content[mediaType] = { schema };
+  }
+  return content;
+}
+
+function bodySchema(body, mediaType) {
+  if (isBinaryBody(body)) {
+    return { type: 'string', format: 'binary' };
+  }
+  
+  if (mediaType.includes('json')) {
+    try {
+      return schemaOf(JSON.parse(body));
+    } catch (e) {}
+  }
+  
+  if (mediaType === 'application/x-www-form-urlencoded') {
+    return schemaOf(Object.fromEntries(new URLSearchParams(body)));
+  }
+  
+  return { type: 'string' };
+}
+
+function isParamSegment(segment) {
+  return NUMERIC_SEGMENT.test(segment) ||
+    UUID_SEGMENT.test(segment) ||
+    HEX_SEGMENT.test(segment) ||
+    TOKEN_SEGMENT.test(segment);
+}
+
+/**
+ * Convert a URL parameter string into the JSON value it most likely represents
+ */
+function coerceParam(value) {
+  if (/^-?\d{1,15}$/.test(value)) return Number(value);
+  if (value === 'true' || value === 'false') return value === 'true';
+  return value;
+}
+
+function uniqueOperationId(method, template, operationIds) {
+  const base = operationName(method, template);
+  let id = base;
+  let n = 2;
+  while (operationIds.has(id)) {
+    id = `${base}${n++}`;
+  }
+  operationIds.add(id);
+  return id;
+}
+
+function singular(word) {
+  if (/ies$/i.test(word)) return word.slice(0, -3) + 'y';
+  if (/[^s]s$/i.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+function camelCase(str) {
+  const pascal = pascalCase(str);
+  return pascal.charAt(0).toLowerCase() + pascal.slice(1);
+}
+
+/**
+ * Render one YAML node; block collections start on a new line
+ */
+function yamlNode(value, indent) {
+  const pad = '  '.repeat(indent);
+  
+  if (Array.isArray(value)) {
+    if (value.length === 0) return ' []';
+    return value.map(item => {
+      const rendered = yamlNode(item, indent + 1);
+      // Put the first key of a mapping on the same line as the dash
+      return rendered.startsWith('\n')
+        ? `\n${pad}- ${rendered.slice(pad.length + 3)}`
+        : `\n${pad}-${rendered}`;
+    }).join('');
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return ' {}';
+    return entries.map(([key, child]) => `\n${pad}${yamlKey(key)}:${yamlNode(child, indent + 1)}`).join('');
+  }
+  
+  return ` ${yamlScalar(value)}`;
+}
+
+function yamlKey(key) {
+  return /^[A-Za-z_][\w./+-]*$/.test(key) ? key : JSON.stringify(key);
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  
+  const plain = /^[A-Za-z_][\w .,/()-]*$/.test(value) &&
+    !/\s$/.test(value) &&
+    !/^(true|false|null|yes|no|on|off|y|n)$/i.test(value);
+  return plain ? value : JSON.stringify(value);
+}
@@ -1,197 +1,91 @@
 /**
- * Network recorder module using chrome.devtools.network API
+ * Turns finished requests from chrome.devtools.network into calls to store
+ * The panel owns the recording state and the rules for the inspected site;
+ * this module only applies them to one request.
  */
 
-import { addCall, updateSession } from './db.js';
-
-let isRecording = false;
-let activeSessionId = null;
-let requestListener = null;
-
-/**
- * Start recording network requests
- * @param {string} sessionId - The session to record to
- * @param {Function} onCall - Callback when a call is captured
- */
-export function startRecording(sessionId, onCall) {
-  if (isRecording) {
-    console.warn('Already recording');
-    return;
-  }
-  
-  activeSessionId = sessionId;
-  isRecording = true;
-  
-  // Update session with current tab URL
-  if (chrome.devtools?.inspectedWindow) {
-    chrome.devtools.inspectedWindow.eval('window.location.href', (result, isException) => {
-      if (!isException && result) {
-        updateSession(sessionId, { tabUrl: result });
-      }
-    });
-  }
-  
-  // Create the listener
-  requestListener = async (request) => {
-    if (!isRecording || !activeSessionId) return;
-    
-    try {
-      const callData = await processRequest(request);
-      if (callData) {
-        const savedCall = await addCall(activeSessionId, callData);
-        if (onCall) {
-          onCall(savedCall);
-        }
-      }
-    } catch (error) {
-      console.error('Error processing request:', error);
-    }
-  };
-  
-  // Attach listener
-  chrome.devtools.network.onRequestFinished.addListener(requestListener);
-  
-  console.log(`Recording started for session: ${sessionId}`);
-}
-
-/**
- * Stop recording
- */
-export function stopRecording() {
-  if (!isRecording) return;
-  
-  isRecording = false;
-  
-  if (requestListener) {
-    chrome.devtools.network.onRequestFinished.removeListener(requestListener);
-    requestListener = null;
-  }
-  
-  // Update session status
-  if (activeSessionId) {
-    updateSession(activeSessionId, { status: 'stopped' });
-  }
-  
-  activeSessionId = null;
-  console.log('Recording stopped');
-}
-
-/**
- * Pause recording (keep session active but stop capturing)
- */
-export function pauseRecording() {
-  if (!isRecording) return;
-  
-  isRecording = false;
-  
-  if (requestListener) {
-    chrome.devtools.network.onRequestFinished.removeListener(requestListener);
-    requestListener = null;
-  }
-  
-  if (activeSessionId) {
-    updateSession(activeSessionId, { status: 'paused' });
-  }
-  
-  console.log('Recording paused');
-}
-
-/**
- * Resume recording to an existing session
- * @param {string} sessionId
- * @param {Function} onCall
- */
-export function resumeRecording(sessionId, onCall) {
-  activeSessionId = sessionId;
-  startRecording(sessionId, onCall);
-  updateSession(sessionId, { status: 'active' });
-}
-
-/**
- * Check if currently recording
- * @returns {boolean}
- */
-export function getRecordingState() {
-  return {
-    isRecording,
-    activeSessionId
-  };
-}
+import { evaluateCaptureRules, subjectFromHarEntry } from './capture-rules.js';
+import { decodeContent, truncateCallBodies } from './bodies.js';
+import { networkDetailsFromHarEntry } from './timings.js';
 
 /**
- * Process a HAR request entry and extract relevant data
- * @param {Object} request - HAR request entry
- * @returns {Promise<Object>} - Processed call data
+ * Process a finished request into call data
+ * Bodies are redacted while they are whole, then truncated to the body limits:
+ * a truncated JSON body no longer parses, so its fields could not be found.
+ * @param {Object} request - HAR entry from onRequestFinished
+ * @param {Object} options
+ * @param {Object[]} options.captureRules - Rules deciding whether the request is recorded
+ * @param {Function} options.redact - async (call) => redacted call, from createRedactor
+ * @param {Object} options.bodyLimits - { request, response } limits from loadBodyLimits
+ * @returns {Promise<{subject: Object, call: Object|null}>} - call is null when the
+ *   capture rules skip the request; subject is what the rules looked at
  */
-async function processRequest(request) {
+export async function processRequest(request, { captureRules, redact, bodyLimits }) {
   const { request: req, response: res, startedDateTime, time } = request;
   
-  // Filter: Only capture XHR and Fetch requests (skip images, scripts, etc.)
-  // Check by looking at the initiator type or resource type
-  const resourceType = request._resourceType || '';
-  const isApiCall = isLikelyApiCall(req.url, resourceType, res.content?.mimeType);
-  
-  if (!isApiCall) {
-    return null;
+  const subject = subjectFromHarEntry(request);
+  if (!evaluateCaptureRules(captureRules, subject).capture) {
+    return { subject, call: null };
   }
   
-  // Get response body
-  let responseBody = null;
-  let responseBodyTruncated = false;
+  const responseContentType = res.content?.mimeType || getHeader(res.headers, 'content-type');
   
+  // Get response body; binary content is kept as bytes
+  let response = { body: null, encoding: null };
   try {
-    responseBody = await getResponseBody(request);
-    
-    // Truncate large bodies (> 100KB)
-    const MAX_BODY_SIZE = 100 * 1024;
-    if (responseBody && responseBody.length > MAX_BODY_SIZE) {
-      responseBody = responseBody.substring(0, MAX_BODY_SIZE);
-      responseBodyTruncated = true;
-    }
+    response = decodeContent(...await getResponseBody(request), responseContentType);
   } catch (error) {
     console.warn('Could not get response body:', error);
   }
   
-  // Extract request body from POST data
-  let requestBody = null;
-  if (req.postData?.text) {
-    requestBody = req.postData.text;
-    // Truncate large request bodies
-    const MAX_BODY_SIZE = 100 * 1024;
-    if (requestBody.length > MAX_BODY_SIZE) {
-      requestBody = requestBody.substring(0, MAX_BODY_SIZE) + '\n[TRUNCATED]';
-    }
-  }
-  
-  // Build call data
-  return {
+  const call = await redact({
     method: req.method,
     url: req.url,
+    resourceType: subject.resourceType,
     
     // Request
     requestHeaders: filterHeaders(req.headers),
-    requestBody: requestBody,
+    requestBody: req.postData?.text || null,
     requestContentType: req.postData?.mimeType || getHeader(req.headers, 'content-type'),
     
     // Response
     status: res.status,
     statusText: res.statusText,
     responseHeaders: filterHeaders(res.headers),
-    responseBody: responseBody,
-    responseBodyTruncated: responseBodyTruncated,
-    responseContentType: res.content?.mimeType || getHeader(res.headers, 'content-type'),
+    responseBody: response.body,
+    responseBodyEncoding: response.encoding,
+    responseContentType,
     responseSize: res.content?.size || 0,
     
-    // Timing
+    // Timing and connection
     startTime: new Date(startedDateTime).getTime(),
-    duration: Math.round(time || 0)
-  };
+    duration: Math.round(time || 0),
+    ...networkDetailsFromHarEntry(request)
+  });
+  return { subject, call: truncateCallBodies(call, bodyLimits) };
+}
+
+/**
+ * Convert HAR headers to a map with lower-case names
+ * Sensitive values are removed afterwards by the redaction rules.
+ * @param {Array<{name: string, value: string}>} headers
+ * @returns {Object|null}
+ */
+export function filterHeaders(headers) {
+  if (!headers) return null;
+  
+  const filtered = {};
+  for (const header of headers) {
+    filtered[header.name.toLowerCase()] = header.value;
+  }
+  
+  return filtered;
 }
 
 /**
  * Get response body using getContent()
  * @param {Object} request - HAR request entry
- * @returns {Promise<string>}
+ * @returns {Promise<[string, string]>} - Content and its encoding ('base64' or empty)
  */
 function getResponseBody(request) {
   return new Promise((resolve, reject) => {
@@ -200,81 +94,11 @@ function getResponseBody(request) {
         reject(chrome.runtime.lastError);
         return;
       }
-      
-      if (encoding === 'base64' && content) {
-        try {
-          // Decode base64 content
-          resolve(atob(content));
-        } catch (e) {
-          // If decoding fails, return as-is (might be binary)
-          resolve(content);
-        }
-      } else {
-        resolve(content);
-      }
+      resolve([content, encoding]);
     });
   });
 }
 
-function isLikelyApiCall(url, resourceType, mimeType) {
-  const urlLower = url.toLowerCase();
-  
-  const excludedResourceTypes = ['image', 'font', 'stylesheet', 'script', 'media', 'texttrack', 'manifest'];
-  if (excludedResourceTypes.includes(resourceType)) return false;
-  
-  const excludedMimePatterns = [
-    'image/', 'video/', 'audio/', 'font/',
-    'application/octet-stream', 'application/pdf',
-    'application/zip', 'application/gzip',
-    'text/css', 'text/javascript', 'application/javascript',
-    'application/wasm'
-  ];
-  if (mimeType && excludedMimePatterns.some(p => mimeType.includes(p))) return false;
-  
-  const staticExtensions = [
-    '.js', '.mjs', '.css', '.scss', '.less',
-    '.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.ico', '.bmp', '.avif',
-    '.woff', '.woff2', '.ttf', '.eot', '.otf',
-    '.mp3', '.mp4', '.webm', '.ogg', '.wav', '.avi', '.mov',
-    '.pdf', '.zip', '.gz', '.tar', '.rar',
-    '.map', '.wasm'
-  ];
-  if (staticExtensions.some(ext => urlLower.endsWith(ext))) return false;
-  
-  if (resourceType === 'xhr' || resourceType === 'fetch') return true;
-  
-  const apiMimeTypes = ['application/json', 'application/xml', 'text/xml', 'text/html', 'text/plain'];
-  if (mimeType && apiMimeTypes.some(type => mimeType.includes(type))) return true;
-  
-  const apiPatterns = ['/api/', '/v1/', '/v2/', '/v3/', '/v4/', '/graphql', '/rest/', '/rpc/', '.json', '/query', '/mutation'];
-  if (apiPatterns.some(pattern => urlLower.includes(pattern))) return true;
-  
-  return false;
-}
-
-/**
- * Filter headers to remove sensitive data and reduce noise
- */
-function filterHeaders(headers) {
-  if (!headers) return null;
-  
-  const filtered = {};
-  const sensitiveHeaders = ['cookie', 'set-cookie', 'authorization', 'x-api-key', 'api-key'];
-  
-  for (const header of headers) {
-    const name = header.name.toLowerCase();
-    
-    // Redact sensitive headers
-    if (sensitiveHeaders.includes(name)) {
-      filtered[name] = '[REDACTED]';
-    } else {
-      filtered[name] = header.value;
-    }
-  }
-  
-  return filtered;
-}
-
 /**
  * Get a header value by name
  */
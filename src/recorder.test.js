@@ -0,0 +1,97 @@
+/**
+ * Tests for turning finished requests into calls
+ * Run with npm test
+ */
+
+import { processRequest } from './recorder.js';
+import { DEFAULT_CAPTURE_RULES } from './capture-rules.js';
+import { DEFAULT_REDACTION_RULES, createRedactor } from './redaction.js';
+
+const storage = {};
+
+global.chrome = {
+  runtime: {},
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: storage[key] }),
+      set: async (values) => Object.assign(storage, values)
+    }
+  }
+};
+
+/**
+ * A finished request as chrome.devtools.network reports it
+ */
+function harEntry({ requestBody, responseBody, resourceType = 'fetch' }) {
+  return {
+    _resourceType: resourceType,
+    startedDateTime: '2024-01-01T00:00:00.000Z',
+    time: 12,
+    request: {
+      method: 'POST',
+      url: 'https://api.example.com/login',
+      headers: [{ name: 'Content-Type', value: 'application/json' }, { name: 'Authorization', value: 'Bearer abc' }],
+      postData: { mimeType: 'application/json', text: requestBody }
+    },
+    response: {
+      status: 200,
+      statusText: 'OK',
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      content: { mimeType: 'application/json', size: responseBody.length }
+    },
+    getContent: (callback) => callback(responseBody, '')
+  };
+}
+
+async function record(entry, bodyLimits) {
+  return processRequest(entry, {
+    captureRules: DEFAULT_CAPTURE_RULES,
+    redact: await createRedactor(DEFAULT_REDACTION_RULES),
+    bodyLimits
+  });
+}
+
+describe('processRequest', () => {
+  test('redacts body fields of bodies longer than the body limit before truncating them', async () => {
+    const filler = 'x'.repeat(200);
+    const { call } = await record(harEntry({
+      requestBody: JSON.stringify({ password: 'hunter2-secret', note: filler }),
+      responseBody: JSON.stringify({ token: 'tok-abcdef-123456', profile: filler })
+    }), { request: 64, response: 64 });
+    
+    expect(call.requestBodyTruncated).toBe(true);
+    expect(call.responseBodyTruncated).toBe(true);
+    expect(call.requestBody).toHaveLength(64);
+    expect(call.responseBody).toHaveLength(64);
+    expect(call.requestBody).toContain('"password":"[REDACTED]"');
+    expect(call.requestBody).not.toContain('hunter2');
+    expect(call.responseBody).toContain('"token":"[REDACTED]"');
+    expect(call.responseBody).not.toContain('tok-abcdef');
+  });
+  
+  test('keeps bodies within the limit whole', async () => {
+    const { call } = await record(harEntry({
+      requestBody: JSON.stringify({ password: 'hunter2-secret' }),
+      responseBody: JSON.stringify({ ok: true })
+    }), { request: null, response: 1024 });
+    
+    expect(call.requestBodyTruncated).toBe(false);
+    expect(call.responseBodyTruncated).toBe(false);
+    expect(JSON.parse(call.requestBody)).toEqual({ password: '[REDACTED]' });
+    expect(JSON.parse(call.responseBody)).toEqual({ ok: true });
+  });
+  
+  test('stores lower-case headers with credentials redacted', async () => {
+    const { call } = await record(harEntry({ requestBody: '{}', responseBody: '{}' }), { request: null, response: null });
+    
+    expect(call.requestHeaders).toEqual({ 'content-type': 'application/json', authorization: '[REDACTED]' });
+    expect(call).toMatchObject({ method: 'POST', status: 200, resourceType: 'fetch', startTime: Date.parse('2024-01-01T00:00:00.000Z'), duration: 12 });
+  });
+  
+  test('returns what the capture rules looked at for skipped requests', async () => {
+    const { subject, call } = await record(harEntry({ requestBody: '', responseBody: '', resourceType: 'image' }), { request: null, response: null });
+    
+    expect(call).toBeNull();
+    expect(subject).toMatchObject({ method: 'POST', url: 'https://api.example.com/login', resourceType: 'image' });
+  });
+});
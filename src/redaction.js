@@ -0,0 +1,601 @@
+/**
+ * Redaction rules applied to calls before they are stored
+ * Each rule selects values by header name, query parameter name, body path or
+ * text pattern, and drops, masks, hashes or partially keeps them. Rules run
+ * in order. Rule lists are kept for all sites plus optional lists for single
+ * sites, like the capture rules.
+ */
+
+import { globToRegExp } from './capture-rules.js';
+import { loadSiteSetting, hasSiteSetting, saveSiteSetting, removeSiteSetting } from './site-settings.js';
+
+const RULES_KEY = 'apiLoggerRedactionRules';
+const SALT_KEY = 'apiLoggerRedactionSalt';
+
+/**
+ * Replacement written by the mask action
+ */
+export const MASK = '[REDACTED]';
+
+/**
+ * What a rule selects; selectors are listed per rule
+ */
+export const REDACTION_TARGETS = {
+  header: { label: 'Header', description: 'Request and response header names; * matches any characters' },
+  query: { label: 'Query parameter', description: 'Query parameter names, also in form-encoded request bodies; * matches any characters' },
+  body: { label: 'Body field', description: 'JSON paths into request and response bodies, e.g. $.user.password, $..token or items[*].card' },
+  pattern: { label: 'Pattern', description: `Detectors (e.g. email, jwt, card) or /regular expressions/, matched in header values, URLs and bodies` }
+};
+
+/**
+ * What a rule does with a selected value
+ */
+export const REDACTION_ACTIONS = {
+  drop: 'Drop',
+  mask: 'Mask',
+  hash: 'Hash (stable pseudonym)',
+  partial: 'Keep last characters'
+};
+
+/**
+ * Built-in detectors for pattern rules
+ */
+export const DETECTORS = {
+  email: { label: 'Email addresses', pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  jwt: { label: 'JSON Web Tokens', pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g },
+  card: { label: 'Payment card numbers', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: passesLuhn },
+  bearer: { label: 'Bearer tokens', pattern: /\bBearer\s+[A-Za-z0-9._~+/-]+=*/gi },
+  'aws-key': { label: 'AWS access key ids', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  'private-key': { label: 'PEM private keys', pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g }
+};
+
+/**
+ * Rules used until the user saves their own
+ * The first rule keeps the masking of credential headers that API Logger always did.
+ */
+export const DEFAULT_REDACTION_RULES = [
+  {
+    name: 'Credential headers',
+    target: 'header',
+    selectors: ['cookie', 'set-cookie', 'authorization', 'proxy-authorization', 'x-api-key', 'api-key', 'x-auth-token', 'x-csrf-token'],
+    action: 'mask'
+  },
+  {
+    name: 'Secret query parameters',
+    target: 'query',
+    selectors: ['token', 'access_token', 'refresh_token', 'id_token', 'api_key', 'apikey', 'key', 'password', 'secret', 'client_secret', 'signature', 'sig', 'code'],
+    action: 'mask'
+  },
+  {
+    name: 'Secret body fields',
+    target: 'body',
+    selectors: ['$..password', '$..passwd', '$..secret', '$..token', '$..client_secret', '$..access_token', '$..refresh_token', '$..id_token', '$..api_key'],
+    action: 'mask'
+  },
+  {
+    name: 'Tokens',
+    target: 'pattern',
+    selectors: ['jwt', 'bearer', 'aws-key', 'private-key'],
+    action: 'hash'
+  },
+  {
+    name: 'Card numbers',
+    target: 'pattern',
+    selectors: ['card'],
+    action: 'partial',
+    keep: 4
+  },
+  {
+    name: 'Email addresses',
+    target: 'pattern',
+    selectors: ['email'],
+    action: 'hash'
+  }
+];
+
+const encoder = new TextEncoder();
+const REDACTED_HASH = /^\[hash:[0-9a-f]{12}\]$/;
+// What the mask, hash and partial actions leave behind, also inside a value a
+// pattern rule changed; partial needs a run of stars so */* is not mistaken for it
+const REDACTED_TEXT = /\[REDACTED\]|\[hash:[0-9a-f]{12}\]|\*{4,}/;
+
+/**
+ * Whether a stored value was changed by a redaction rule
+ * Snippets and generated tests replace such values with a variable or
+ * placeholder instead of replaying them as real credentials.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isRedacted(value) {
+  return typeof value === 'string' && REDACTED_TEXT.test(value);
+}
+
+/**
+ * Load the redaction rules for a site
+ * @param {string|null} [site] - Host name of the inspected page
+ * @returns {Promise<Object[]>} - The site's own rules, or the rules for all sites
+ */
+export function loadRedactionRules(site = null) {
+  return loadSiteSetting(RULES_KEY, site, DEFAULT_REDACTION_RULES);
+}
+
+/**
+ * Whether a site has its own redaction rules
+ * @param {string} site
+ * @returns {Promise<boolean>}
+ */
+export function hasSiteRedactionRules(site) {
+  return hasSiteSetting(RULES_KEY, site);
+}
+
+/**
+ * Save redaction rules for all sites or for one site
+ * @param {Object[]} rules
+ * @param {string|null} [site] - Host name, or null for all sites
+ * @returns {Promise<Object[]>} - Validated rules
+ */
+export async function saveRedactionRules(rules, site = null) {
+  const validated = validateRedactionRules(rules);
+  await saveSiteSetting(RULES_KEY, validated, site);
+  return validated;
+}
+
+/**
+ * Drop a site's own redaction rules so it uses the rules for all sites again
+ * @param {string} site
+ * @returns {Promise<void>}
+ */
+export function removeSiteRedactionRules(site) {
+  return removeSiteSetting(RULES_KEY, site);
+}
+
+/**
+ * Normalize rules entered in the editor
+ * Selectors may be an array or a comma-separated string.
+ * @param {Object[]} rules
+ * @returns {Object[]}
+ * @throws {Error} - Naming the rule and selector that is invalid
+ */
+export function validateRedactionRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Redaction rules must be a list');
+  }
+  
+  return rules.map((rule, idx) => {
+    const label = `Rule ${idx + 1}${rule.name ? ` "${rule.name}"` : ''}`;
+    if (!REDACTION_TARGETS[rule.target]) {
+      throw new Error(`${label}: target must be one of ${Object.keys(REDACTION_TARGETS).join(', ')}`);
+    }
+    if (!REDACTION_ACTIONS[rule.action]) {
+      throw new Error(`${label}: action must be one of ${Object.keys(REDACTION_ACTIONS).join(', ')}`);
+    }
+    
+    // Regexes and paths may contain commas, so only names are split on them
+    const selectors = Array.isArray(rule.selectors)
+      ? rule.selectors.map(s => String(s).trim()).filter(Boolean)
+      : splitSelectors(String(rule.selectors ?? ''));
+    if (selectors.length === 0) {
+      throw new Error(`${label}: add at least one ${REDACTION_TARGETS[rule.target].label.toLowerCase()} selector`);
+    }
+    
+    const normalized = { name: (rule.name || '').trim(), target: rule.target, selectors, action: rule.action };
+    if (rule.enabled === false) normalized.enabled = false;
+    if (rule.action === 'partial') {
+      const keep = Number(rule.keep ?? 4);
+      if (!Number.isInteger(keep) || keep < 1) {
+        throw new Error(`${label}: the number of characters to keep must be a positive whole number`);
+      }
+      normalized.keep = keep;
+    }
+    
+    try {
+      compileSelectors(normalized);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Build a function that redacts calls with a list of rules
+ * @param {Object[]} rules
+ * @returns {Promise<Function>} - async (call, changes?) => redacted copy of the call; when
+ *   an array is passed as changes, one { location, before, after } entry is added per change
+ */
+export async function createRedactor(rules) {
+  const salt = await loadRedactionSalt();
+  const compiled = validateRedactionRules(rules)
+    .filter(rule => rule.enabled !== false)
+    .map(rule => ({ ...rule, ...compileSelectors(rule) }));
+  
+  return async (call, changes = null) => {
+    let redacted = { ...call };
+    for (const rule of compiled) {
+      const apply = async (location, value) => {
+        const after = await redactValue(rule, value, salt);
+        if (after !== value) changes?.push({ location, rule: rule.name, before: value, after });
+        return after;
+      };
+      redacted = await APPLY_TARGET[rule.target](rule, redacted, apply);
+    }
+    return redacted;
+  };
+}
+
+/**
+ * Pseudonym used by the hash action
+ * A random salt kept per profile stops known values being looked up by their hash.
+ * @param {string} value
+ * @param {string} salt
+ * @returns {Promise<string>}
+ */
+export async function pseudonym(value, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${salt}:${value}`));
+  return Array.from(new Uint8Array(digest).slice(0, 6), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+async function loadRedactionSalt() {
+  const result = await chrome.storage.local.get(SALT_KEY);
+  if (result[SALT_KEY]) return result[SALT_KEY];
+  
+  const salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+  await chrome.storage.local.set({ [SALT_KEY]: salt });
+  return salt;
+}
+
+/**
+ * New value for a selected value; undefined drops it
+ */
+async function redactValue(rule, value, salt) {
+  // Values redacted earlier, e.g. in an imported export, are kept so hashes stay linkable
+  if (value === MASK || REDACTED_HASH.test(value)) return value;
+  
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  switch (rule.action) {
+    case 'drop':
+      return undefined;
+    case 'mask':
+      return MASK;
+    case 'hash':
+      return `[hash:${await pseudonym(text, salt)}]`;
+    case 'partial':
+      return text.length <= rule.keep ? '*'.repeat(text.length) : '*'.repeat(text.length - rule.keep) + text.slice(-rule.keep);
+  }
+}
+
+/**
+ * Apply a compiled rule to the parts of a call its target selects
+ */
+const APPLY_TARGET = {
+  async header(rule, call, apply) {
+    for (const [field, side] of [['requestHeaders', 'request'], ['responseHeaders', 'response']]) {
+      if (!call[field]) continue;
+      const headers = {};
+      for (const [name, value] of Object.entries(call[field])) {
+        const after = rule.names.some(re => re.test(name)) ? await apply(`${side} header ${name}`, value) : value;
+        if (after !== undefined) headers[name] = after;
+      }
+      call[field] = headers;
+    }
+    return call;
+  },
+  
+  async query(rule, call, apply) {
+    const matches = (name) => rule.names.some(re => re.test(name));
+    call.url = await mapUrlQuery(call.url, (name, value) => matches(name) ? apply(`query ${name}`, value) : value);
+    if (call.requestBody && isFormBody(call)) {
+      call.requestBody = await mapParams(call.requestBody, (name, value) => matches(name) ? apply(`request form field ${name}`, value) : value);
+    }
+    return call;
+  },
+  
+  async body(rule, call, apply) {
+    for (const [field, side] of [['requestBody', 'request'], ['responseBody', 'response']]) {
+      const doc = parseJsonBody(call[field]);
+      if (doc === undefined) continue;
+      
+      const root = { value: doc };
+      let changed = false;
+      for (const { segments, selector } of rule.paths) {
+        for (const target of selectPath(root, segments)) {
+          const after = await apply(`${side} body ${selector}`, target.parent[target.key]);
+          changed = true;
+          if (after !== undefined) {
+            target.parent[target.key] = after;
+          } else if (Array.isArray(target.parent)) {
+            target.parent[target.key] = DROPPED;
+          } else {
+            delete target.parent[target.key];
+          }
+        }
+      }
+      if (changed) {
+        const pretty = call[field].includes('\n');
+        call[field] = JSON.stringify(removeDropped(root.value), null, pretty ? 2 : undefined);
+      }
+    }
+    return call;
+  },
+  
+  async pattern(rule, call, apply) {
+    const replace = (location, text) => replacePatterns(rule.patterns, text, (match) => apply(location, match));
+    for (const [field, side] of [['requestHeaders', 'request'], ['responseHeaders', 'response']]) {
+      if (!call[field]) continue;
+      const headers = {};
+      for (const [name, value] of Object.entries(call[field])) {
+        headers[name] = typeof value === 'string' ? await replace(`${side} header ${name}`, value) : value;
+      }
+      call[field] = headers;
+    }
+    
+    if (call.url) {
+      const [beforeQuery, ...rest] = call.url.split('?');
+      const url = [await replace('URL', beforeQuery), ...rest].join('?');
+      call.url = await mapUrlQuery(url, (name, value) => replace(`query ${name}`, value));
+    }
+    for (const [field, side] of [['requestBody', 'request'], ['responseBody', 'response']]) {
+      if (typeof call[field] !== 'string') continue;
+      
+      // In JSON only string values are searched, so numbers such as timestamps
+      // are never rewritten into text that is no longer JSON
+      const doc = parseJsonBody(call[field]);
+      if (doc === undefined) {
+        call[field] = await replace(`${side} body`, call[field]);
+        continue;
+      }
+      let changed = false;
+      const redacted = await mapStrings(doc, async (text) => {
+        const after = await replace(`${side} body`, text);
+        if (after !== text) changed = true;
+        return after;
+      });
+      if (changed) {
+        const pretty = call[field].includes('\n');
+        call[field] = JSON.stringify(redacted, null, pretty ? 2 : undefined);
+      }
+    }
+    return call;
+  }
+};
+
+/**
+ * Copy of a parsed JSON value with every string value mapped; keys are left alone
+ */
+async function mapStrings(value, mapper) {
+  if (typeof value === 'string') return mapper(value);
+  if (Array.isArray(value)) {
+    const items = [];
+    for (const item of value) items.push(await mapStrings(item, mapper));
+    return items;
+  }
+  if (value && typeof value === 'object') {
+    const mapped = {};
+    for (const [key, item] of Object.entries(value)) mapped[key] = await mapStrings(item, mapper);
+    return mapped;
+  }
+  return value;
+}
+
+// Placeholder for array elements dropped by a body rule, removed before the body is written back
+const DROPPED = Symbol('dropped');
+
+function removeDropped(value) {
+  if (Array.isArray(value)) return value.filter(item => item !== DROPPED).map(removeDropped);
+  if (value && typeof value === 'object') {
+    for (const key of Object.keys(value)) value[key] = removeDropped(value[key]);
+  }
+  return value;
+}
+
+/**
+ * Compile the selectors of a rule into matchers
+ * @throws {Error} - When a selector is invalid
+ */
+function compileSelectors(rule) {
+  switch (rule.target) {
+    case 'header':
+    case 'query':
+      return { names: rule.selectors.map(globToRegExp) };
+    case 'body':
+      return { paths: rule.selectors.map(selector => ({ selector, segments: parseBodyPath(selector) })) };
+    case 'pattern':
+      return { patterns: rule.selectors.map(compilePattern) };
+  }
+}
+
+function compilePattern(selector) {
+  const regex = selector.match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) {
+    try {
+      return { pattern: new RegExp(regex[1], regex[2].includes('g') ? regex[2] : regex[2] + 'g') };
+    } catch (error) {
+      throw new Error(`invalid pattern ${selector}: ${error.message}`);
+    }
+  }
+  
+  const detector = DETECTORS[selector.toLowerCase()];
+  if (!detector) {
+    throw new Error(`unknown detector "${selector}". Use one of ${Object.keys(DETECTORS).join(', ')} or a /regular expression/`);
+  }
+  return detector;
+}
+
+/**
+ * Replace every match of the patterns in a text
+ * @param {Object[]} patterns - { pattern, check? }
+ * @param {string} text
+ * @param {Function} replacement - async (match) => new text, or undefined to remove it
+ */
+async function replacePatterns(patterns, text, replacement) {
+  let result = text;
+  for (const { pattern, check } of patterns) {
+    const matches = Array.from(result.matchAll(pattern)).filter(m => m[0] && (!check || check(m[0])));
+    if (matches.length === 0) continue;
+    
+    let rebuilt = '';
+    let last = 0;
+    for (const match of matches) {
+      rebuilt += result.slice(last, match.index) + ((await replacement(match[0])) ?? '');
+      last = match.index + match[0].length;
+    }
+    result = rebuilt + result.slice(last);
+  }
+  return result;
+}
+
+/**
+ * Parse a JSONPath-like body selector
+ * Supports $, .key, ['key'], [0], [*], .* and ..key (any depth). A path without
+ * a leading $ starts at the root, so user.password is the same as $.user.password.
+ * @param {string} path
+ * @returns {Object[]} - Segments: { key, recursive }
+ */
+export function parseBodyPath(path) {
+  let rest = path.trim();
+  rest = rest.startsWith('$') ? rest.slice(1) : `.${rest}`;
+  
+  const segments = [];
+  const segment = /^(?:\.\.(\*|[^.[\]]+)|\.(\*|[^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\])/;
+  while (rest) {
+    const match = rest.match(segment);
+    if (!match) {
+      throw new Error(`invalid body path "${path}" at "${rest}"`);
+    }
+    
+    if (match[1] !== undefined) {
+      segments.push({ key: match[1], recursive: true });
+    } else {
+      const raw = match[2] ?? match[3];
+      const key = /^\d+$/.test(raw) && match[3] !== undefined ? Number(raw) : raw.replace(/^(['"])(.*)\1$/, '$2');
+      segments.push({ key, recursive: false });
+    }
+    rest = rest.slice(match[0].length);
+  }
+  
+  if (segments.length === 0) {
+    throw new Error(`body path "${path}" selects the whole body; select a field instead`);
+  }
+  return segments;
+}
+
+/**
+ * Find the values a parsed path selects
+ * @returns {Array<{parent: Object, key: string|number}>}
+ */
+function selectPath(root, segments) {
+  let nodes = [{ parent: root, key: 'value' }];
+  
+  for (const { key, recursive } of segments) {
+    const next = [];
+    // Recursive segments can reach the same container from several nodes
+    const seen = new Set();
+    for (const node of nodes) {
+      const containers = recursive ? descendants(node.parent[node.key]) : [node.parent[node.key]];
+      for (const container of containers) {
+        if (!container || typeof container !== 'object' || seen.has(container)) continue;
+        seen.add(container);
+        const keys = key === '*' ? Object.keys(container) : Object.prototype.hasOwnProperty.call(container, key) ? [key] : [];
+        for (const childKey of keys) {
+          next.push({ parent: container, key: Array.isArray(container) ? Number(childKey) : childKey });
+        }
+      }
+    }
+    nodes = next;
+  }
+  return nodes;
+}
+
+function descendants(value, found = []) {
+  if (value && typeof value === 'object') {
+    found.push(value);
+    Object.values(value).forEach(child => descendants(child, found));
+  }
+  return found;
+}
+
+function parseJsonBody(body) {
+  if (typeof body !== 'string' || !/^\s*[[{]/.test(body)) return undefined;
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function isFormBody(call) {
+  return /application\/x-www-form-urlencoded/i.test(call.requestContentType || '');
+}
+
+/**
+ * Map the query parameters of a URL, leaving the rest of it untouched
+ */
+async function mapUrlQuery(url, mapper) {
+  const hashAt = url.indexOf('#');
+  const base = hashAt === -1 ? url : url.slice(0, hashAt);
+  const fragment = hashAt === -1 ? '' : url.slice(hashAt);
+  const queryAt = base.indexOf('?');
+  if (queryAt === -1) return url;
+  
+  return base.slice(0, queryAt + 1) + await mapParams(base.slice(queryAt + 1), mapper) + fragment;
+}
+
+/**
+ * Map name=value pairs of a query string or form body; parameters that are
+ * not changed keep their original encoding
+ * @param {string} text
+ * @param {Function} mapper - async (name, value) => new value, or undefined to drop the parameter
+ */
+async function mapParams(text, mapper) {
+  const params = [];
+  for (const part of text.split('&')) {
+    const eq = part.indexOf('=');
+    if (!part || eq === -1) {
+      params.push(part);
+      continue;
+    }
+    
+    const rawName = part.slice(0, eq);
+    const value = decodeParam(part.slice(eq + 1));
+    const after = await mapper(decodeParam(rawName), value);
+    if (after === value) {
+      params.push(part);
+    } else if (after !== undefined) {
+      params.push(`${rawName}=${encodeParam(after)}`);
+    }
+  }
+  return params.join('&');
+}
+
+function decodeParam(text) {
+  try {
+    return decodeURIComponent(text.replace(/\+/g, ' '));
+  } catch (e) {
+    return text;
+  }
+}
+
+function encodeParam(text) {
+  // Keep the brackets and colon of [REDACTED] and [hash:...] readable
+  return encodeURIComponent(text).replace(/%5B/g, '[').replace(/%5D/g, ']').replace(/%3A/g, ':');
+}
+
+function splitSelectors(text) {
+  const trimmed = text.trim();
+  if (/^\/.+\/[a-z]*$/s.test(trimmed)) return [trimmed];
+  return trimmed.split(',').map(s => s.trim()).filter(Boolean);
+}
+
+function passesLuhn(text) {
+  const digits = text.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
@@ -0,0 +1,184 @@
+/**
+ * Tests for redaction paths and rules
+ * Run with npm test
+ */
+
+import { MASK, DEFAULT_REDACTION_RULES, parseBodyPath, validateRedactionRules, createRedactor, isRedacted } from './redaction.js';
+
+const storage = {};
+
+global.chrome = {
+  storage: {
+    local: {
+      get: async (key) => ({ [key]: storage[key] }),
+      set: async (values) => Object.assign(storage, values)
+    }
+  }
+};
+
+function bodyRule(selectors, action = 'mask') {
+  return { name: 'Body', target: 'body', selectors, action };
+}
+
+async function redactBody(rules, body) {
+  const redact = await createRedactor(rules);
+  const call = await redact({ url: 'https://api.example.com/', responseBody: JSON.stringify(body) });
+  return JSON.parse(call.responseBody);
+}
+
+describe('parseBodyPath', () => {
+  test('reads dotted, bracketed, wildcard and recursive segments', () => {
+    expect(parseBodyPath("$.items[*]['card number']..cvv[0]")).toEqual([
+      { key: 'items', recursive: false },
+      { key: '*', recursive: false },
+      { key: 'card number', recursive: false },
+      { key: 'cvv', recursive: true },
+      { key: 0, recursive: false }
+    ]);
+  });
+  
+  test('starts a path without $ at the root', () => {
+    expect(parseBodyPath('user.password')).toEqual(parseBodyPath('$.user.password'));
+  });
+  
+  test('rejects paths it cannot read or that select the whole body', () => {
+    expect(() => parseBodyPath('$.user[password]')).toThrow('invalid body path "$.user[password]" at "[password]"');
+    expect(() => parseBodyPath('$')).toThrow('selects the whole body');
+  });
+  
+  test('names the rule of an invalid path', () => {
+    expect(() => validateRedactionRules([bodyRule(['$.a', '$.b[x]'])])).toThrow(/^Rule 1 "Body": invalid body path "\$\.b\[x\]"/);
+  });
+});
+
+describe('body redaction', () => {
+  test('masks a field at an exact path only', async () => {
+    const body = await redactBody([bodyRule(['$.user.password'])], { user: { password: 'a', name: 'b' }, password: 'c' });
+    
+    expect(body).toEqual({ user: { password: MASK, name: 'b' }, password: 'c' });
+  });
+  
+  test('masks a field at any depth, inside arrays too', async () => {
+    const body = await redactBody([bodyRule(['$..token'])], { token: 'a', sessions: [{ token: 'b' }, { id: 1, auth: { token: 'c' } }] });
+    
+    expect(body).toEqual({ token: MASK, sessions: [{ token: MASK }, { id: 1, auth: { token: MASK } }] });
+  });
+  
+  test('selects every element with a wildcard', async () => {
+    const body = await redactBody([{ ...bodyRule(['items[*].card']), action: 'partial', keep: 4 }], {
+      items: [{ card: '4111111111111111' }, { card: '5500000000000004' }, { sku: 'x' }]
+    });
+    
+    expect(body.items).toEqual([{ card: '************1111' }, { card: '************0004' }, { sku: 'x' }]);
+  });
+  
+  test('drops object fields and array elements', async () => {
+    const body = await redactBody([bodyRule(['$.debug', '$.tags[1]'], 'drop')], { id: 1, debug: { trace: 'x' }, tags: ['a', 'b', 'c'] });
+    
+    expect(body).toEqual({ id: 1, tags: ['a', 'c'] });
+  });
+  
+  test('keeps the indentation of a pretty-printed body', async () => {
+    const redact = await createRedactor([bodyRule(['$.secret'])]);
+    const call = await redact({ url: 'https://api.example.com/', requestBody: JSON.stringify({ secret: 's' }, null, 2) });
+    
+    expect(call.requestBody).toBe(`{\n  "secret": "${MASK}"\n}`);
+  });
+  
+  test('reports each change with its location', async () => {
+    const redact = await createRedactor([bodyRule(['$..password'])]);
+    const changes = [];
+    await redact({ url: 'https://api.example.com/', requestBody: '{"user":{"password":"hunter2"}}' }, changes);
+    
+    expect(changes).toEqual([{ location: 'request body $..password', rule: 'Body', before: 'hunter2', after: MASK }]);
+  });
+});
+
+describe('isRedacted', () => {
+  test('recognises what every action that keeps a value leaves behind', async () => {
+    const redact = await createRedactor([
+      { name: 'Mask', target: 'header', selectors: ['x-mask'], action: 'mask' },
+      { name: 'Hash', target: 'header', selectors: ['x-hash'], action: 'hash' },
+      { name: 'Partial', target: 'header', selectors: ['x-partial'], action: 'partial', keep: 4 },
+      { name: 'Tokens', target: 'pattern', selectors: ['bearer'], action: 'hash' }
+    ]);
+    const { requestHeaders } = await redact({
+      url: 'https://api.example.com/',
+      requestHeaders: { 'x-mask': 'a', 'x-hash': 'b', 'x-partial': 'sk_live_12345678', authorization: 'Bearer abc', accept: '*/*' }
+    });
+    
+    expect(Object.fromEntries(Object.entries(requestHeaders).map(([name, value]) => [name, isRedacted(value)]))).toEqual({
+      'x-mask': true, 'x-hash': true, 'x-partial': true, authorization: true, accept: false
+    });
+  });
+  
+  test('leaves ordinary values alone', () => {
+    expect(['application/json', '*', '**', 'Bearer abc', 'hash:1234', null, 42].some(isRedacted)).toBe(false);
+  });
+});
+
+describe('default redaction rules', () => {
+  test('cover headers, query parameters, form and JSON bodies, and tokens', async () => {
+    const redact = await createRedactor(DEFAULT_REDACTION_RULES);
+    const call = await redact({
+      url: 'https://api.example.com/login?next=%2Fhome&access_token=abc123',
+      requestContentType: 'application/x-www-form-urlencoded',
+      requestHeaders: { Authorization: 'Basic dXNlcjpwYXNz', Accept: 'application/json' },
+      requestBody: 'user=ann&password=hunter2',
+      responseBody: '{"user":{"id":7},"refresh_token":"r-1"}'
+    });
+    
+    expect(call.url).toBe(`https://api.example.com/login?next=%2Fhome&access_token=${MASK}`);
+    expect(call.requestHeaders).toEqual({ Authorization: MASK, Accept: 'application/json' });
+    expect(call.requestBody).toBe(`user=ann&password=${MASK}`);
+    expect(JSON.parse(call.responseBody)).toEqual({ user: { id: 7 }, refresh_token: MASK });
+  });
+  
+  test('leave JSON numbers that pass the card check alone', async () => {
+    const redact = await createRedactor(DEFAULT_REDACTION_RULES);
+    // 1760000000008 is an epoch-ms timestamp with a valid Luhn check digit
+    const call = await redact({
+      url: 'https://api.example.com/',
+      responseBody: '{"createdAt":1760000000008,"id":1,"card":"4111 1111 1111 1111"}'
+    });
+    
+    expect(JSON.parse(call.responseBody)).toEqual({ createdAt: 1760000000008, id: 1, card: '***************1111' });
+  });
+  
+  test('keep JSON bodies valid when hashing detected tokens', async () => {
+    const redact = await createRedactor(DEFAULT_REDACTION_RULES);
+    const call = await redact({
+      url: 'https://api.example.com/',
+      requestBody: '{\n  "auth": "Bearer abc.def",\n  "owner": "ann@example.com"\n}'
+    });
+    
+    const body = JSON.parse(call.requestBody);
+    expect(body.auth).toMatch(/^\[hash:[0-9a-f]{12}\]$/);
+    expect(body.owner).toMatch(/^\[hash:[0-9a-f]{12}\]$/);
+    expect(call.requestBody.startsWith('{\n  "auth"')).toBe(true);
+  });
+  
+  test('keep JSON bodies valid when a pattern would match a number', async () => {
+    const redact = await createRedactor([{ name: 'Account numbers', target: 'pattern', selectors: ['/\\b\\d{8}\\b/'], action: 'hash' }]);
+    const call = await redact({ url: 'https://api.example.com/', responseBody: '{"account":"12345678","total":12345678}' });
+    
+    const body = JSON.parse(call.responseBody);
+    expect(body.account).toMatch(/^\[hash:[0-9a-f]{12}\]$/);
+    expect(body.total).toBe(12345678);
+  });
+  
+  test('still search bodies that are not JSON as text', async () => {
+    const redact = await createRedactor(DEFAULT_REDACTION_RULES);
+    const call = await redact({ url: 'https://api.example.com/', requestBody: 'card=4111111111111111&ts=1760000000008' });
+    
+    expect(call.requestBody).toBe('card=************1111&ts=*********0008');
+  });
+  
+  test('leave values that were already redacted as they are', async () => {
+    const redact = await createRedactor(DEFAULT_REDACTION_RULES);
+    const changes = [];
+    await redact({ url: 'https://api.example.com/', responseBody: `{"token":"${MASK}"}` }, changes);
+    
+    expect(changes).toEqual([]);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Storage usage and retention rules
+ * Rules and the purge audit log live in chrome.storage.local; the sessions
+ * themselves are deleted through db.js by the caller.
+ */
+
+const RULES_KEY = 'apiLoggerRetention';
+const PURGE_LOG_KEY = 'apiLoggerPurgeLog';
+const MAX_PURGE_LOG_ENTRIES = 200;
+
+/**
+ * Retention rules; null disables a rule
+ */
+export const DEFAULT_RETENTION_RULES = {
+  maxAgeDays: null,
+  maxSessions: null,
+  maxTotalMB: null
+};
+
+/**
+ * Approximate stored size of a record in bytes
+ * @param {Object} record
+ * @returns {number}
+ */
+export function estimateSize(record) {
+  return JSON.stringify(record).length;
+}
+
+/**
+ * Load retention rules
+ * @returns {Promise<Object>}
+ */
+export async function loadRetentionRules() {
+  const result = await chrome.storage.local.get(RULES_KEY);
+  return { ...DEFAULT_RETENTION_RULES, ...result[RULES_KEY] };
+}
+
+/**
+ * Save retention rules
+ * @param {Object} rules
+ * @returns {Promise<Object>} - Validated rules
+ */
+export async function saveRetentionRules(rules) {
+  const validated = validateRetentionRules(rules);
+  await chrome.storage.local.set({ [RULES_KEY]: validated });
+  return validated;
+}
+
+/**
+ * Normalize rules entered as strings or numbers; empty values turn a rule off
+ * @param {Object} rules
+ * @returns {Object}
+ * @throws {Error} - When a value is not a positive number
+ */
+export function validateRetentionRules(rules) {
+  return {
+    maxAgeDays: positiveOrNull(rules.maxAgeDays, 'Max age'),
+    maxSessions: positiveOrNull(rules.maxSessions, 'Max sessions'),
+    maxTotalMB: positiveOrNull(rules.maxTotalMB, 'Max total size')
+  };
+}
+
+/**
+ * Work out which sessions the rules would delete, oldest first
+ * Sessions that are recording or paused are never selected.
+ * @param {Object[]} sessions
+ * @param {Object} rules
+ * @param {number} [now]
+ * @returns {Array<{session: Object, reason: string}>}
+ */
+export function selectSessionsToPurge(sessions, rules, now = Date.now()) {
+  const purge = [];
+  const byAge = [...sessions].sort((a, b) => (a.updatedAt || a.createdAt) - (b.updatedAt || b.createdAt));
+  const isProtected = session => session.status === 'active' || session.status === 'paused';
+  let kept = byAge;
+  
+  if (rules.maxAgeDays) {
+    const cutoff = now - rules.maxAgeDays * 24 * 60 * 60 * 1000;
+    kept = kept.filter(session => {
+      if (isProtected(session) || (session.updatedAt || session.createdAt) >= cutoff) return true;
+      purge.push({ session, reason: `older than ${rules.maxAgeDays} days` });
+      return false;
+    });
+  }
+  
+  if (rules.maxSessions) {
+    let excess = kept.length - rules.maxSessions;
+    kept = kept.filter(session => {
+      if (excess <= 0 || isProtected(session)) return true;
+      excess--;
+      purge.push({ session, reason: `more than ${rules.maxSessions} sessions` });
+      return false;
+    });
+  }
+  
+  if (rules.maxTotalMB) {
+    const cap = rules.maxTotalMB * 1024 * 1024;
+    let total = kept.reduce((sum, session) => sum + (session.sizeBytes || 0), 0);
+    kept = kept.filter(session => {
+      if (total <= cap || isProtected(session)) return true;
+      total -= session.sizeBytes || 0;
+      purge.push({ session, reason: `total size over ${rules.maxTotalMB} MB` });
+      return false;
+    });
+  }
+  
+  return purge;
+}
+
+/**
+ * Get origin-wide storage usage and quota
+ * @returns {Promise<{usage: number, quota: number}|null>} - null when the API is unavailable
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+/**
+ * Read the purge audit log, newest first
+ * @returns {Promise<Object[]>}
+ */
+export async function getPurgeLog() {
+  const result = await chrome.storage.local.get(PURGE_LOG_KEY);
+  return result[PURGE_LOG_KEY] || [];
+}
+
+/**
+ * Append purged sessions to the audit log
+ * @param {Array<{session: Object, reason: string}>} purged
+ * @param {string} trigger - What started the purge, e.g. 'startup' or 'quota'
+ * @returns {Promise<void>}
+ */
+export async function recordPurge(purged, trigger) {
+  if (purged.length === 0) return;
+  
+  const at = Date.now();
+  const entries = purged.map(({ session, reason }) => ({
+    at,
+    trigger,
+    reason,
+    sessionId: session.id,
+    name: session.name,
+    callCount: session.callCount,
+    sizeBytes: session.sizeBytes || 0
+  }));
+  
+  const log = await getPurgeLog();
+  await chrome.storage.local.set({
+    [PURGE_LOG_KEY]: [...entries, ...log].slice(0, MAX_PURGE_LOG_ENTRIES)
+  });
+}
+
+/**
+ * Clear the purge audit log
+ * @returns {Promise<void>}
+ */
+export async function clearPurgeLog() {
+  await chrome.storage.local.remove(PURGE_LOG_KEY);
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value >= 10 || exponent === 0 ? Math.round(value) : value.toFixed(1)} ${units[exponent]}`;
+}
+
+function positiveOrNull(value, label) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) {
+    throw new Error(`${label} must be a positive number`);
+  }
+  return number;
+}
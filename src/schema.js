@@ -0,0 +1,130 @@
+/**
+ * JSON Schema inference from recorded sample values
+ * Schemas from every sample are merged, so fields missing from some samples
+ * become optional and values seen with several types become anyOf unions
+ */
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Infer a single schema describing every sample
+ * @param {Array<*>} samples - Parsed JSON values
+ * @returns {Object|null} - JSON Schema, or null when there are no samples
+ */
+export function inferSchema(samples) {
+  let schema = null;
+  
+  for (const sample of samples) {
+    const sampleSchema = schemaOf(sample);
+    schema = schema ? mergeSchemas(schema, sampleSchema) : sampleSchema;
+  }
+  
+  return schema;
+}
+
+/**
+ * Describe a single value
+ * @param {*} value
+ * @returns {Object}
+ */
+export function schemaOf(value) {
+  if (value === null || value === undefined) {
+    return { type: 'null' };
+  }
+  
+  if (Array.isArray(value)) {
+    const items = inferSchema(value);
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+  
+  switch (typeof value) {
+    case 'boolean':
+      return { type: 'boolean' };
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'string':
+      return stringSchema(value);
+    case 'object': {
+      const properties = {};
+      for (const [key, child] of Object.entries(value)) {
+        properties[key] = schemaOf(child);
+      }
+      return { type: 'object', properties, required: Object.keys(properties) };
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Merge two schemas into one that accepts values of either
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Object}
+ */
+export function mergeSchemas(a, b) {
+  const variants = [...toVariants(a), ...toVariants(b)];
+  
+  // Integers widen to numbers when both appear
+  if (variants.some(v => v.type === 'number')) {
+    for (const v of variants) {
+      if (v.type === 'integer') v.type = 'number';
+    }
+  }
+  
+  const byType = new Map();
+  for (const variant of variants) {
+    const existing = byType.get(variant.type);
+    byType.set(variant.type, existing ? mergeSameType(existing, variant) : variant);
+  }
+  
+  const merged = Array.from(byType.values());
+  return merged.length === 1 ? merged[0] : { anyOf: merged };
+}
+
+/**
+ * Split a schema into its single-type variants
+ */
+function toVariants(schema) {
+  return (schema.anyOf || [schema]).map(variant => ({ ...variant }));
+}
+
+/**
+ * Merge two schemas already known to share a type
+ */
+function mergeSameType(a, b) {
+  switch (a.type) {
+    case 'object': {
+      const properties = { ...a.properties };
+      for (const [key, schema] of Object.entries(b.properties)) {
+        properties[key] = properties[key] ? mergeSchemas(properties[key], schema) : schema;
+      }
+      const required = a.required.filter(key => b.required.includes(key));
+      return { type: 'object', properties, required };
+    }
+    case 'array': {
+      if (!a.items) return b;
+      if (!b.items) return a;
+      return { type: 'array', items: mergeSchemas(a.items, b.items) };
+    }
+    case 'string': {
+      return a.format && a.format === b.format ? a : { type: 'string' };
+    }
+    default:
+      return a;
+  }
+}
+
+/**
+ * Describe a string, detecting common formats
+ */
+function stringSchema(value) {
+  if (UUID_PATTERN.test(value)) {
+    return { type: 'string', format: 'uuid' };
+  }
+  if (DATE_TIME_PATTERN.test(value)) {
+    return { type: 'string', format: 'date-time' };
+  }
+  return { type: 'string' };
+}
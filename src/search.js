@@ -0,0 +1,130 @@
+/**
+ * Full-text search helpers
+ * Calls are indexed by the lowercase word tokens of their URL, headers and
+ * bodies; the tokens are stored in the searchIndex store (see db.js)
+ */
+
+// Tokens shorter than this are too common to be worth indexing
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+
+// Upper bound on indexed tokens per call, so huge bodies do not bloat the index
+const MAX_TOKENS_PER_CALL = 10000;
+
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Split text into unique lowercase word tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  
+  const tokens = new Set();
+  for (const match of String(text).toLowerCase().matchAll(/[\p{L}\p{N}_]+/gu)) {
+    const token = match[0];
+    if (token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH) {
+      tokens.add(token);
+    }
+  }
+  return Array.from(tokens);
+}
+
+/**
+ * Build the searchIndex record for a stored call
+ * @param {Object} call - Stored call (with id)
+ * @returns {{callId: number, sessionId: string, tokens: string[]}}
+ */
+export function buildSearchEntry(call) {
+  const tokens = new Set();
+  for (const { text } of searchableFields(call)) {
+    for (const token of tokenize(text)) {
+      if (tokens.size >= MAX_TOKENS_PER_CALL) break;
+      tokens.add(token);
+    }
+  }
+  
+  return { callId: call.id, sessionId: call.sessionId, tokens: Array.from(tokens) };
+}
+
+/**
+ * Find highlighted snippets for the query terms in a call
+ * @param {Object} call
+ * @param {string[]} terms - Tokens from tokenize(query); matched as prefixes
+ * @param {number} [maxSnippets]
+ * @returns {Array<{field: string, before: string, match: string, after: string}>}
+ */
+export function buildSnippets(call, terms, maxSnippets = 3) {
+  if (terms.length === 0) return [];
+  
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})`, 'iu');
+  const snippets = [];
+  
+  for (const { field, text } of searchableFields(call)) {
+    if (snippets.length >= maxSnippets) break;
+    
+    const found = pattern.exec(text);
+    if (!found) continue;
+    
+    // Extend the highlight to the end of the matched word
+    let end = found.index + found[0].length;
+    while (end < text.length && /[\p{L}\p{N}_]/u.test(text[end])) end++;
+    
+    const start = Math.max(0, found.index - SNIPPET_CONTEXT);
+    const stop = Math.min(text.length, end + SNIPPET_CONTEXT);
+    snippets.push({
+      field,
+      before: (start > 0 ? '…' : '') + collapse(text.slice(start, found.index)),
+      match: text.slice(found.index, end),
+      after: collapse(text.slice(end, stop)) + (stop < text.length ? '…' : '')
+    });
+  }
+  
+  return snippets;
+}
+
+/**
+ * Text of each searchable part of a call, labelled for display
+ */
+function searchableFields(call) {
+  const fields = [
+    { field: 'URL', text: safeDecode(call.url || '') },
+    { field: 'Method', text: `${call.method || ''} ${call.status ?? ''}` }
+  ];
+  
+  if (call.requestHeaders) {
+    fields.push({ field: 'Request headers', text: headerText(call.requestHeaders) });
+  }
+  if (typeof call.requestBody === 'string') {
+    fields.push({ field: 'Request body', text: call.requestBody });
+  }
+  if (call.responseHeaders) {
+    fields.push({ field: 'Response headers', text: headerText(call.responseHeaders) });
+  }
+  if (typeof call.responseBody === 'string') {
+    fields.push({ field: 'Response body', text: call.responseBody });
+  }
+  
+  return fields;
+}
+
+function headerText(headers) {
+  return Object.entries(headers).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+function safeDecode(url) {
+  try {
+    return decodeURIComponent(url);
+  } catch (e) {
+    return url;
+  }
+}
+
+function collapse(text) {
+  return text.replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
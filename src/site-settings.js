@@ -0,0 +1,89 @@
+/**
+ * Settings kept once for all sites plus optional overrides for single sites
+ * Stored in chrome.storage.local under one key as { default, sites: { [host]: value } }.
+ * Used by the capture rules and the redaction rules.
+ */
+
+/**
+ * Load the value for a site
+ * @param {string} key - chrome.storage.local key
+ * @param {string|null} site - Host name, or null for all sites
+ * @param {*} fallback - Value used when nothing was saved for all sites
+ * @returns {Promise<*>} - The site's own value, or the value for all sites
+ */
+export async function loadSiteSetting(key, site, fallback) {
+  const stored = await loadStored(key);
+  if (site && stored.sites[site]) return stored.sites[site];
+  return stored.default || fallback;
+}
+
+/**
+ * Whether a site has its own value
+ * @param {string} key
+ * @param {string} site
+ * @returns {Promise<boolean>}
+ */
+export async function hasSiteSetting(key, site) {
+  const stored = await loadStored(key);
+  return !!stored.sites[site];
+}
+
+/**
+ * Save the value for all sites or for one site
+ * @param {string} key
+ * @param {*} value
+ * @param {string|null} site - Host name, or null for all sites
+ * @returns {Promise<void>}
+ */
+export async function saveSiteSetting(key, value, site) {
+  const stored = await loadStored(key);
+  if (site) {
+    stored.sites[site] = value;
+  } else {
+    stored.default = value;
+  }
+  await chrome.storage.local.set({ [key]: stored });
+}
+
+/**
+ * Drop a site's own value so it uses the value for all sites again
+ * @param {string} key
+ * @param {string} site
+ * @returns {Promise<void>}
+ */
+export async function removeSiteSetting(key, site) {
+  const stored = await loadStored(key);
+  delete stored.sites[site];
+  await chrome.storage.local.set({ [key]: stored });
+}
+
+/**
+ * Combine a backed-up value with the current one; current values win
+ * @param {Object} [current]
+ * @param {Object} incoming
+ * @returns {Object}
+ */
+export function mergeSiteSettings(current, incoming) {
+  return {
+    default: current?.default ?? incoming.default ?? null,
+    sites: { ...incoming.sites, ...current?.sites }
+  };
+}
+
+/**
+ * Host name of a page URL, used as the site key
+ * @param {string} url
+ * @returns {string|null}
+ */
+export function siteOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase() || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+async function loadStored(key) {
+  const result = await chrome.storage.local.get(key);
+  return { default: null, sites: {}, ...result[key] };
+}
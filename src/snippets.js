@@ -0,0 +1,174 @@
+/**
+ * Code snippet generators for replaying a recorded call
+ * Redacted headers are replaced by environment variables in shell and Node
+ * snippets, and by a placeholder string in browser fetch snippets
+ */
+
+import { isRedacted } from './redaction.js';
+
+// Headers computed by the client, or HTTP/2 pseudo-headers
+const CLIENT_HEADERS = ['content-length', 'host', 'connection', 'transfer-encoding', 'keep-alive'];
+
+// Headers a page script is not allowed to set with fetch()
+const FORBIDDEN_FETCH_HEADERS = [
+  'accept-charset', 'accept-encoding', 'cookie', 'date', 'dnt', 'expect',
+  'origin', 'referer', 'te', 'trailer', 'upgrade', 'user-agent', 'via'
+];
+
+/**
+ * Snippet generators keyed by id
+ */
+export const SNIPPET_FORMATS = {
+  curl: { label: 'cURL', generate: toCurl },
+  fetch: { label: 'fetch', generate: toFetch },
+  undici: { label: 'Node undici', generate: toUndici },
+  httpie: { label: 'HTTPie', generate: toHttpie }
+};
+
+/**
+ * Generate a cURL command
+ * @param {Object} call - Stored call
+ * @returns {string}
+ */
+export function toCurl(call) {
+  const parts = [`curl ${shellQuote(call.url)}`];
+  const headers = replayHeaders(call);
+  
+  // --data-raw makes curl send a POST, and -X HEAD would wait for a body that never comes
+  if (call.method === 'HEAD') {
+    parts.push('--head');
+  } else if (call.requestBody ? call.method !== 'POST' : call.method !== 'GET') {
+    parts.push(`-X ${call.method}`);
+  }
+  
+  for (const [name, value] of headers) {
+    parts.push(`-H ${isRedacted(value) ? `"${name}: \${${envName(name)}}"` : shellQuote(`${name}: ${value}`)}`);
+  }
+  
+  if (call.requestBody) {
+    parts.push(`--data-raw ${shellQuote(call.requestBody)}`);
+  }
+  
+  if (headers.some(([name]) => name === 'accept-encoding')) {
+    parts.push('--compressed');
+  }
+  
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Generate a browser fetch() snippet
+ * @param {Object} call - Stored call
+ * @returns {string}
+ */
+export function toFetch(call) {
+  const headers = replayHeaders(call)
+    .filter(([name]) => !FORBIDDEN_FETCH_HEADERS.includes(name) && !name.startsWith('sec-') && !name.startsWith('proxy-'))
+    .map(([name, value]) => [name, isRedacted(value) ? `<${envName(name)}>` : value]);
+  
+  const options = [`  method: ${JSON.stringify(call.method)}`];
+  if (headers.length > 0) {
+    options.push(`  headers: ${jsObject(headers, 2)}`);
+  }
+  if (call.requestBody) {
+    options.push(`  body: ${jsBody(call, 2)}`);
+  }
+  
+  return `const response = await fetch(${JSON.stringify(call.url)}, {\n${options.join(',\n')}\n});\n` +
+    'console.log(response.status, await response.text());';
+}
+
+/**
+ * Generate a Node.js undici snippet
+ * @param {Object} call - Stored call
+ * @returns {string}
+ */
+export function toUndici(call) {
+  const headers = replayHeaders(call);
+  
+  const options = [`  method: ${JSON.stringify(call.method)}`];
+  if (headers.length > 0) {
+    const entries = headers.map(([name, value]) => isRedacted(value)
+      ? `    ${JSON.stringify(name)}: process.env.${envName(name)}`
+      : `    ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+    options.push(`  headers: {\n${entries.join(',\n')}\n  }`);
+  }
+  if (call.requestBody) {
+    options.push(`  body: ${jsBody(call, 2)}`);
+  }
+  
+  return "import { request } from 'undici';\n\n" +
+    `const { statusCode, body } = await request(${JSON.stringify(call.url)}, {\n${options.join(',\n')}\n});\n` +
+    'console.log(statusCode, await body.text());';
+}
+
+/**
+ * Generate an HTTPie command
+ * @param {Object} call - Stored call
+ * @returns {string}
+ */
+export function toHttpie(call) {
+  const isForm = mediaTypeOf(call) === 'application/x-www-form-urlencoded';
+  const parts = [`http${isForm ? ' --form' : ''} ${call.method} ${shellQuote(call.url)}`];
+  
+  for (const [name, value] of replayHeaders(call)) {
+    parts.push(isRedacted(value) ? `"${name}:\${${envName(name)}}"` : shellQuote(`${name}:${value}`));
+  }
+  
+  if (call.requestBody) {
+    if (isForm) {
+      for (const [key, value] of new URLSearchParams(call.requestBody)) {
+        parts.push(shellQuote(`${key}=${value}`));
+      }
+    } else {
+      parts.push(`--raw ${shellQuote(call.requestBody)}`);
+    }
+  }
+  
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Quote a string for POSIX shells
+ */
+function shellQuote(str) {
+  return `'${String(str).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Environment variable name for a redacted header, e.g. x-api-key -> X_API_KEY
+ */
+function envName(headerName) {
+  return headerName.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function mediaTypeOf(call) {
+  return (call.requestContentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function replayHeaders(call) {
+  return Object.entries(call.requestHeaders || {})
+    .filter(([name]) => !name.startsWith(':') && !CLIENT_HEADERS.includes(name));
+}
+
+/**
+ * Render name/value pairs as an indented object literal
+ */
+function jsObject(entries, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = entries.map(([name, value]) => `${pad}  ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+  return `{\n${lines.join(',\n')}\n${pad}}`;
+}
+
+/**
+ * Render a request body expression; JSON bodies are pretty-printed inside JSON.stringify()
+ */
+function jsBody(call, indent) {
+  if (mediaTypeOf(call).includes('json')) {
+    try {
+      const pretty = JSON.stringify(JSON.parse(call.requestBody), null, 2).replace(/\n/g, `\n${' '.repeat(indent)}`);
+      return `JSON.stringify(${pretty})`;
+    } catch (e) {}
+  }
+  return JSON.stringify(call.requestBody);
+}
@@ -0,0 +1,118 @@
+/**
+ * Tests for shell and JavaScript quoting in replay snippets
+ * Run with npm test
+ */
+
+import { execFileSync } from 'child_process';
+import { toCurl, toFetch, toUndici, toHttpie } from './snippets.js';
+
+const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+// Quotes, expansions, escapes and line breaks a shell or JS string must keep as they are
+const TRICKY = `it's "$HOME" \`id\` $(id) \\n \\ back\nline\u2028sep </script>`;
+
+function call(fields) {
+  return {
+    method: 'POST',
+    url: `https://api.example.com/search?q=${encodeURIComponent("it's")}&x=$HOME`,
+    requestHeaders: { 'x-note': TRICKY, 'x-api-key': '[REDACTED]' },
+    requestContentType: 'text/plain',
+    requestBody: TRICKY,
+    ...fields
+  };
+}
+
+/**
+ * Run a generated command with its program replaced by printf, returning the arguments the shell passed
+ */
+function shellArgs(command, env = {}) {
+  const script = command.replace(/^\S+/, `printf '%s\\0'`);
+  const output = execFileSync('sh', ['-c', script], { env: { PATH: process.env.PATH, ...env }, encoding: 'utf8' });
+  return output.split('\0').slice(0, -1);
+}
+
+/**
+ * Run a generated JS snippet against a stub client, returning the arguments it was called with
+ */
+async function jsArgs(code, client, env = {}) {
+  let args = null;
+  const stub = async (...received) => {
+    args = received;
+    return { status: 200, statusCode: 200, text: async () => '', body: { text: async () => '' } };
+  };
+  const run = new AsyncFunction(client, 'console', 'process', code.replace(/^import .*\n/, ''));
+  await run(stub, { log: () => {} }, { env });
+  return args;
+}
+
+describe('shell snippets', () => {
+  test('cURL passes URL, headers and body through the shell unchanged', () => {
+    expect(shellArgs(toCurl(call()), { X_API_KEY: 'key-from-env' })).toEqual([
+      'https://api.example.com/search?q=it\'s&x=$HOME',
+      '-H', `x-note: ${TRICKY}`,
+      '-H', 'x-api-key: key-from-env',
+      '--data-raw', TRICKY
+    ]);
+  });
+  
+  test('cURL reads hashed and partially kept headers from the environment', () => {
+    const headers = { 'x-api-key': '[hash:0123456789ab]', 'x-card': '************1111', accept: '*/*' };
+    
+    expect(shellArgs(toCurl(call({ method: 'GET', requestBody: null, requestHeaders: headers })), { X_API_KEY: 'k', X_CARD: 'c' })).toEqual([
+      'https://api.example.com/search?q=it\'s&x=$HOME', '-H', 'x-api-key: k', '-H', 'x-card: c', '-H', 'accept: */*'
+    ]);
+  });
+  
+  test('cURL keeps the method of a bodyless non-GET request', () => {
+    expect(shellArgs(toCurl(call({ method: 'DELETE', requestBody: null, requestHeaders: {} })))).toEqual([
+      'https://api.example.com/search?q=it\'s&x=$HOME', '-X', 'DELETE'
+    ]);
+  });
+  
+  test('cURL keeps GET for a request with a body, which --data-raw alone would send as POST', () => {
+    expect(shellArgs(toCurl(call({ method: 'GET', requestBody: '{"q":1}', requestHeaders: {} })))).toEqual([
+      'https://api.example.com/search?q=it\'s&x=$HOME', '-X', 'GET', '--data-raw', '{"q":1}'
+    ]);
+  });
+  
+  test('cURL sends HEAD requests with --head', () => {
+    expect(shellArgs(toCurl(call({ method: 'HEAD', requestBody: null, requestHeaders: {} })))).toEqual([
+      'https://api.example.com/search?q=it\'s&x=$HOME', '--head'
+    ]);
+  });
+  
+  test('HTTPie passes headers, raw bodies and form fields through the shell unchanged', () => {
+    expect(shellArgs(toHttpie(call()), { X_API_KEY: 'key-from-env' })).toEqual([
+      'POST', 'https://api.example.com/search?q=it\'s&x=$HOME',
+      `x-note:${TRICKY}`,
+      'x-api-key:key-from-env',
+      '--raw', TRICKY
+    ]);
+    
+    const form = call({ requestContentType: 'application/x-www-form-urlencoded', requestHeaders: {}, requestBody: `q=${encodeURIComponent(TRICKY)}&page=2` });
+    expect(shellArgs(toHttpie(form))).toEqual(['--form', 'POST', 'https://api.example.com/search?q=it\'s&x=$HOME', `q=${TRICKY}`, 'page=2']);
+  });
+});
+
+describe('JavaScript snippets', () => {
+  test('fetch keeps the URL, headers and body as recorded', async () => {
+    const [url, options] = await jsArgs(toFetch(call()), 'fetch');
+    
+    expect(url).toBe(call().url);
+    expect(options).toEqual({ method: 'POST', headers: { 'x-note': TRICKY, 'x-api-key': '<X_API_KEY>' }, body: TRICKY });
+  });
+  
+  test('fetch re-serializes JSON bodies to the same value', async () => {
+    const json = { note: TRICKY, nested: [1, { quote: "'" }] };
+    const [, options] = await jsArgs(toFetch(call({ requestContentType: 'application/json', requestBody: JSON.stringify(json) })), 'fetch');
+    
+    expect(JSON.parse(options.body)).toEqual(json);
+  });
+  
+  test('undici reads redacted headers from the environment', async () => {
+    const [url, options] = await jsArgs(toUndici(call()), 'request', { X_API_KEY: 'key-from-env' });
+    
+    expect(url).toBe(call().url);
+    expect(options).toEqual({ method: 'POST', headers: { 'x-note': TRICKY, 'x-api-key': 'key-from-env' }, body: TRICKY });
+  });
+});
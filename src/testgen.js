@@ -0,0 +1,291 @@
+/**
+ * API test generation from recorded calls
+ * Replays calls in seq order, asserts status codes and response body shapes,
+ * and chains values from earlier responses into later requests
+ */
+
+import { schemaOf } from './schema.js';
+import { isRedacted } from './redaction.js';
+import { commentText, tryParseJson } from './codegen.js';
+
+// Headers that the test runner computes itself or that only make sense in a browser
+const SKIPPED_HEADERS = [
+  'content-length', 'host', 'connection', 'transfer-encoding', 'keep-alive',
+  'accept-encoding', 'cookie', 'origin', 'referer', 'user-agent'
+];
+
+// Helper emitted into generated tests to check a value against an inferred schema
+const ASSERT_SHAPE_HELPER = `function assertShape(value, schema, path = 'body') {
+  const type = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  const expected = schema.type === 'integer' ? 'number' : schema.type;
+  if (schema.anyOf) {
+    const errors = [];
+    for (const variant of schema.anyOf) {
+      try { return assertShape(value, variant, path); } catch (e) { errors.push(e.message); }
+    }
+    throw new Error(errors.join('; '));
+  }
+  if (expected && type !== expected) {
+    throw new Error(\`\${path}: expected \${expected} but got \${type}\`);
+  }
+  if (type === 'array' && schema.items) {
+    value.forEach((item, idx) => assertShape(item, schema.items, \`\${path}[\${idx}]\`));
+  }
+  if (type === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) throw new Error(\`\${path}.\${key}: missing\`);
+    }
+    for (const [key, child] of Object.entries(schema.properties)) {
+      if (key in value) assertShape(value[key], child, \`\${path}.\${key}\`);
+    }
+  }
+}`;
+
+/**
+ * Build a Playwright test file using the request fixture
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {string}
+ */
+export function buildPlaywrightTest(session, calls) {
+  const steps = planSteps(calls, n => `body${n}`);
+  
+  const body = steps.map(step => {
+    const options = [`method: ${JSON.stringify(step.method)}`];
+    if (step.headers) options.push(`headers: ${step.headers(name => `process.env.${name}`, 4)}`);
+    if (step.data) options.push(`data: ${step.data(2)}`);
+    
+    const lines = [
+      `  // ${step.n}. ${commentText(`${step.method} ${step.displayUrl}`)}`,
+      `  const response${step.n} = await request.fetch(${step.url}, {\n    ${options.join(',\n    ')}\n  });`,
+      `  expect(response${step.n}.status()).toBe(${step.status});`
+    ];
+    if (step.schema) {
+      lines.push(`  const body${step.n} = await response${step.n}.json();`);
+      lines.push(`  assertShape(body${step.n}, ${JSON.stringify(step.schema)});`);
+    }
+    return lines.join('\n');
+  });
+  
+  return [
+    `// Playwright API test generated by API Logger from "${commentText(session.name)}"`,
+    "import { test, expect } from '@playwright/test';",
+    '',
+    ASSERT_SHAPE_HELPER,
+    '',
+    `test(${JSON.stringify(`replays ${session.name}`)}, async ({ request }) => {`,
+    body.join('\n\n'),
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Build a Cypress spec using cy.request
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {string}
+ */
+export function buildCypressSpec(session, calls) {
+  const steps = planSteps(calls, n => `bodies[${n}]`);
+  
+  const body = steps.map(step => {
+    const options = [
+      `method: ${JSON.stringify(step.method)}`,
+      `url: ${step.url}`,
+      'failOnStatusCode: false'
+    ];
+    if (step.headers) options.push(`headers: ${step.headers(name => `Cypress.env(${JSON.stringify(name)})`, 6)}`);
+    if (step.data) options.push(`body: ${step.data(3)}`);
+    
+    const lines = [
+      `    // ${step.n}. ${commentText(`${step.method} ${step.displayUrl}`)}`,
+      `    cy.then(() => cy.request({\n      ${options.join(',\n      ')}\n    })).then((response) => {`,
+      `      expect(response.status).to.eq(${step.status});`
+    ];
+    if (step.schema) {
+      lines.push(`      bodies[${step.n}] = response.body;`);
+      lines.push(`      assertShape(response.body, ${JSON.stringify(step.schema)});`);
+    }
+    lines.push('    });');
+    return lines.join('\n');
+  });
+  
+  return [
+    `// Cypress API spec generated by API Logger from "${commentText(session.name)}"`,
+    ASSERT_SHAPE_HELPER,
+    '',
+    `describe(${JSON.stringify(session.name)}, () => {`,
+    `  it('replays the recorded calls', () => {`,
+    '    const bodies = {};',
+    '',
+    body.join('\n\n'),
+    '  });',
+    '});',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Work out each replay step, substituting values seen in earlier responses
+ * @param {Object[]} calls
+ * @param {Function} bodyRef - Maps a step number to the expression holding its parsed body
+ */
+function planSteps(calls, bodyRef) {
+  const knownValues = new Map();
+  const steps = [];
+  
+  [...calls].sort((a, b) => a.seq - b.seq).forEach((call, idx) => {
+    const n = idx + 1;
+    const lookup = (value) => {
+      const source = knownValues.get(String(value));
+      return source ? `${bodyRef(source.n)}${source.accessor}` : null;
+    };
+    
+    const step = {
+      n,
+      method: call.method,
+      displayUrl: call.url,
+      url: chainUrl(call.url, lookup),
+      status: call.status,
+      headers: null,
+      data: null,
+      schema: null
+    };
+    
+    const headers = Object.entries(call.requestHeaders || {})
+      .filter(([name]) => !name.startsWith(':') && !name.startsWith('sec-') && !SKIPPED_HEADERS.includes(name));
+    if (headers.length > 0) {
+      step.headers = (envRef, indent) => {
+        const pad = ' '.repeat(indent);
+        const entries = headers.map(([name, value]) => `${pad}  ${JSON.stringify(name)}: ${isRedacted(value)
+          ? envRef(name.toUpperCase().replace(/[^A-Z0-9]+/g, '_'))
+          : JSON.stringify(value)}`);
+        return `{\n${entries.join(',\n')}\n${pad}}`;
+      };
+    }
+    
+    if (call.requestBody) {
+      const json = tryParseJson(call.requestBody);
+      step.data = json !== undefined && typeof json === 'object'
+        ? (indent) => jsLiteral(json, indent, lookup)
+        : () => JSON.stringify(call.requestBody);
+    }
+    
+    const responseJson = call.responseBodyTruncated ? undefined : tryParseJson(call.responseBody);
+    if (responseJson !== undefined) {
+      step.schema = schemaOf(responseJson);
+      for (const [value, accessor] of chainableValues(responseJson)) {
+        knownValues.set(value, { n, accessor });
+      }
+    }
+    
+    steps.push(step);
+  });
+  
+  return steps;
+}
+
+/**
+ * Render a URL as a string or template literal with chained path and query values
+ */
+function chainUrl(rawUrl, lookup) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    return JSON.stringify(rawUrl);
+  }
+  
+  let chained = false;
+  const escape = str => str.replace(/[`\\$]/g, '\\$&');
+  
+  const path = url.pathname.split('/').map(segment => {
+    const ref = segment && lookup(decodeSegment(segment));
+    if (ref) {
+      chained = true;
+      return `\${encodeURIComponent(${ref})}`;
+    }
+    return escape(segment);
+  }).join('/');
+  
+  const query = Array.from(url.searchParams, ([name, value]) => {
+    const ref = lookup(value);
+    if (ref) {
+      chained = true;
+      return `${escape(encodeURIComponent(name))}=\${encodeURIComponent(${ref})}`;
+    }
+    return escape(`${encodeURIComponent(name)}=${encodeURIComponent(value)}`);
+  }).join('&');
+  
+  if (!chained) {
+    return JSON.stringify(rawUrl);
+  }
+  return `\`${escape(url.origin)}${path}${query ? `?${query}` : ''}\``;
+}
+
+/**
+ * Decoded path segment; a malformed escape like %E0%A4%A is kept as it is
+ */
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (e) {
+    return segment;
+  }
+}
+
+/**
+ * Collect id-like leaf values from a response with their accessor expressions
+ */
+function chainableValues(value, accessor = '', out = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item, idx) => chainableValues(item, `${accessor}[${idx}]`, out));
+  } else if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      const part = /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+      chainableValues(child, `${accessor}${part}`, out);
+    }
+  } else if (isChainable(value)) {
+    out.push([String(value), accessor]);
+  }
+  return out;
+}
+
+/**
+ * Only distinctive values are chained, so that small numbers and common
+ * words are not mistaken for identifiers
+ */
+function isChainable(value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && Math.abs(value) >= 100;
+  }
+  if (typeof value === 'string') {
+    return !/\s/.test(value) && ((value.length >= 4 && /\d/.test(value)) || value.length >= 16);
+  }
+  return false;
+}
+
+/**
+ * Render a JSON value as a JS literal, replacing chained leaves by expressions
+ */
+function jsLiteral(value, indent, lookup) {
+  const pad = '  '.repeat(indent);
+  
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    return `[\n${value.map(item => `${pad}  ${jsLiteral(item, indent + 1, lookup)}`).join(',\n')}\n${pad}]`;
+  }
+  
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '{}';
+    return `{\n${entries.map(([key, child]) => `${pad}  ${JSON.stringify(key)}: ${jsLiteral(child, indent + 1, lookup)}`).join(',\n')}\n${pad}}`;
+  }
+  
+  const ref = isChainable(value) ? lookup(value) : null;
+  if (ref) {
+    return typeof value === 'number' ? `Number(${ref})` : `String(${ref})`;
+  }
+  return JSON.stringify(value);
+}
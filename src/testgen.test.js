@@ -0,0 +1,59 @@
+/**
+ * Tests for Playwright and Cypress test generation
+ * Run with npm test
+ */
+
+import { buildPlaywrightTest, buildCypressSpec } from './testgen.js';
+
+const session = { name: 'Orders' };
+
+function call(seq, url, responseBody = null) {
+  return { seq, method: 'GET', url, status: 200, requestHeaders: {}, responseBody };
+}
+
+describe('testgen', () => {
+  test('keeps a path segment with a malformed escape as recorded', () => {
+    const calls = [call(1, 'https://api.example.com/items/%E0%A4%A')];
+    
+    expect(buildPlaywrightTest(session, calls)).toContain('request.fetch("https://api.example.com/items/%E0%A4%A"');
+    expect(buildCypressSpec(session, calls)).toContain('url: "https://api.example.com/items/%E0%A4%A"');
+  });
+  
+  test('still chains values into a URL that has a malformed escape', () => {
+    const calls = [
+      call(1, 'https://api.example.com/orders', JSON.stringify({ id: 'ord-4821' })),
+      call(2, 'https://api.example.com/orders/ord-4821/%E0%A4%A')
+    ];
+    
+    expect(buildPlaywrightTest(session, calls))
+      .toContain('request.fetch(`https://api.example.com/orders/${encodeURIComponent(body1.id)}/%E0%A4%A`');
+  });
+  
+  test('reads hashed and partially kept headers from the environment', () => {
+    const calls = [{ ...call(1, 'https://api.example.com/orders'), requestHeaders: { 'x-api-key': '[hash:0123456789ab]', 'x-card': '************1111' } }];
+    
+    const source = buildPlaywrightTest(session, calls);
+    expect(source).toContain('"x-api-key": process.env.X_API_KEY');
+    expect(source).toContain('"x-card": process.env.X_CARD');
+    expect(buildCypressSpec(session, calls)).toContain('"x-api-key": Cypress.env("X_API_KEY")');
+  });
+  
+  test('keeps line breaks in the session name out of the generated code', () => {
+    const named = { name: 'Orders\nprocess.exit(1) //' };
+    const calls = [call(1, 'https://api.example.com/orders')];
+    
+    for (const source of [buildPlaywrightTest(named, calls), buildCypressSpec(named, calls)]) {
+      expect(source.split('\n').some(line => line.startsWith('process.exit'))).toBe(false);
+      expect(source).toContain('from "Orders process.exit(1) //"');
+    }
+  });
+  
+  test('keeps line breaks in a recorded URL out of the step comments', () => {
+    const calls = [call(1, 'not a url\nprocess.exit(1)')];
+    
+    for (const source of [buildPlaywrightTest(session, calls), buildCypressSpec(session, calls)]) {
+      expect(source.split('\n').some(line => line.startsWith('process.exit'))).toBe(false);
+      expect(source).toContain('// 1. GET not a url process.exit(1)');
+    }
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Timeline layout of a session's calls
+ * Calls are grouped by host, and calls that overlap in time are packed onto
+ * separate lanes of their host, so concurrency and serial waterfalls show up
+ * as stacked or staggered bars.
+ */
+
+// Tick steps are 1, 2 or 5 times a power of ten milliseconds
+const TICK_STEPS = [1, 2, 5];
+
+/**
+ * When a call started, in ms since the epoch
+ * Calls imported without a start time fall back to when they were stored.
+ * @param {Object} call
+ * @returns {number}
+ */
+export function callStart(call) {
+  return call.startTime || call.timestamp || 0;
+}
+
+/**
+ * When a call finished, in ms since the epoch
+ * @param {Object} call
+ * @returns {number}
+ */
+export function callEnd(call) {
+  return callStart(call) + Math.max(0, call.duration || 0);
+}
+
+/**
+ * Whether a call was in flight at any point of a time window
+ * @param {Object} call
+ * @param {{start: number, end: number}} window
+ * @returns {boolean}
+ */
+export function overlapsWindow(call, window) {
+  return callStart(call) <= window.end && callEnd(call) >= window.start;
+}
+
+/**
+ * Lay out calls for the timeline
+ * @param {Object[]} calls
+ * @returns {{start: number, end: number, rows: Object[]}} - rows are
+ *   { type: 'host', host, count } followed by that host's { type: 'lane', host, calls };
+ *   hosts are in the order of their first call
+ */
+export function buildTimeline(calls) {
+  const sorted = [...calls].sort((a, b) => callStart(a) - callStart(b) || (a.seq || 0) - (b.seq || 0));
+  const groups = new Map();
+  let start = Infinity;
+  let end = -Infinity;
+  
+  for (const call of sorted) {
+    const from = callStart(call);
+    const to = callEnd(call);
+    start = Math.min(start, from);
+    end = Math.max(end, to);
+    
+    const host = hostOf(call.url);
+    let group = groups.get(host);
+    if (!group) {
+      group = { host, count: 0, lanes: [] };
+      groups.set(host, group);
+    }
+    group.count++;
+    
+    // First lane that is free again by the time this call starts
+    let lane = group.lanes.find(candidate => candidate.end <= from);
+    if (!lane) {
+      lane = { end: 0, calls: [] };
+      group.lanes.push(lane);
+    }
+    lane.end = to;
+    lane.calls.push(call);
+  }
+  
+  const rows = [];
+  for (const { host, count, lanes } of groups.values()) {
+    rows.push({ type: 'host', host, count });
+    lanes.forEach(lane => rows.push({ type: 'lane', host, calls: lane.calls }));
+  }
+  
+  return sorted.length > 0 ? { start, end, rows } : { start: 0, end: 0, rows };
+}
+
+/**
+ * Evenly spaced axis ticks between two offsets
+ * @param {number} from - Offset in ms
+ * @param {number} to - Offset in ms
+ * @param {number} maxTicks
+ * @returns {number[]} - Offsets in ms that are multiples of the tick step
+ */
+export function timeTicks(from, to, maxTicks) {
+  const span = to - from;
+  if (!(span > 0) || maxTicks < 1) return [];
+  
+  const rough = span / maxTicks;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = TICK_STEPS.map(factor => factor * magnitude).find(candidate => candidate >= rough) || 10 * magnitude;
+  
+  const ticks = [];
+  for (let tick = Math.ceil(from / step) * step; tick <= to; tick += step) {
+    // Round away floating point drift, e.g. 0.30000000000000004
+    ticks.push(Math.round(tick * 1000) / 1000);
+  }
+  return ticks;
+}
+
+/**
+ * Label for an offset from the start of the timeline
+ * @param {number} ms
+ * @returns {string} - e.g. 250 ms, 1.5 s or 2:05
+ */
+export function formatOffset(ms) {
+  const sign = ms < 0 ? '-' : '';
+  const abs = Math.abs(ms);
+  if (abs < 1000) return `${sign}${Math.round(abs * 10) / 10} ms`;
+  const seconds = Math.round(abs / 10) / 100;
+  if (seconds < 60) return `${sign}${seconds} s`;
+  
+  const minutes = Math.floor(abs / 60000);
+  return `${sign}${minutes}:${String(Math.floor((abs % 60000) / 1000)).padStart(2, '0')}`;
+}
+
+/**
+ * Colour group of a status code
+ * @param {number} status
+ * @returns {string} - success, redirect, client-error, server-error or failed
+ */
+export function statusGroup(status) {
+  if (status >= 200 && status < 300) return 'success';
+  if (status >= 300 && status < 400) return 'redirect';
+  if (status >= 400 && status < 500) return 'client-error';
+  if (status >= 500) return 'server-error';
+  return 'failed';
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host || '(no host)';
+  } catch (e) {
+    return '(no host)';
+  }
+}
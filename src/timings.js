@@ -0,0 +1,119 @@
+/**
+ * Network timing and connection details of calls
+ * Taken from the HAR entries DevTools reports: how long each phase of the
+ * request took, the server address and connection, the HTTP version, the
+ * bytes transferred and whether the response came from a cache.
+ */
+
+/**
+ * HAR timing phases in the order they happen
+ * A value of -1 means the phase did not apply, e.g. no DNS lookup on a reused
+ * connection. As in HAR, the TLS handshake (ssl) is part of connect.
+ */
+export const TIMING_PHASES = [
+  { key: 'blocked', label: 'Blocked' },
+  { key: 'dns', label: 'DNS' },
+  { key: 'connect', label: 'Connect' },
+  { key: 'ssl', label: 'TLS' },
+  { key: 'send', label: 'Send' },
+  { key: 'wait', label: 'Wait (TTFB)' },
+  { key: 'receive', label: 'Receive' }
+];
+
+/**
+ * Where a response came from
+ */
+export const CACHE_STATUSES = {
+  network: 'Network',
+  memory: 'Memory cache',
+  disk: 'Disk cache',
+  'service-worker': 'Service worker',
+  revalidated: 'Revalidated (304)'
+};
+
+/**
+ * Timing and connection fields of a call, from a HAR entry
+ * @param {Object} entry - HAR entry from chrome.devtools.network or a HAR file
+ * @returns {Object} - { timings, serverIPAddress, connection, httpVersion, transferSize, cacheStatus };
+ *   fields the entry does not have are null
+ */
+export function networkDetailsFromHarEntry(entry) {
+  const timings = {};
+  for (const { key } of TIMING_PHASES) {
+    const value = entry.timings?.[key];
+    if (typeof value === 'number') {
+      timings[key] = value < 0 ? -1 : Math.round(value * 100) / 100;
+    }
+  }
+  
+  return {
+    timings: Object.keys(timings).length > 0 ? timings : null,
+    serverIPAddress: entry.serverIPAddress || null,
+    connection: entry.connection ? String(entry.connection) : null,
+    httpVersion: entry.response?.httpVersion || entry.request?.httpVersion || null,
+    transferSize: typeof entry.response?._transferSize === 'number' ? entry.response._transferSize : null,
+    cacheStatus: cacheStatusOf(entry)
+  };
+}
+
+/**
+ * Time spent in a phase, or undefined when it did not apply or was not recorded
+ * @param {Object} call
+ * @param {string} key - One of TIMING_PHASES
+ * @returns {number|undefined}
+ */
+export function phaseTime(call, key) {
+  const value = call.timings?.[key];
+  return typeof value === 'number' && value >= 0 ? value : undefined;
+}
+
+/**
+ * Consecutive segments of a call's timing bar
+ * Connect is split into the TCP connect and the TLS handshake it contains.
+ * @param {Object} timings - HAR timings of a call
+ * @returns {Array<{key: string, label: string, start: number, duration: number}>}
+ */
+export function timingSegments(timings) {
+  const ssl = timings.ssl > 0 ? timings.ssl : 0;
+  const segments = [];
+  let start = 0;
+  
+  for (const { key, label } of TIMING_PHASES) {
+    let duration = timings[key];
+    if (typeof duration !== 'number' || duration < 0) continue;
+    if (key === 'connect') duration = Math.max(0, duration - ssl);
+    segments.push({ key, label, start, duration });
+    start += duration;
+  }
+  return segments;
+}
+
+/**
+ * HAR timings for an exported call
+ * Calls recorded before timings were kept only have their total duration,
+ * which is reported as waiting time.
+ * @param {Object} call
+ * @returns {Object}
+ */
+export function toHarTimings(call) {
+  if (!call.timings) {
+    return { send: 0, wait: call.duration || 0, receive: 0 };
+  }
+  
+  const timings = {};
+  for (const { key } of TIMING_PHASES) {
+    timings[key] = call.timings[key] ?? -1;
+  }
+  // send, wait and receive are required and may not be -1
+  for (const key of ['send', 'wait', 'receive']) {
+    timings[key] = Math.max(0, timings[key]);
+  }
+  return timings;
+}
+
+function cacheStatusOf(entry) {
+  if (entry._fromCache === 'memory' || entry._fromCache === 'disk') return entry._fromCache;
+  if (entry.response?._fetchedViaServiceWorker) return 'service-worker';
+  if (entry.response?.status === 304) return 'revalidated';
+  return 'network';
+}
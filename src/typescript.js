@@ -0,0 +1,131 @@
+/**
+ * TypeScript declaration generation from recorded JSON bodies
+ * Request and response types are merged across every sample of an endpoint
+ */
+
+import { inferSchema } from './schema.js';
+import { templatePath, operationName } from './openapi.js';
+import { commentText, docCommentText, pascalCase, uniqueName, tryParseJson } from './codegen.js';
+
+/**
+ * Build a .d.ts file with request and response types for each endpoint
+ * @param {Object} session
+ * @param {Object[]} calls
+ * @returns {string}
+ */
+export function buildTypeDefinitions(session, calls) {
+  const endpoints = groupEndpoints(calls);
+  const declarations = [];
+  const usedNames = new Set();
+  
+  for (const endpoint of endpoints) {
+    const baseName = uniqueName(pascalCase(operationName(endpoint.method, endpoint.template)), usedNames);
+    const doc = `/** ${docCommentText(`${endpoint.method} ${endpoint.template}`)} (${endpoint.calls.length} sample${endpoint.calls.length === 1 ? '' : 's'}) */`;
+    
+    const types = [
+      [`${baseName}Request`, endpoint.calls.map(c => c.requestBody)],
+      [`${baseName}Response`, endpoint.calls.filter(c => c.status < 400 && !c.responseBodyTruncated).map(c => c.responseBody)],
+      [`${baseName}ErrorResponse`, endpoint.calls.filter(c => c.status >= 400 && !c.responseBodyTruncated).map(c => c.responseBody)]
+    ];
+    
+    for (const [name, bodies] of types) {
+      const schema = inferSchema(parseJsonBodies(bodies));
+      if (schema) {
+        declarations.push(`${doc}\n${renderDeclaration(name, schema)}`);
+      }
+    }
+  }
+  
+  return [
+    `// TypeScript types generated by API Logger from "${commentText(session.name)}"`,
+    `// ${calls.length} recorded calls, ${endpoints.length} endpoints`,
+    '',
+    declarations.join('\n\n'),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Render a JSON Schema as a TypeScript type expression
+ * @param {Object} schema
+ * @param {number} [indent]
+ * @returns {string}
+ */
+function schemaToTypeScript(schema, indent = 0) {
+  if (schema.anyOf) {
+    return schema.anyOf.map(variant => schemaToTypeScript(variant, indent)).join(' | ');
+  }
+  
+  switch (schema.type) {
+    case 'null':
+      return 'null';
+    case 'boolean':
+      return 'boolean';
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'string':
+      return 'string';
+    case 'array': {
+      if (!schema.items) return 'unknown[]';
+      const item = schemaToTypeScript(schema.items, indent);
+      return schema.items.anyOf ? `Array<${item}>` : `${item}[]`;
+    }
+    case 'object':
+      return renderObject(schema, indent);
+    default:
+      return 'unknown';
+  }
+}
+
+function renderDeclaration(name, schema) {
+  if (schema.type === 'object' && Object.keys(schema.properties).length > 0) {
+    return `export interface ${name} ${renderObject(schema, 0)}`;
+  }
+  return `export type ${name} = ${schemaToTypeScript(schema, 0)};`;
+}
+
+function renderObject(schema, indent) {
+  const entries = Object.entries(schema.properties);
+  if (entries.length === 0) return 'Record<string, unknown>';
+  
+  const pad = '  '.repeat(indent);
+  const lines = entries.map(([key, child]) => {
+    const optional = schema.required.includes(key) ? '' : '?';
+    return `${pad}  ${propertyName(key)}${optional}: ${schemaToTypeScript(child, indent + 1)};`;
+  });
+  return `{\n${lines.join('\n')}\n${pad}}`;
+}
+
+/**
+ * Group calls by method and path template
+ */
+function groupEndpoints(calls) {
+  const endpoints = new Map();
+  
+  for (const call of calls) {
+    let url;
+    try {
+      url = new URL(call.url);
+    } catch (e) {
+      continue;
+    }
+    
+    const { template } = templatePath(url.pathname);
+    const key = `${call.method} ${url.origin}${template}`;
+    if (!endpoints.has(key)) {
+      endpoints.set(key, { method: call.method, template, calls: [] });
+    }
+    endpoints.get(key).calls.push(call);
+  }
+  
+  return Array.from(endpoints.values());
+}
+
+function parseJsonBodies(bodies) {
+  return bodies.map(tryParseJson).filter(value => value !== undefined);
+}
+
+function propertyName(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+}
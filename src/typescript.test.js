@@ -0,0 +1,17 @@
+/**
+ * Tests for TypeScript type generation
+ * Run with npm test
+ */
+
+import { buildTypeDefinitions } from './typescript.js';
+
+describe('typescript', () => {
+  test('keeps a */ in the path from closing the doc comment', () => {
+    const source = buildTypeDefinitions({ name: 'Files' }, [
+      { seq: 1, method: 'GET', url: 'https://api.example.com/files/*/latest', status: 200, responseBody: '{"id":1}' }
+    ]);
+    
+    expect(source).toContain('/** GET /files/*\\/latest (1 sample) */');
+    expect(source.split('\n').filter(line => line.includes('*/'))).toHaveLength(1);
+  });
+});